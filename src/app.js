@@ -1,7 +1,7 @@
 import express from "express";
 import dotenv from "dotenv";
-import session from "express-session";
 import passport from "./config/auth.js";
+import { createSessionMiddleware } from "./config/session.js";
 import authRoutes from "./routes/authRoutes.js";
 import emailRoutes from "./routes/emailRoutes.js";
 import aiRoutes from "./routes/aiRoutes.js";
@@ -13,18 +13,9 @@ const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Configure session middleware
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || "your-secret-key",
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    },
-  })
-);
+// Configure session middleware (stored in SQLite; throws in production if
+// SESSION_SECRET isn't set)
+app.use(createSessionMiddleware());
 
 // Initialize Passport
 app.use(passport.initialize());
@@ -29,6 +29,29 @@ const config = {
     }
   },
 
+  // Google OAuth token refresh
+  oauth: {
+    google: {
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      // Override to point token refreshes at a local stub in tests
+      tokenUrl:
+        process.env.GOOGLE_TOKEN_URL || "https://oauth2.googleapis.com/token",
+    },
+    // Refresh tokens this many seconds before they actually expire
+    refreshSkewSeconds: parseInt(process.env.TOKEN_REFRESH_SKEW || "120", 10),
+  },
+
+  // Encryption of OAuth tokens and mailbox passwords stored in the database
+  security: {
+    // 32-byte master key, base64 or hex
+    credentialsKey: process.env.CREDENTIALS_KEY || "",
+    // Alternatively a file holding the key (first line) and previous keys
+    credentialsKeyFile: process.env.CREDENTIALS_KEY_FILE || "",
+    // Comma-separated keys still accepted for decryption after a rotation
+    previousCredentialsKeys: process.env.CREDENTIALS_PREVIOUS_KEYS || "",
+  },
+
   // Google Translate API Configuration
   googleTranslate: {
     enabled: true, // No specific env var for this, always try to enable
@@ -37,12 +60,73 @@ const config = {
 
   // Email Service Configuration
   email: {
+    // "oauth2" (default) logs in with each user's Google token;
+    // "password" falls back to the shared EMAIL_USER/EMAIL_PASS app password
+    authMode: process.env.EMAIL_AUTH_MODE || "oauth2",
     defaultUser: process.env.EMAIL_USER || "",
-    defaultPassword: process.env.EMAIL_PASSWORD || "",
-    imapServer: process.env.IMAP_SERVER || "imap.gmail.com",
-    imapPort: parseInt(process.env.IMAP_PORT || "993", 10),
-    smtpServer: process.env.SMTP_SERVER || "smtp.gmail.com",
-    smtpPort: parseInt(process.env.SMTP_PORT || "465", 10),
+    defaultPassword: process.env.EMAIL_PASS || process.env.EMAIL_PASSWORD || "",
+    // Provider profile (see config/providers.js) used for folder names when
+    // the server doesn't advertise SPECIAL-USE folders
+    provider: process.env.EMAIL_PROVIDER || "gmail",
+    // Servers for the sign-in mailbox and the shared app-password account.
+    // EMAIL_IMAP_HOST/EMAIL_SMTP_HOST are accepted as aliases.
+    imapServer: process.env.IMAP_SERVER || process.env.EMAIL_IMAP_HOST || "imap.gmail.com",
+    imapPort: parseInt(process.env.IMAP_PORT || process.env.EMAIL_IMAP_PORT || "993", 10),
+    imapTls: process.env.IMAP_TLS !== "false",
+    smtpServer: process.env.SMTP_SERVER || process.env.EMAIL_SMTP_HOST || "smtp.gmail.com",
+    smtpPort: parseInt(process.env.SMTP_PORT || process.env.EMAIL_SMTP_PORT || "465", 10),
+    // Implicit TLS on 465; other ports upgrade with STARTTLS
+    smtpSecure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : parseInt(process.env.SMTP_PORT || process.env.EMAIL_SMTP_PORT || "465", 10) === 465,
+    // IMAP connections kept open per mailbox account, and how long an unused
+    // one stays open before it is logged out
+    imapPoolSize: parseInt(process.env.IMAP_POOL_SIZE || "2", 10),
+    imapIdleTimeout: parseInt(process.env.IMAP_IDLE_TIMEOUT || "300000", 10),
+    // How long an operation waits for the server to send anything before the
+    // connection is dropped and the operation fails (0 waits forever)
+    imapOperationTimeout: parseInt(process.env.IMAP_OPERATION_TIMEOUT || "120000", 10),
+    // How long a server's folder list is reused before it is fetched again
+    imapFolderCacheTtl: parseInt(process.env.IMAP_FOLDER_CACHE_TTL || "600000", 10),
+    // Newest messages downloaded the first time a folder is synced
+    syncInitialLimit: parseInt(process.env.SYNC_INITIAL_LIMIT || "200", 10),
+    // Keep a connection per mailbox open to pick up new mail as it arrives
+    // (IMAP IDLE), and how often to poll servers that don't support IDLE
+    watchMailboxes: process.env.MAIL_WATCH !== "false",
+    mailPollInterval: parseInt(process.env.MAIL_POLL_INTERVAL || "60000", 10),
+  },
+
+  // Attachment downloads
+  attachments: {
+    // Keep downloaded attachments on disk, stored by SHA-256 content hash, so
+    // repeat downloads don't go back to the IMAP server
+    cacheEnabled: process.env.ATTACHMENT_CACHE === "true",
+    cacheDir: process.env.ATTACHMENT_CACHE_DIR || "attachment-cache",
+    // Bigger attachments are always streamed from the server
+    maxCachedFileSize: parseInt(process.env.ATTACHMENT_CACHE_MAX_FILE_SIZE || "10485760", 10),
+    // Least recently used files are removed once the cache grows past this
+    maxCacheSize: parseInt(process.env.ATTACHMENT_CACHE_MAX_SIZE || "524288000", 10),
+  },
+
+  // Outgoing mail: sends that fail are retried with exponential backoff
+  outbox: {
+    // How often the outbox worker looks for messages that are due
+    pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL || "5000", 10),
+    // Attempts per message before it is marked failed
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || "5", 10),
+    // Delay before the first retry; doubled after every further failure
+    retryBaseDelay: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY || "30000", 10),
+    retryMaxDelay: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY || "3600000", 10),
+    // How long a sent message is held so it can be undone (0: send at once),
+    // and the longest hold a request may ask for
+    undoWindow: parseInt(process.env.OUTBOX_UNDO_WINDOW || "0", 10),
+    maxUndoWindow: parseInt(process.env.OUTBOX_MAX_UNDO_WINDOW || "60000", 10),
+  },
+
+  // Importing .eml files and mbox archives
+  imports: {
+    // Larger messages are skipped rather than held in memory
+    maxMessageSize: parseInt(process.env.IMPORT_MAX_MESSAGE_SIZE || "26214400", 10),
   },
 
   // API Request Timeouts (milliseconds)
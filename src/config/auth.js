@@ -1,7 +1,13 @@
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
 import dotenv from "dotenv";
-import { saveUser, getUserByEmail } from "../models/userModel.js";
+import { saveUser, getUserByEmail, getUserById } from "../models/userModel.js";
+import {
+  ensurePrimaryMailbox,
+  consumeLinkState,
+  linkOAuthMailbox,
+  toPublicMailbox,
+} from "../services/mailboxService.js";
 
 dotenv.config();
 
@@ -14,14 +20,19 @@ passport.use(
       passReqToCallback: true,
       session: false, // Disable sessions
     },
-    async (req, accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, params, profile, done) => {
       try {
         const email = profile.emails[0].value;
         const name = profile.displayName;
+        const tokenExpiresAt = params.expires_in
+          ? new Date(Date.now() + params.expires_in * 1000).toISOString()
+          : null;
 
         // Save user to DB
-        await saveUser(email, name, accessToken, refreshToken);
-        done(null, { email, name, accessToken });
+        await saveUser(email, name, accessToken, refreshToken, tokenExpiresAt);
+        const user = await getUserByEmail(email);
+        await ensurePrimaryMailbox(user);
+        done(null, { id: user.id, email, name });
       } catch (error) {
         done(error, null);
       }
@@ -29,14 +40,57 @@ passport.use(
   )
 );
 
+// Links an additional Google account as a mailbox of an existing user.
+// The signed-in user is identified by the one-time state created by
+// POST /email/mailboxes/oauth, so no session is needed.
+passport.use(
+  "google-link",
+  new GoogleStrategy(
+    {
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL:
+        process.env.LINK_CALLBACK_URL ||
+        (process.env.CALLBACK_URL || "").replace(
+          /\/callback$/,
+          "/link/callback"
+        ),
+      passReqToCallback: true,
+    },
+    async (req, accessToken, refreshToken, params, profile, done) => {
+      try {
+        const userId = consumeLinkState(req.query.state);
+        if (!userId) {
+          return done(null, false, { message: "Link request expired" });
+        }
+
+        const mailbox = await linkOAuthMailbox(userId, {
+          email: profile.emails[0].value,
+          name: profile.displayName,
+          accessToken,
+          refreshToken,
+          tokenExpiresAt: params.expires_in
+            ? new Date(Date.now() + params.expires_in * 1000).toISOString()
+            : null,
+        });
+        done(null, { mailbox: toPublicMailbox(mailbox) });
+      } catch (error) {
+        done(error, null);
+      }
+    }
+  )
+);
+
+// Sessions store the user ID, which also lets the session store list a
+// user's sessions
 passport.serializeUser((user, done) => {
-  done(null, user.email);
+  done(null, user.id);
 });
 
-passport.deserializeUser(async (email, done) => {
+passport.deserializeUser(async (id, done) => {
   try {
-    const user = await getUserByEmail(email);
-    done(null, user);
+    const user = await getUserById(id);
+    done(null, user || false);
   } catch (error) {
     done(error, null);
   }
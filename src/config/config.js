@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import appConfig from "../config.js";
 
 // Load environment variables
 dotenv.config();
@@ -25,23 +26,30 @@ export default {
         "http://localhost:5000/auth/google/callback",
     },
     session: {
-      secret: process.env.SESSION_SECRET || "your-secret-key",
+      // Required in production; see config/session.js
+      secret: process.env.SESSION_SECRET || "",
       cookie: {
         maxAge: parseInt(process.env.SESSION_MAX_AGE) || 24 * 60 * 60 * 1000, // 24 hours
       },
     },
+    // Lifetime of the API token issued at each Google sign-in
+    signInTokenMaxAge:
+      parseInt(process.env.SIGN_IN_TOKEN_MAX_AGE) || 30 * 24 * 60 * 60 * 1000, // 30 days
   },
 
   // Email configuration
+  // Mirrors src/config.js, which the mail services read, so both agree
   email: {
+    provider: appConfig.email.provider,
     imap: {
-      host: process.env.EMAIL_IMAP_HOST || "imap.gmail.com",
-      port: parseInt(process.env.EMAIL_IMAP_PORT) || 993,
-      tls: true,
+      host: appConfig.email.imapServer,
+      port: appConfig.email.imapPort,
+      tls: appConfig.email.imapTls,
     },
     smtp: {
-      host: process.env.EMAIL_SMTP_HOST || "smtp.gmail.com",
-      port: parseInt(process.env.EMAIL_SMTP_PORT) || 587,
+      host: appConfig.email.smtpServer,
+      port: appConfig.email.smtpPort,
+      secure: appConfig.email.smtpSecure,
     },
   },
 
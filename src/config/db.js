@@ -3,7 +3,10 @@ import path from "path";
 import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const dbPath = path.resolve(__dirname, "../../database.sqlite");
+// DB_PATH lets scripts and tests point at a separate database file
+const dbPath = process.env.DB_PATH
+  ? path.resolve(process.env.DB_PATH)
+  : path.resolve(__dirname, "../../database.sqlite");
 
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
@@ -28,63 +31,259 @@ const columnExists = (tableName, columnName) => {
   });
 };
 
+// Run a statement, resolving once it has completed
+const runStatement = (sql) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
 // Migrate database - add columns that don't exist
 const migrateDatabase = async () => {
   try {
     console.log("Checking for database migrations...");
 
-    // Check if emails table exists
-    db.get(
-      "SELECT name FROM sqlite_master WHERE type='table' AND name='emails'",
-      async (err, row) => {
-        if (err) {
-          console.error("Error checking for emails table:", err);
-          return;
+    // Check and add token_expires_at column to users if it doesn't exist
+    const hasTokenExpiryColumn = await columnExists(
+      "users",
+      "token_expires_at"
+    );
+    if (!hasTokenExpiryColumn) {
+      console.log("Adding token_expires_at column to users table...");
+      db.run(
+        "ALTER TABLE users ADD COLUMN token_expires_at DATETIME",
+        (err) => {
+          if (err) console.error("Error adding token_expires_at column:", err);
+          else console.log("Added token_expires_at column successfully");
         }
+      );
+    }
+
+    // Check and add provider column to mailboxes if it doesn't exist
+    const hasProviderColumn = await columnExists("mailboxes", "provider");
+    if (!hasProviderColumn) {
+      console.log("Adding provider column to mailboxes table...");
+      db.run("ALTER TABLE mailboxes ADD COLUMN provider TEXT", (err) => {
+        if (err) console.error("Error adding provider column:", err);
+        else console.log("Added provider column successfully");
+      });
+    }
 
-        if (row) {
-          console.log("Emails table exists, checking for missing columns...");
-
-          // Check and add folder column if it doesn't exist
-          const hasFolderColumn = await columnExists("emails", "folder");
-          if (!hasFolderColumn) {
-            console.log("Adding folder column to emails table...");
-            db.run(
-              "ALTER TABLE emails ADD COLUMN folder TEXT DEFAULT 'INBOX'",
-              (err) => {
-                if (err) console.error("Error adding folder column:", err);
-                else console.log("Added folder column successfully");
-              }
-            );
+    // Opt-in for linked servers with self-signed certificates
+    if (!(await columnExists("mailboxes", "allow_self_signed"))) {
+      console.log("Adding allow_self_signed column to mailboxes table...");
+      await new Promise((resolve) => {
+        db.run(
+          "ALTER TABLE mailboxes ADD COLUMN allow_self_signed INTEGER DEFAULT 0",
+          (err) => {
+            if (err)
+              console.error("Error adding allow_self_signed column:", err);
+            else console.log("Added allow_self_signed column successfully");
+            resolve();
           }
+        );
+      });
+    }
 
-          // Check and add message_id column if it doesn't exist
-          const hasMessageIdColumn = await columnExists("emails", "message_id");
-          if (!hasMessageIdColumn) {
-            console.log("Adding message_id column to emails table...");
-            db.run("ALTER TABLE emails ADD COLUMN message_id TEXT", (err) => {
-              if (err) console.error("Error adding message_id column:", err);
-              else console.log("Added message_id column successfully");
-            });
+    // Send time columns of the outbox (scheduled sends)
+    for (const [column, type] of [
+      ["send_at", "INTEGER"],
+      ["time_zone", "TEXT"],
+    ]) {
+      if (!(await columnExists("outbox", column))) {
+        console.log(`Adding ${column} column to outbox table...`);
+        db.run(`ALTER TABLE outbox ADD COLUMN ${column} ${type}`, (err) => {
+          if (err) console.error(`Error adding ${column} column:`, err);
+          else console.log(`Added ${column} column successfully`);
+        });
+      }
+    }
+
+    // Check if emails table exists
+    const hasEmailsTable = await new Promise((resolve, reject) => {
+      db.get(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='emails'",
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(Boolean(row));
+        }
+      );
+    });
+
+    if (hasEmailsTable) {
+      console.log("Emails table exists, checking for missing columns...");
+
+      // Check and add folder column if it doesn't exist
+      const hasFolderColumn = await columnExists("emails", "folder");
+      if (!hasFolderColumn) {
+        console.log("Adding folder column to emails table...");
+        db.run(
+          "ALTER TABLE emails ADD COLUMN folder TEXT DEFAULT 'INBOX'",
+          (err) => {
+            if (err) console.error("Error adding folder column:", err);
+            else console.log("Added folder column successfully");
           }
+        );
+      }
+
+      // Check and add message_id column if it doesn't exist
+      const hasMessageIdColumn = await columnExists("emails", "message_id");
+      if (!hasMessageIdColumn) {
+        console.log("Adding message_id column to emails table...");
+        db.run("ALTER TABLE emails ADD COLUMN message_id TEXT", (err) => {
+          if (err) console.error("Error adding message_id column:", err);
+          else console.log("Added message_id column successfully");
+        });
+      }
+
+      // Check and add html column if it doesn't exist
+      const hasHtmlColumn = await columnExists("emails", "html");
+      if (!hasHtmlColumn) {
+        console.log("Adding html column to emails table...");
+        db.run("ALTER TABLE emails ADD COLUMN html TEXT", (err) => {
+          if (err) console.error("Error adding html column:", err);
+          else console.log("Added html column successfully");
+        });
+      }
+
+      // Check and add mailbox_id column if it doesn't exist
+      const hasMailboxIdColumn = await columnExists("emails", "mailbox_id");
+      if (!hasMailboxIdColumn) {
+        console.log("Adding mailbox_id column to emails table...");
+        db.run("ALTER TABLE emails ADD COLUMN mailbox_id INTEGER", (err) => {
+          if (err) console.error("Error adding mailbox_id column:", err);
+          else console.log("Added mailbox_id column successfully");
+        });
+      }
 
-          // Check and add html column if it doesn't exist
-          const hasHtmlColumn = await columnExists("emails", "html");
-          if (!hasHtmlColumn) {
-            console.log("Adding html column to emails table...");
-            db.run("ALTER TABLE emails ADD COLUMN html TEXT", (err) => {
-              if (err) console.error("Error adding html column:", err);
-              else console.log("Added html column successfully");
+      // Columns identifying the server copy of a synced email and its
+      // state there
+      for (const [column, type] of [
+        ["imap_folder", "TEXT"],
+        ["uid", "INTEGER"],
+        ["uid_validity", "INTEGER"],
+        ["flags", "TEXT"],
+        ["trashed_from", "TEXT"],
+        ["in_reply_to", "TEXT"],
+        ["reference_ids", "TEXT"],
+        ["gm_thread_id", "TEXT"],
+        ["thread_id", "INTEGER"],
+      ]) {
+        if (!(await columnExists("emails", column))) {
+          console.log(`Adding ${column} column to emails table...`);
+          await new Promise((resolve) => {
+            db.run(`ALTER TABLE emails ADD COLUMN ${column} ${type}`, (err) => {
+              if (err) console.error(`Error adding ${column} column:`, err);
+              else console.log(`Added ${column} column successfully`);
+              resolve();
             });
-          }
+          });
         }
       }
-    );
+
+      // Synced emails are upserted by their place on the server, which
+      // needs this index before the first sync runs
+      try {
+        await runStatement(
+          `CREATE UNIQUE INDEX IF NOT EXISTS idx_emails_sync_key
+           ON emails(user_id, mailbox_id, imap_folder, uid)`
+        );
+      } catch (err) {
+        console.error("Error creating email sync index:", err);
+      }
+
+      // Threading looks emails up by Message-ID and thread
+      db.run(
+        `CREATE INDEX IF NOT EXISTS idx_emails_message_id
+         ON emails(user_id, message_id)`
+      );
+      db.run(
+        `CREATE INDEX IF NOT EXISTS idx_emails_thread_id
+         ON emails(thread_id)`
+      );
+      db.run(
+        `CREATE TRIGGER IF NOT EXISTS trg_emails_delete_thread
+         AFTER DELETE ON emails
+         WHEN OLD.thread_id IS NOT NULL
+         BEGIN
+             DELETE FROM threads WHERE id = OLD.thread_id
+               AND NOT EXISTS (
+                 SELECT 1 FROM emails WHERE thread_id = OLD.thread_id
+               );
+         END`,
+        (err) => {
+          if (err) console.error("Error creating thread cleanup trigger:", err);
+        }
+      );
+
+      // Message-IDs each email names in In-Reply-To and References, so
+      // threading can find the replies to a message through an index.
+      // Emails threaded before the table existed are filled in once.
+      const hasReferencesTable = await new Promise((resolve) => {
+        db.get(
+          "SELECT name FROM sqlite_master WHERE type='table' AND name='email_references'",
+          (err, row) => resolve(Boolean(row))
+        );
+      });
+      try {
+        await runStatement(`
+            CREATE TABLE IF NOT EXISTS email_references (
+                user_id INTEGER NOT NULL,
+                email_id INTEGER NOT NULL,
+                referenced_id TEXT NOT NULL,
+                UNIQUE(email_id, referenced_id),
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (email_id) REFERENCES emails(id)
+            )
+        `);
+        await runStatement(
+          `CREATE INDEX IF NOT EXISTS idx_email_references_referenced
+           ON email_references(user_id, referenced_id)`
+        );
+        await runStatement(`
+            CREATE TRIGGER IF NOT EXISTS trg_emails_delete_references
+            AFTER DELETE ON emails
+            BEGIN
+                DELETE FROM email_references WHERE email_id = OLD.id;
+            END
+        `);
+
+        if (!hasReferencesTable) {
+          console.log("Recording references of threaded emails...");
+          // reference_ids holds Message-IDs separated by single spaces
+          await runStatement(`
+              WITH RECURSIVE split(user_id, email_id, referenced_id, rest) AS (
+                SELECT user_id, id, NULL, reference_ids || ' ' FROM emails
+                WHERE thread_id IS NOT NULL AND reference_ids IS NOT NULL
+                UNION ALL
+                SELECT user_id, email_id, substr(rest, 1, instr(rest, ' ') - 1),
+                  substr(rest, instr(rest, ' ') + 1)
+                FROM split WHERE rest <> ''
+              )
+              INSERT OR IGNORE INTO email_references
+                (user_id, email_id, referenced_id)
+              SELECT user_id, email_id, referenced_id FROM split
+              WHERE referenced_id <> ''
+              UNION
+              SELECT user_id, id, in_reply_to FROM emails
+              WHERE thread_id IS NOT NULL AND in_reply_to IS NOT NULL
+          `);
+        }
+      } catch (err) {
+        console.error("Error creating email references table:", err);
+      }
+    }
   } catch (error) {
     console.error("Database migration error:", error);
   }
 };
 
+// Migrations in progress, started once the tables exist
+let migrations;
+
 // Create tables
 db.serialize(() => {
   db.run(`
@@ -93,7 +292,8 @@ db.serialize(() => {
             email TEXT UNIQUE NOT NULL,
             name TEXT NOT NULL,
             access_token TEXT,
-            refresh_token TEXT
+            refresh_token TEXT,
+            token_expires_at DATETIME
         )
     `);
 
@@ -108,10 +308,31 @@ db.serialize(() => {
             folder TEXT DEFAULT 'INBOX',
             message_id TEXT,
             html TEXT,
+            mailbox_id INTEGER,
+            imap_folder TEXT,
+            uid INTEGER,
+            uid_validity INTEGER,
+            flags TEXT,
+            trashed_from TEXT,
+            in_reply_to TEXT,
+            reference_ids TEXT,
+            gm_thread_id TEXT,
+            thread_id INTEGER,
             FOREIGN KEY (user_id) REFERENCES users(id)
         )
     `);
 
+  // Custom folders (also created on demand by emailModel)
+  db.run(`
+        CREATE TABLE IF NOT EXISTS custom_folders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER,
+            folder_name TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, folder_name)
+        )
+    `);
+
   // User style profile table for storing writing style characteristics
   db.run(`
         CREATE TABLE IF NOT EXISTS user_style_profiles (
@@ -129,8 +350,181 @@ db.serialize(() => {
         )
     `);
 
+  // Mailboxes linked to a user account. The primary mailbox is the Google
+  // account used to sign in and uses the tokens stored on the users row.
+  db.run(`
+        CREATE TABLE IF NOT EXISTS mailboxes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            display_name TEXT,
+            auth_type TEXT NOT NULL DEFAULT 'oauth2',
+            provider TEXT,
+            access_token TEXT,
+            refresh_token TEXT,
+            token_expires_at DATETIME,
+            password TEXT,
+            imap_host TEXT,
+            imap_port INTEGER,
+            imap_tls INTEGER DEFAULT 1,
+            smtp_host TEXT,
+            smtp_port INTEGER,
+            smtp_secure INTEGER DEFAULT 1,
+            allow_self_signed INTEGER DEFAULT 0,
+            is_primary INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, email),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+  // API tokens issued after Google sign-in; only a hash of each token is kept
+  db.run(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT,
+            token_hash TEXT UNIQUE NOT NULL,
+            token_prefix TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME,
+            expires_at DATETIME,
+            revoked_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+  // Sync progress per mailbox folder: the server's UIDVALIDITY and the
+  // highest UID already stored locally
+  db.run(`
+        CREATE TABLE IF NOT EXISTS folder_sync_state (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            mailbox_id INTEGER NOT NULL,
+            folder TEXT NOT NULL,
+            uid_validity INTEGER,
+            highest_uid INTEGER NOT NULL DEFAULT 0,
+            last_synced_at DATETIME,
+            UNIQUE(mailbox_id, folder),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (mailbox_id) REFERENCES mailboxes(id)
+        )
+    `);
+
+  // Conversations. Emails point at their thread through emails.thread_id;
+  // see services/threadService.js for how they are grouped.
+  db.run(`
+        CREATE TABLE IF NOT EXISTS threads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            subject TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+  db.run(
+    `CREATE INDEX IF NOT EXISTS idx_threads_subject ON threads(user_id, subject)`
+  );
+
+  // Attachments of stored emails, by MIME part. content_hash (SHA-256) is
+  // filled in once the content has been downloaded.
+  db.run(`
+        CREATE TABLE IF NOT EXISTS attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            email_id INTEGER NOT NULL,
+            part_id TEXT NOT NULL,
+            filename TEXT,
+            content_type TEXT,
+            size INTEGER,
+            encoding TEXT,
+            content_id TEXT,
+            disposition TEXT,
+            content_hash TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(email_id, part_id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (email_id) REFERENCES emails(id)
+        )
+    `);
+  db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_emails_delete_attachments
+        AFTER DELETE ON emails
+        BEGIN
+            DELETE FROM attachments WHERE email_id = OLD.id;
+        END
+    `);
+
+  // Original RFC 822 source of imported emails, which exist nowhere else.
+  // Kept out of the emails table so listing emails doesn't read it.
+  db.run(`
+        CREATE TABLE IF NOT EXISTS email_sources (
+            email_id INTEGER PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            source BLOB NOT NULL,
+            size INTEGER NOT NULL,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (email_id) REFERENCES emails(id)
+        )
+    `);
+  db.run(`
+        CREATE TRIGGER IF NOT EXISTS trg_emails_delete_source
+        AFTER DELETE ON emails
+        BEGIN
+            DELETE FROM email_sources WHERE email_id = OLD.id;
+        END
+    `);
+
+  // Outgoing mail, stored before it is sent so failed sends can be retried.
+  // Times the worker compares (next_attempt_at, sent_at) are epoch ms.
+  db.run(`
+        CREATE TABLE IF NOT EXISTS outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            mailbox_id INTEGER,
+            kind TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            max_attempts INTEGER NOT NULL,
+            next_attempt_at INTEGER,
+            send_at INTEGER,
+            time_zone TEXT,
+            last_error TEXT,
+            smtp_response TEXT,
+            message_id TEXT,
+            sent_at INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+  db.run(
+    `CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox(status, next_attempt_at)`
+  );
+
+  // Browser sessions (express-session), so logins survive restarts
+  db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            sid TEXT PRIMARY KEY,
+            user_id INTEGER,
+            sess TEXT NOT NULL,
+            expires_at INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+  db.run(
+    `CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`
+  );
+
   // Run migrations after creating tables
-  migrateDatabase();
+  migrations = migrateDatabase();
 });
 
+// Resolves once migrations have finished; work that writes to the database
+// on its own (syncs, watchers, the outbox worker) waits for it
+export const migrationsReady = migrations;
+
 export default db;
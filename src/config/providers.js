@@ -0,0 +1,107 @@
+/**
+ * Mail provider profiles
+ *
+ * Each profile describes how to reach a provider's IMAP and SMTP servers and
+ * what its standard folders are called. Folder names are only a fallback:
+ * servers that advertise RFC 6154 SPECIAL-USE attributes (\Sent, \Trash,
+ * \Junk, ...) are resolved from those attributes first.
+ */
+
+// Common folder names accepted by the API, mapped to RFC 6154 attributes
+export const SPECIAL_USE_FOLDERS = {
+  sent: "\\Sent",
+  drafts: "\\Drafts",
+  trash: "\\Trash",
+  spam: "\\Junk",
+  all: "\\All",
+  starred: "\\Flagged",
+  important: "\\Important",
+  archive: "\\Archive",
+};
+
+// Other spellings clients use for the same folders
+export const FOLDER_ALIASES = {
+  "sent mail": "sent",
+  "sent items": "sent",
+  draft: "drafts",
+  deleted: "trash",
+  "deleted items": "trash",
+  bin: "trash",
+  junk: "spam",
+  "junk email": "spam",
+  "all mail": "all",
+  flagged: "starred",
+};
+
+export const PROVIDERS = {
+  gmail: {
+    name: "Gmail",
+    imap: { host: "imap.gmail.com", port: 993, tls: true },
+    smtp: { host: "smtp.gmail.com", port: 465, secure: true },
+    folders: {
+      sent: "[Gmail]/Sent Mail",
+      drafts: "[Gmail]/Drafts",
+      trash: "[Gmail]/Trash",
+      spam: "[Gmail]/Spam",
+      all: "[Gmail]/All Mail",
+      starred: "[Gmail]/Starred",
+      important: "[Gmail]/Important",
+    },
+  },
+  outlook: {
+    name: "Outlook",
+    imap: { host: "outlook.office365.com", port: 993, tls: true },
+    // Outlook only offers STARTTLS on the submission port
+    smtp: { host: "smtp.office365.com", port: 587, secure: false },
+    folders: {
+      sent: "Sent Items",
+      drafts: "Drafts",
+      trash: "Deleted Items",
+      spam: "Junk Email",
+      archive: "Archive",
+    },
+  },
+  fastmail: {
+    name: "Fastmail",
+    imap: { host: "imap.fastmail.com", port: 993, tls: true },
+    smtp: { host: "smtp.fastmail.com", port: 465, secure: true },
+    folders: {
+      sent: "Sent",
+      drafts: "Drafts",
+      trash: "Trash",
+      spam: "Spam",
+      archive: "Archive",
+    },
+  },
+  // Self-hosted servers such as Dovecot; hosts come from the mailbox settings
+  // or from IMAP_SERVER/SMTP_SERVER
+  custom: {
+    name: "Custom IMAP/SMTP",
+    imap: {},
+    smtp: {},
+    folders: {
+      sent: "Sent",
+      drafts: "Drafts",
+      trash: "Trash",
+      spam: "Junk",
+      archive: "Archive",
+    },
+  },
+};
+
+/**
+ * Look up a provider profile by key
+ * @param {string} provider - Provider key (gmail, outlook, fastmail, custom)
+ * @returns {Object|null} - Provider profile, or null if unknown
+ */
+export const getProviderProfile = (provider) => {
+  if (!provider) return null;
+  return PROVIDERS[provider.toLowerCase()] || null;
+};
+
+export default {
+  SPECIAL_USE_FOLDERS,
+  FOLDER_ALIASES,
+  PROVIDERS,
+  getProviderProfile,
+};
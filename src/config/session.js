@@ -0,0 +1,131 @@
+import crypto from "crypto";
+import session from "express-session";
+import config from "./config.js";
+import {
+  getSession,
+  saveSession,
+  touchSession,
+  deleteSession,
+  deleteExpiredSessions,
+} from "../models/sessionModel.js";
+
+// Placeholder secrets from the docs and old defaults; never valid in production
+const PLACEHOLDER_SECRETS = [
+  "your-secret-key",
+  "your_session_secret",
+  "changeme",
+  "secret",
+];
+const MIN_SECRET_LENGTH = 32;
+const DEV_SECRET = "your-secret-key";
+
+// How often expired sessions are purged from the database
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * express-session store backed by the application's SQLite database
+ */
+export class SQLiteSessionStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttl - Lifetime (ms) for sessions without a cookie expiry
+   */
+  constructor({ ttl = config.auth.session.cookie.maxAge } = {}) {
+    super();
+    this.ttl = ttl;
+
+    this.cleanupTimer = setInterval(() => {
+      deleteExpiredSessions().catch((err) =>
+        console.error("Error removing expired sessions:", err)
+      );
+    }, CLEANUP_INTERVAL_MS);
+    // Don't keep the process alive just for cleanup
+    this.cleanupTimer.unref();
+  }
+
+  getExpiry(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttl;
+  }
+
+  get(sid, callback) {
+    getSession(sid)
+      .then((row) => callback(null, row ? JSON.parse(row.sess) : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    const userId = (sess.passport && sess.passport.user) || null;
+    saveSession(sid, userId, sess, this.getExpiry(sess))
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    touchSession(sid, this.getExpiry(sess))
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    deleteSession(sid)
+      .then(() => callback(null))
+      .catch(callback);
+  }
+}
+
+/**
+ * Get the session secret, refusing to run in production without a real one
+ * @returns {string} - Session secret
+ */
+export const getSessionSecret = () => {
+  const secret = config.auth.session.secret;
+  const isPlaceholder =
+    !secret || PLACEHOLDER_SECRETS.includes(secret.toLowerCase());
+
+  if (config.server.environment === "production") {
+    if (isPlaceholder || secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(
+        `SESSION_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters in production`
+      );
+    }
+    return secret;
+  }
+
+  if (isPlaceholder) {
+    console.warn(
+      "SESSION_SECRET is not set; using an insecure development secret"
+    );
+    return DEV_SECRET;
+  }
+  return secret;
+};
+
+/**
+ * Public identifier for a session. Session IDs themselves are never exposed.
+ * @param {string} sid - Session ID
+ * @returns {string} - Opaque identifier
+ */
+export const getSessionHandle = (sid) =>
+  crypto.createHash("sha256").update(sid).digest("hex").substring(0, 24);
+
+/**
+ * Build the express-session middleware
+ * @returns {Function} - Express middleware
+ */
+export const createSessionMiddleware = () => {
+  const { cookie } = config.auth.session;
+
+  return session({
+    secret: getSessionSecret(),
+    store: new SQLiteSessionStore({ ttl: cookie.maxAge }),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: config.server.environment === "production",
+      maxAge: cookie.maxAge,
+    },
+  });
+};
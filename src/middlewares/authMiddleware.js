@@ -1,31 +1,54 @@
-import { getUserByEmail } from "../models/userModel.js";
+import { findUserByApiToken } from "../models/apiTokenModel.js";
+
+/**
+ * Read an API token from the request headers
+ * Accepts `Authorization: Bearer <token>` or `X-API-Key: <token>`
+ * @param {Object} req - Express request
+ * @returns {string|null} - The token, if present
+ */
+const getRequestToken = (req) => {
+  const authHeader = req.get("authorization");
+  if (authHeader) {
+    const match = authHeader.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+  }
+
+  const apiKey = req.get("x-api-key");
+  return apiKey ? apiKey.trim() : null;
+};
 
 /**
  * Middleware to check if a user is authenticated
- * Looks for email in query parameters or request body
+ * Accepts a signed-in browser session or an API token issued after Google
+ * sign-in. On success `req.user` holds the authenticated user's row.
  */
 export const isAuthenticated = async (req, res, next) => {
   try {
-    // Get email from query params or request body
-    const email = req.query.email || req.body.senderEmail || req.body.email;
+    // Browser clients signed in through /auth/google keep a session
+    if (req.isAuthenticated && req.isAuthenticated() && req.user) {
+      return next();
+    }
 
-    if (!email) {
-      return res
-        .status(401)
-        .json({ error: "Authentication required. Email not provided." });
+    const token = getRequestToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        error:
+          "Authentication required. Provide a Bearer token or X-API-Key header.",
+      });
     }
 
-    // Get user from database
-    const user = await getUserByEmail(email);
+    const match = await findUserByApiToken(token);
 
-    if (!user || !user.access_token) {
+    if (!match) {
       return res
         .status(401)
-        .json({ error: "User not authenticated or token missing" });
+        .json({ error: "Invalid, expired or revoked API token" });
     }
 
     // Add user to request object for use in route handlers
-    req.user = user;
+    req.user = match.user;
+    req.apiTokenId = match.tokenId;
     next();
   } catch (error) {
     console.error("Authentication error:", error);
@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import db from "../config/db.js";
+import { decryptFields } from "../utils/credentialCrypto.js";
+import { USER_SECRET_FIELDS } from "./userModel.js";
+
+const TOKEN_PREFIX = "eak_";
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token - Plain-text API token
+ * @returns {string} - Hex-encoded SHA-256 digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a new API token for a user. The plain-text token is only returned
+ * here; the database keeps a hash of it.
+ * @param {number} userId - User ID
+ * @param {string} name - Label to help the user recognise the token
+ * @param {string|null} expiresAt - ISO expiry timestamp, or null for none
+ * @returns {Promise<Object>} - Token metadata plus the plain-text token
+ */
+export const createApiToken = (userId, name = null, expiresAt = null) => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const tokenPrefix = token.substring(0, TOKEN_PREFIX.length + 6);
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, name, hashToken(token), tokenPrefix, expiresAt],
+      function (err) {
+        if (err) reject(err);
+        else
+          resolve({
+            id: this.lastID,
+            user_id: userId,
+            name,
+            token,
+            token_prefix: tokenPrefix,
+            expires_at: expiresAt,
+          });
+      }
+    );
+  });
+};
+
+/**
+ * Find the user that owns a valid (not revoked, not expired) API token
+ * @param {string} token - Plain-text API token
+ * @returns {Promise<Object|null>} - `{ user, tokenId }` or null
+ */
+export const findUserByApiToken = (token) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT api_tokens.id AS token_id, users.*
+       FROM api_tokens
+       JOIN users ON users.id = api_tokens.user_id
+       WHERE api_tokens.token_hash = ?
+         AND api_tokens.revoked_at IS NULL
+         AND (api_tokens.expires_at IS NULL OR api_tokens.expires_at > ?)`,
+      [hashToken(token), new Date().toISOString()],
+      (err, row) => {
+        if (err) return reject(err);
+        if (!row) return resolve(null);
+
+        const { token_id: tokenId, ...user } = row;
+
+        // Record usage without holding up the request
+        db.run(
+          `UPDATE api_tokens SET last_used_at = ? WHERE id = ?`,
+          [new Date().toISOString(), tokenId],
+          (updateErr) => {
+            if (updateErr)
+              console.error("Error updating API token usage:", updateErr);
+          }
+        );
+
+        resolve({ user, tokenId });
+      }
+    );
+  }).then(
+    (match) =>
+      match && {
+        user: decryptFields(match.user, USER_SECRET_FIELDS),
+        tokenId: match.tokenId,
+      }
+  );
+};
+
+/**
+ * List a user's API tokens (metadata only)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Token rows without hashes
+ */
+export const getApiTokensByUser = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, name, token_prefix, created_at, last_used_at, expires_at, revoked_at
+       FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+/**
+ * Delete a user's API tokens that have expired
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Number of tokens deleted
+ */
+export const deleteExpiredApiTokens = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM api_tokens
+       WHERE user_id = ? AND expires_at IS NOT NULL AND expires_at <= ?`,
+      [userId, new Date().toISOString()],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+/**
+ * Revoke one of a user's API tokens
+ * @param {number} userId - Owning user ID
+ * @param {number} tokenId - Token ID
+ * @returns {Promise<Object>} - Result of the operation
+ */
+export const revokeApiToken = (userId, tokenId) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE api_tokens SET revoked_at = ?
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [new Date().toISOString(), tokenId, userId],
+      function (err) {
+        if (err) reject(err);
+        else if (this.changes === 0) reject(new Error("API token not found"));
+        else resolve({ id: tokenId, message: "API token revoked" });
+      }
+    );
+  });
+};
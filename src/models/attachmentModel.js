@@ -0,0 +1,91 @@
+import db from "../config/db.js";
+
+// Record the attachments of a stored email, keyed by MIME part
+// Re-recording a part updates its metadata but keeps a known content hash
+export const saveAttachments = (userId, emailId, attachments) => {
+  if (attachments.length === 0) return Promise.resolve(0);
+
+  const rows = attachments.map((attachment) => [
+    userId,
+    emailId,
+    attachment.partId,
+    attachment.filename || null,
+    attachment.contentType || null,
+    attachment.size || null,
+    attachment.encoding || null,
+    attachment.contentId || null,
+    attachment.disposition || null,
+  ]);
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO attachments (user_id, email_id, part_id, filename,
+         content_type, size, encoding, content_id, disposition)
+       VALUES ${rows.map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?)").join(", ")}
+       ON CONFLICT(email_id, part_id) DO UPDATE SET
+         filename = excluded.filename,
+         content_type = excluded.content_type,
+         size = excluded.size,
+         encoding = excluded.encoding,
+         content_id = excluded.content_id,
+         disposition = excluded.disposition`,
+      rows.flat(),
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Get the attachments of a stored email, in part order
+export const getAttachmentsByEmail = (userId, emailId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM attachments WHERE user_id = ? AND email_id = ?
+       ORDER BY id ASC`,
+      [userId, emailId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get one attachment of a stored email
+// Resolves null when the email has no such part or belongs to someone else
+export const getAttachment = (userId, emailId, partId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM attachments
+       WHERE user_id = ? AND email_id = ? AND part_id = ?`,
+      [userId, emailId, partId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+// Record the SHA-256 hash and exact size of a downloaded attachment
+export const setAttachmentContent = (
+  userId,
+  emailId,
+  partId,
+  contentHash,
+  size
+) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE attachments SET content_hash = ?, size = ?
+       WHERE user_id = ? AND email_id = ? AND part_id = ?`,
+      [contentHash, size, userId, emailId, partId],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
@@ -9,13 +9,24 @@ export const saveEmail = (
   receivedAt,
   folder = "INBOX",
   messageId = null,
-  html = null
+  html = null,
+  mailboxId = null
 ) => {
   return new Promise((resolve, reject) => {
     db.run(
-      `INSERT INTO emails (user_id, sender, subject, body, received_at, folder, message_id, html) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [userId, sender, subject, body, receivedAt, folder, messageId, html],
+      `INSERT INTO emails (user_id, sender, subject, body, received_at, folder, message_id, html, mailbox_id) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        sender,
+        subject,
+        body,
+        receivedAt,
+        folder,
+        messageId,
+        html,
+        mailboxId,
+      ],
       function (err) {
         if (err) reject(err);
         else
@@ -29,12 +40,69 @@ export const saveEmail = (
             folder,
             message_id: messageId,
             html,
+            mailbox_id: mailboxId,
           });
       }
     );
   });
 };
 
+// Save an email imported from an .eml file or mbox archive
+// `email` holds sender, subject, body, receivedAt, folder, messageId, html,
+// inReplyTo and referenceIds (array of Message-IDs)
+export const saveImportedEmail = (userId, email) => {
+  const {
+    sender,
+    subject = "",
+    body = "",
+    receivedAt,
+    folder = "INBOX",
+    messageId = null,
+    html = null,
+    inReplyTo = null,
+    referenceIds = [],
+  } = email;
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO emails (user_id, sender, subject, body, received_at, folder,
+         message_id, html, in_reply_to, reference_ids)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        sender,
+        subject,
+        body,
+        receivedAt,
+        folder,
+        messageId,
+        html,
+        inReplyTo,
+        referenceIds.length > 0 ? referenceIds.join(" ") : null,
+      ],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      }
+    );
+  });
+};
+
+// Check whether a user has an email with a Message-ID stored in a folder
+export const hasEmailWithMessageId = (userId, messageId, folder) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT 1 FROM emails
+       WHERE user_id = ? AND message_id = ? AND folder = ? LIMIT 1`,
+      [userId, messageId, folder],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(Boolean(row));
+      }
+    );
+  });
+};
+
 // Get all emails for a user
 export const getEmailsByUser = (userId) => {
   return new Promise((resolve, reject) => {
@@ -49,6 +117,213 @@ export const getEmailsByUser = (userId) => {
   });
 };
 
+// Insert or update an email synced from the server, keyed by its place on
+// the server (mailbox, folder, UID). The local folder label of an existing
+// row is left alone, so emails moved to custom folders stay there.
+export const upsertSyncedEmail = (userId, mailboxId, imapFolder, email) => {
+  const {
+    uid,
+    uidValidity,
+    sender,
+    subject,
+    body,
+    receivedAt,
+    folder = "INBOX",
+    messageId = null,
+    html = null,
+    flags = [],
+    inReplyTo = null,
+    referenceIds = [],
+    gmailThreadId = null,
+  } = email;
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO emails (user_id, sender, subject, body, received_at, folder,
+         message_id, html, mailbox_id, imap_folder, uid, uid_validity, flags,
+         in_reply_to, reference_ids, gm_thread_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(user_id, mailbox_id, imap_folder, uid) DO UPDATE SET
+         sender = excluded.sender,
+         subject = excluded.subject,
+         body = excluded.body,
+         received_at = excluded.received_at,
+         message_id = excluded.message_id,
+         html = excluded.html,
+         uid_validity = excluded.uid_validity,
+         flags = excluded.flags,
+         in_reply_to = excluded.in_reply_to,
+         reference_ids = excluded.reference_ids,
+         gm_thread_id = excluded.gm_thread_id`,
+      [
+        userId,
+        sender,
+        subject,
+        body,
+        receivedAt,
+        folder,
+        messageId,
+        html,
+        mailboxId,
+        imapFolder,
+        uid,
+        uidValidity,
+        JSON.stringify(flags),
+        inReplyTo,
+        referenceIds.length > 0 ? referenceIds.join(" ") : null,
+        gmailThreadId,
+      ],
+      function (err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      }
+    );
+  });
+};
+
+// Get the UID and flags of every email stored locally for a synced server
+// folder, in UID order
+export const getSyncedMessages = (userId, mailboxId, imapFolder) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT uid, flags FROM emails
+       WHERE user_id = ? AND mailbox_id = ? AND imap_folder = ? AND uid IS NOT NULL
+       ORDER BY uid ASC`,
+      [userId, mailboxId, imapFolder],
+      (err, rows) => {
+        if (err) reject(err);
+        else
+          resolve(
+            rows.map((row) => ({
+              uid: row.uid,
+              flags: row.flags ? JSON.parse(row.flags) : [],
+            }))
+          );
+      }
+    );
+  });
+};
+
+// Store the flags (\Seen, \Flagged, ...) of a synced email
+export const updateSyncedFlags = (
+  userId,
+  mailboxId,
+  imapFolder,
+  uid,
+  flags
+) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE emails SET flags = ?
+       WHERE user_id = ? AND mailbox_id = ? AND imap_folder = ? AND uid = ?`,
+      [JSON.stringify(flags), userId, mailboxId, imapFolder, uid],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Delete synced emails that no longer exist on the server
+// Pass `uids` as null to delete every synced email in the folder (used when
+// the server's UIDVALIDITY changes and the old UIDs mean nothing)
+export const deleteSyncedEmails = (userId, mailboxId, imapFolder, uids) => {
+  if (uids && uids.length === 0) return Promise.resolve(0);
+
+  const uidFilter = uids
+    ? `AND uid IN (${uids.map(() => "?").join(", ")})`
+    : "AND uid IS NOT NULL";
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM emails
+       WHERE user_id = ? AND mailbox_id = ? AND imap_folder = ? ${uidFilter}`,
+      [userId, mailboxId, imapFolder, ...(uids || [])],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Get the synced emails stored for some UIDs of a server folder
+export const getSyncedEmailsByUid = (userId, mailboxId, imapFolder, uids) => {
+  if (uids.length === 0) return Promise.resolve([]);
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM emails
+       WHERE user_id = ? AND mailbox_id = ? AND imap_folder = ?
+         AND uid IN (${uids.map(() => "?").join(", ")})`,
+      [userId, mailboxId, imapFolder, ...uids],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Point a synced email at the copy a server-side move created
+// `target` holds imapFolder, folder, uid, uidValidity and trashedFrom (the
+// folder a message was trashed from, or null)
+export const moveSyncedEmail = (userId, mailboxId, imapFolder, uid, target) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE emails
+       SET imap_folder = ?, folder = ?, uid = ?, uid_validity = ?, trashed_from = ?
+       WHERE user_id = ? AND mailbox_id = ? AND imap_folder = ? AND uid = ?`,
+      [
+        target.imapFolder,
+        target.folder,
+        target.uid,
+        target.uidValidity,
+        target.trashedFrom || null,
+        userId,
+        mailboxId,
+        imapFolder,
+        uid,
+      ],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Get a batch of a user's emails in ID order, starting after `afterId`
+// Used to walk through every email without loading them all at once
+export const getEmailsAfterId = (userId, afterId = 0, limit = 100) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM emails WHERE user_id = ? AND id > ? ORDER BY id ASC LIMIT ?`,
+      [userId, afterId, limit],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get a single email owned by a user
+// Resolves null when the email doesn't exist or belongs to someone else
+export const getEmailById = (userId, emailId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM emails WHERE id = ? AND user_id = ?`,
+      [emailId, userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
 // Search emails for a user with various filters
 export const searchEmails = (userId, options = {}) => {
   return new Promise((resolve, reject) => {
@@ -106,13 +381,18 @@ export const searchEmails = (userId, options = {}) => {
   });
 };
 
-// Delete an email
-export const deleteEmail = (emailId) => {
+// Delete an email owned by a user
+export const deleteEmail = (userId, emailId) => {
   return new Promise((resolve, reject) => {
-    db.run(`DELETE FROM emails WHERE id = ?`, [emailId], function (err) {
-      if (err) reject(err);
-      else resolve({ message: "Email deleted successfully" });
-    });
+    db.run(
+      `DELETE FROM emails WHERE id = ? AND user_id = ?`,
+      [emailId, userId],
+      function (err) {
+        if (err) reject(err);
+        else if (this.changes === 0) reject(new Error("Email not found"));
+        else resolve({ message: "Email deleted successfully" });
+      }
+    );
   });
 };
 
@@ -136,17 +416,17 @@ export const getDistinctFoldersByUser = (userId) => {
   });
 };
 
-// Update the folder for an email
-export const updateEmailFolder = (emailId, folderName) => {
+// Update the folder for an email owned by a user
+export const updateEmailFolder = (userId, emailId, folderName) => {
   return new Promise((resolve, reject) => {
     db.run(
-      `UPDATE emails SET folder = ? WHERE id = ?`,
-      [folderName, emailId],
+      `UPDATE emails SET folder = ? WHERE id = ? AND user_id = ?`,
+      [folderName, emailId, userId],
       function (err) {
         if (err) reject(err);
         else {
           if (this.changes === 0) {
-            reject(new Error("Email not found or no changes made"));
+            reject(new Error("Email not found"));
           } else {
             resolve({
               id: emailId,
@@ -269,12 +549,12 @@ export const getCustomFolders = (userId) => {
 };
 
 // Remove an email from a custom folder (move it back to INBOX)
-export const removeEmailFromFolder = (emailId, folder = null) => {
+export const removeEmailFromFolder = (userId, emailId, folder = null) => {
   return new Promise((resolve, reject) => {
-    // First, verify the email exists and get its current folder
+    // First, verify the user owns the email and get its current folder
     db.get(
-      `SELECT folder, user_id FROM emails WHERE id = ?`,
-      [emailId],
+      `SELECT folder, user_id FROM emails WHERE id = ? AND user_id = ?`,
+      [emailId, userId],
       (err, row) => {
         if (err) {
           console.error("Error checking email existence:", err);
@@ -295,8 +575,8 @@ export const removeEmailFromFolder = (emailId, folder = null) => {
 
         // Update the folder to INBOX
         db.run(
-          `UPDATE emails SET folder = 'INBOX' WHERE id = ?`,
-          [emailId],
+          `UPDATE emails SET folder = 'INBOX' WHERE id = ? AND user_id = ?`,
+          [emailId, userId],
           function (err) {
             if (err) {
               console.error("Error moving email to INBOX:", err);
@@ -305,7 +585,7 @@ export const removeEmailFromFolder = (emailId, folder = null) => {
             }
 
             if (this.changes === 0) {
-              reject(new Error("Email not found or no changes made"));
+              reject(new Error("Email not found"));
             } else {
               resolve({
                 id: emailId,
@@ -431,3 +711,18 @@ export const deleteCustomFolder = (userId, folderName) => {
     });
   });
 };
+
+// Get the custom_folders rows for a user (name and creation date)
+export const getCustomFolderRecords = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT folder_name, created_at FROM custom_folders
+       WHERE user_id = ? ORDER BY folder_name ASC`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
@@ -0,0 +1,32 @@
+import db from "../config/db.js";
+
+// Store the original RFC 822 source of an email
+export const saveEmailSource = (userId, emailId, source) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR REPLACE INTO email_sources (email_id, user_id, source, size)
+       VALUES (?, ?, ?, ?)`,
+      [emailId, userId, source, source.length],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Get the stored source of an email, as `{ source, size }`
+// Resolves null when none is stored or the email belongs to someone else
+export const getEmailSource = (userId, emailId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT source, size FROM email_sources
+       WHERE email_id = ? AND user_id = ?`,
+      [emailId, userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
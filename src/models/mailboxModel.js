@@ -0,0 +1,236 @@
+import db from "../config/db.js";
+import { encryptSecret, decryptFields } from "../utils/credentialCrypto.js";
+
+// Columns stored encrypted at rest
+export const MAILBOX_SECRET_FIELDS = [
+  "access_token",
+  "refresh_token",
+  "password",
+];
+
+/**
+ * Link a mailbox to a user, or update its credentials if already linked
+ * @param {number} userId - Owning user ID
+ * @param {Object} mailbox - Mailbox settings
+ * @returns {Promise<Object>} - The saved mailbox row
+ */
+export const saveMailbox = (userId, mailbox) => {
+  const {
+    email,
+    displayName = null,
+    authType = "oauth2",
+    provider = null,
+    accessToken = null,
+    refreshToken = null,
+    tokenExpiresAt = null,
+    password = null,
+    imapHost = null,
+    imapPort = null,
+    imapTls = true,
+    smtpHost = null,
+    smtpPort = null,
+    smtpSecure = true,
+    allowSelfSigned = false,
+    isPrimary = false,
+  } = mailbox;
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO mailboxes (user_id, email, display_name, auth_type, provider, access_token,
+         refresh_token, token_expires_at, password, imap_host, imap_port, imap_tls, smtp_host,
+         smtp_port, smtp_secure, allow_self_signed, is_primary)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(user_id, email) DO UPDATE SET
+         display_name = COALESCE(excluded.display_name, mailboxes.display_name),
+         auth_type = excluded.auth_type,
+         provider = excluded.provider,
+         access_token = excluded.access_token,
+         refresh_token = COALESCE(excluded.refresh_token, mailboxes.refresh_token),
+         token_expires_at = excluded.token_expires_at,
+         password = excluded.password,
+         imap_host = excluded.imap_host,
+         imap_port = excluded.imap_port,
+         imap_tls = excluded.imap_tls,
+         smtp_host = excluded.smtp_host,
+         smtp_port = excluded.smtp_port,
+         smtp_secure = excluded.smtp_secure,
+         allow_self_signed = excluded.allow_self_signed,
+         is_primary = MAX(mailboxes.is_primary, excluded.is_primary)`,
+      [
+        userId,
+        email,
+        displayName,
+        authType,
+        provider,
+        encryptSecret(accessToken),
+        encryptSecret(refreshToken),
+        tokenExpiresAt,
+        encryptSecret(password),
+        imapHost,
+        imapPort,
+        imapTls ? 1 : 0,
+        smtpHost,
+        smtpPort,
+        smtpSecure ? 1 : 0,
+        allowSelfSigned ? 1 : 0,
+        isPrimary ? 1 : 0,
+      ],
+      (err) => {
+        if (err) return reject(err);
+        db.get(
+          `SELECT * FROM mailboxes WHERE user_id = ? AND email = ?`,
+          [userId, email],
+          (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          }
+        );
+      }
+    );
+  }).then((row) => decryptFields(row, MAILBOX_SECRET_FIELDS));
+};
+
+/**
+ * Get a mailbox (including credentials) owned by a user
+ * @param {number} userId - Owning user ID
+ * @param {number} mailboxId - Mailbox ID
+ * @returns {Promise<Object|null>} - Mailbox row, or null if not owned
+ */
+export const getMailboxById = (userId, mailboxId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM mailboxes WHERE id = ? AND user_id = ?`,
+      [mailboxId, userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  }).then((row) => decryptFields(row, MAILBOX_SECRET_FIELDS));
+};
+
+/**
+ * Get the primary (sign-in) mailbox for a user
+ * @param {number} userId - Owning user ID
+ * @returns {Promise<Object|null>} - Mailbox row
+ */
+export const getPrimaryMailbox = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM mailboxes WHERE user_id = ? AND is_primary = 1`,
+      [userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  }).then((row) => decryptFields(row, MAILBOX_SECRET_FIELDS));
+};
+
+/**
+ * Get every mailbox (including credentials) linked to a user
+ * @param {number} userId - Owning user ID
+ * @returns {Promise<Array>} - Mailbox rows, primary first
+ */
+export const getMailboxesByUser = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM mailboxes WHERE user_id = ? ORDER BY is_primary DESC, id ASC`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  }).then((rows) =>
+    rows.map((row) => decryptFields(row, MAILBOX_SECRET_FIELDS))
+  );
+};
+
+/**
+ * Get every mailbox of every user, e.g. to start background work at startup
+ * @returns {Promise<Array>} - Mailbox rows (including credentials)
+ */
+export const getAllMailboxes = () => {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT * FROM mailboxes ORDER BY user_id, id`, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  }).then((rows) =>
+    rows.map((row) => decryptFields(row, MAILBOX_SECRET_FIELDS))
+  );
+};
+
+/**
+ * Store refreshed OAuth tokens for a linked mailbox
+ * @param {number} mailboxId - Mailbox ID
+ * @param {string} accessToken - New access token
+ * @param {string} refreshToken - New refresh token (keeps the old one if null)
+ * @param {string} tokenExpiresAt - ISO expiry timestamp
+ * @returns {Promise<Object>} - Result of the operation
+ */
+export const updateMailboxTokens = (
+  mailboxId,
+  accessToken,
+  refreshToken,
+  tokenExpiresAt
+) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE mailboxes SET access_token = ?,
+           refresh_token = COALESCE(?, refresh_token),
+           token_expires_at = ?
+       WHERE id = ?`,
+      [
+        encryptSecret(accessToken),
+        encryptSecret(refreshToken) || null,
+        tokenExpiresAt,
+        mailboxId,
+      ],
+      function (err) {
+        if (err) reject(err);
+        else if (this.changes === 0) reject(new Error("Mailbox not found"));
+        else resolve({ id: mailboxId, token_expires_at: tokenExpiresAt });
+      }
+    );
+  });
+};
+
+/**
+ * Unlink a mailbox from a user. The primary mailbox can't be removed.
+ * Emails stored from the mailbox are kept but no longer linked to it.
+ * @param {number} userId - Owning user ID
+ * @param {number} mailboxId - Mailbox ID
+ * @returns {Promise<Object>} - Result of the operation
+ */
+export const deleteMailbox = (userId, mailboxId) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM mailboxes WHERE id = ? AND user_id = ? AND is_primary = 0`,
+      [mailboxId, userId],
+      function (err) {
+        if (err) return reject(err);
+        if (this.changes === 0) return reject(new Error("Mailbox not found"));
+
+        db.run(
+          `UPDATE emails SET mailbox_id = NULL WHERE mailbox_id = ? AND user_id = ?`,
+          [mailboxId, userId],
+          (err) => {
+            if (err) return reject(err);
+
+            // Saved emails are kept, but there's nothing left to sync
+            db.run(
+              `DELETE FROM folder_sync_state WHERE mailbox_id = ? AND user_id = ?`,
+              [mailboxId, userId],
+              (err) => {
+                if (err) reject(err);
+                else resolve({ id: mailboxId, message: "Mailbox unlinked" });
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+};
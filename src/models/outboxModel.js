@@ -0,0 +1,235 @@
+import db from "../config/db.js";
+
+// Store an outgoing message
+// `item` holds kind ("email" or "reply"), payload (object), maxAttempts,
+// nextAttemptAt (epoch ms), status ("pending" for messages held for undo,
+// "scheduled" for scheduled ones; default "queued"), and for scheduled
+// messages sendAt (epoch ms) and timeZone
+export const createOutboxItem = (userId, mailboxId, item) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO outbox (user_id, mailbox_id, kind, payload, status,
+         max_attempts, next_attempt_at, send_at, time_zone)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        mailboxId,
+        item.kind,
+        JSON.stringify(item.payload),
+        item.status || "queued",
+        item.maxAttempts,
+        item.nextAttemptAt,
+        item.sendAt || null,
+        item.timeZone || null,
+      ],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      }
+    );
+  });
+};
+
+// Get a single outbox item owned by a user
+// Resolves null when it doesn't exist or belongs to someone else
+export const getOutboxItem = (userId, id) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM outbox WHERE id = ? AND user_id = ?`,
+      [id, userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+// Get a user's outbox, newest first, optionally only items with some statuses
+export const getOutboxItemsByUser = (userId, statuses = [], limit = 100) => {
+  const filter =
+    statuses.length > 0
+      ? `AND status IN (${statuses.map(() => "?").join(", ")})`
+      : "";
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM outbox WHERE user_id = ? ${filter}
+       ORDER BY id DESC LIMIT ?`,
+      [userId, ...statuses, limit],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get a user's scheduled items, the next one to be sent first
+export const getScheduledOutboxItems = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM outbox WHERE user_id = ? AND status = 'scheduled'
+       ORDER BY send_at ASC, id ASC`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get items waiting to be sent that are due, oldest first
+export const getDueOutboxItems = (now, limit = 20) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM outbox
+       WHERE status IN ('pending', 'queued', 'scheduled')
+         AND next_attempt_at <= ?
+       ORDER BY next_attempt_at ASC, id ASC LIMIT ?`,
+      [now, limit],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Claim a waiting (pending, queued or scheduled) item for a send attempt
+// Resolves false if it is no longer waiting (claimed, cancelled, ...)
+export const claimOutboxItem = (id) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET status = 'sending', attempts = attempts + 1,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('pending', 'queued', 'scheduled')`,
+      [id],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      }
+    );
+  });
+};
+
+// Record the outcome of a send attempt
+// `outcome` holds status ("sent", "queued" to retry, or "failed"), and
+// nextAttemptAt, lastError, smtpResponse, messageId and sentAt as they apply
+export const finishOutboxAttempt = (id, outcome) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET status = ?, next_attempt_at = ?, last_error = ?, smtp_response = ?,
+         message_id = ?, sent_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'sending'`,
+      [
+        outcome.status,
+        outcome.nextAttemptAt || null,
+        outcome.lastError || null,
+        outcome.smtpResponse || null,
+        outcome.messageId || null,
+        outcome.sentAt || null,
+        id,
+      ],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Queue a failed item again, with a fresh set of attempts
+export const requeueOutboxItem = (userId, id, nextAttemptAt) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET status = 'queued', attempts = 0, next_attempt_at = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND status = 'failed'`,
+      [nextAttemptAt, id, userId],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Change the send time of a scheduled item that hasn't been sent yet
+export const rescheduleOutboxItem = (userId, id, sendAt, timeZone) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET send_at = ?, time_zone = ?, next_attempt_at = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND status = 'scheduled'`,
+      [sendAt, timeZone || null, sendAt, id, userId],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Cancel an item that is waiting to be sent or has failed
+// `statuses` limits which states it may be cancelled from
+export const cancelOutboxItem = (
+  userId,
+  id,
+  statuses = ["pending", "queued", "scheduled", "failed"]
+) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET status = 'cancelled', next_attempt_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ?
+         AND status IN (${statuses.map(() => "?").join(", ")})`,
+      [id, userId, ...statuses],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Cancel an item held for undo, as long as its hold hasn't ended
+export const undoOutboxItem = (userId, id, now) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET status = 'cancelled', next_attempt_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND status = 'pending'
+         AND next_attempt_at > ?`,
+      [id, userId, now],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Queue again items left mid-send by a crash or restart
+export const requeueInterruptedSends = (now) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE outbox
+       SET status = 'queued', next_attempt_at = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'sending'`,
+      [now],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
@@ -0,0 +1,135 @@
+import db from "../config/db.js";
+
+/**
+ * Load a session that hasn't expired
+ * @param {string} sid - Session ID
+ * @returns {Promise<Object|null>} - Session row, or null
+ */
+export const getSession = (sid) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM sessions WHERE sid = ? AND expires_at > ?`,
+      [sid, Date.now()],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+/**
+ * Create or replace a session
+ * @param {string} sid - Session ID
+ * @param {number|null} userId - Signed-in user, if any
+ * @param {Object} sess - Session data
+ * @param {number} expiresAt - Expiry as a millisecond timestamp
+ * @returns {Promise<void>}
+ */
+export const saveSession = (sid, userId, sess, expiresAt) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO sessions (sid, user_id, sess, expires_at, last_seen_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(sid) DO UPDATE SET
+         user_id = excluded.user_id,
+         sess = excluded.sess,
+         expires_at = excluded.expires_at,
+         last_seen_at = CURRENT_TIMESTAMP`,
+      [sid, userId, JSON.stringify(sess), expiresAt],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+};
+
+/**
+ * Extend a session's expiry and record activity
+ * @param {string} sid - Session ID
+ * @param {number} expiresAt - New expiry as a millisecond timestamp
+ * @returns {Promise<void>}
+ */
+export const touchSession = (sid, expiresAt) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE sessions SET expires_at = ?, last_seen_at = CURRENT_TIMESTAMP
+       WHERE sid = ?`,
+      [expiresAt, sid],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+};
+
+/**
+ * Delete a session
+ * @param {string} sid - Session ID
+ * @returns {Promise<void>}
+ */
+export const deleteSession = (sid) => {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM sessions WHERE sid = ?`, [sid], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+/**
+ * Get a user's active sessions, most recently used first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Session rows
+ */
+export const getSessionsByUser = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM sessions WHERE user_id = ? AND expires_at > ?
+       ORDER BY last_seen_at DESC`,
+      [userId, Date.now()],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+/**
+ * Delete all of a user's sessions, optionally keeping one
+ * @param {number} userId - User ID
+ * @param {string|null} keepSid - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions deleted
+ */
+export const deleteSessionsByUser = (userId, keepSid = null) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM sessions WHERE user_id = ? AND sid != ?`,
+      [userId, keepSid || ""],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+/**
+ * Remove expired sessions
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+export const deleteExpiredSessions = () => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `DELETE FROM sessions WHERE expires_at <= ?`,
+      [Date.now()],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
@@ -0,0 +1,73 @@
+import db from "../config/db.js";
+
+/**
+ * Get the sync progress for a mailbox folder
+ * @param {number} mailboxId - Mailbox ID
+ * @param {string} folder - Folder name on the server
+ * @returns {Promise<Object|null>} - Sync state row, or null if never synced
+ */
+export const getSyncState = (mailboxId, folder) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM folder_sync_state WHERE mailbox_id = ? AND folder = ?`,
+      [mailboxId, folder],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+/**
+ * Record how far a mailbox folder has been synced
+ * @param {number} userId - Owning user ID
+ * @param {number} mailboxId - Mailbox ID
+ * @param {string} folder - Folder name on the server
+ * @param {number} uidValidity - The folder's UIDVALIDITY
+ * @param {number} highestUid - Highest UID stored locally
+ * @returns {Promise<void>}
+ */
+export const saveSyncState = (
+  userId,
+  mailboxId,
+  folder,
+  uidValidity,
+  highestUid
+) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO folder_sync_state
+         (user_id, mailbox_id, folder, uid_validity, highest_uid, last_synced_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(mailbox_id, folder) DO UPDATE SET
+         uid_validity = excluded.uid_validity,
+         highest_uid = excluded.highest_uid,
+         last_synced_at = CURRENT_TIMESTAMP`,
+      [userId, mailboxId, folder, uidValidity, highestUid],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+};
+
+/**
+ * Get the sync progress of every folder in a user's mailboxes
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Sync state rows
+ */
+export const getSyncStatesByUser = (userId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM folder_sync_state WHERE user_id = ?
+       ORDER BY mailbox_id, folder`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
@@ -0,0 +1,244 @@
+import db from "../config/db.js";
+
+/**
+ * Placeholders for an SQL IN list
+ * @param {Array} values - Values
+ * @returns {string}
+ */
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+// Create a thread
+export const createThread = (userId, subject) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO threads (user_id, subject) VALUES (?, ?)`,
+      [userId, subject],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      }
+    );
+  });
+};
+
+// Get the threads of emails with any of the given Message-IDs
+export const findThreadsByMessageIds = (userId, messageIds) => {
+  if (messageIds.length === 0) return Promise.resolve([]);
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT DISTINCT thread_id FROM emails
+       WHERE user_id = ? AND thread_id IS NOT NULL
+         AND message_id IN (${placeholders(messageIds)})`,
+      [userId, ...messageIds],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map((row) => row.thread_id));
+      }
+    );
+  });
+};
+
+// Get the threads of emails that reply to or reference a Message-ID
+// (replies that arrived before the message itself)
+export const findThreadsReferencing = (userId, messageId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT DISTINCT emails.thread_id FROM email_references
+       JOIN emails ON emails.id = email_references.email_id
+       WHERE email_references.user_id = ? AND email_references.referenced_id = ?
+         AND emails.thread_id IS NOT NULL`,
+      [userId, messageId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map((row) => row.thread_id));
+      }
+    );
+  });
+};
+
+// Record the Message-IDs an email names in In-Reply-To and References
+export const addEmailReferences = (userId, emailId, referencedIds) => {
+  if (referencedIds.length === 0) return Promise.resolve(0);
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR IGNORE INTO email_references (user_id, email_id, referenced_id)
+       VALUES ${referencedIds.map(() => "(?, ?, ?)").join(", ")}`,
+      referencedIds.flatMap((id) => [userId, emailId, id]),
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Get the thread of a Gmail conversation (X-GM-THRID) within a mailbox
+// Resolves null when no email of the conversation has been threaded yet
+export const findThreadByGmailId = (userId, mailboxId, gmailThreadId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT thread_id FROM emails
+       WHERE user_id = ? AND mailbox_id = ? AND gm_thread_id = ?
+         AND thread_id IS NOT NULL
+       LIMIT 1`,
+      [userId, mailboxId, gmailThreadId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.thread_id : null);
+      }
+    );
+  });
+};
+
+// Get the most recently active thread with a subject (case-insensitive),
+// with the time of its latest email as last_received_at
+export const findThreadBySubject = (userId, subject) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT threads.id, MAX(emails.received_at) AS last_received_at
+       FROM threads JOIN emails ON emails.thread_id = threads.id
+       WHERE threads.user_id = ? AND threads.subject = ? COLLATE NOCASE
+       GROUP BY threads.id
+       ORDER BY last_received_at DESC
+       LIMIT 1`,
+      [userId, subject],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+// Put an email in a thread
+export const setEmailThread = (userId, emailId, threadId) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE emails SET thread_id = ? WHERE user_id = ? AND id = ?`,
+      [threadId, userId, emailId],
+      function (err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      }
+    );
+  });
+};
+
+// Move the emails of some threads into another thread and delete those threads
+export const mergeThreads = (userId, threadId, mergedIds) => {
+  if (mergedIds.length === 0) return Promise.resolve(0);
+
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run(
+        `UPDATE emails SET thread_id = ?
+         WHERE user_id = ? AND thread_id IN (${placeholders(mergedIds)})`,
+        [threadId, userId, ...mergedIds],
+        (err) => {
+          if (err) reject(err);
+        }
+      );
+      db.run(
+        `DELETE FROM threads
+         WHERE user_id = ? AND id IN (${placeholders(mergedIds)})`,
+        [userId, ...mergedIds],
+        function (err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  });
+};
+
+// Get a page of a user's threads, most recently active first, with the time
+// of their first and last email
+// `mailboxId` limits the list to threads with emails in that mailbox
+export const getThreadsByUser = (
+  userId,
+  { limit = 20, offset = 0, mailboxId = null } = {}
+) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT threads.*, MIN(emails.received_at) AS first_received_at,
+         MAX(emails.received_at) AS last_received_at
+       FROM threads JOIN emails ON emails.thread_id = threads.id
+       WHERE threads.user_id = ?
+       GROUP BY threads.id
+       ${mailboxId ? "HAVING SUM(emails.mailbox_id = ?) > 0" : ""}
+       ORDER BY last_received_at DESC, threads.id DESC
+       LIMIT ? OFFSET ?`,
+      mailboxId ? [userId, mailboxId, limit, offset] : [userId, limit, offset],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Count a user's threads, optionally only those with emails in a mailbox
+export const countThreadsByUser = (userId, mailboxId = null) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT COUNT(DISTINCT thread_id) AS total FROM emails
+       WHERE user_id = ? AND thread_id IS NOT NULL
+       ${mailboxId ? "AND mailbox_id = ?" : ""}`,
+      mailboxId ? [userId, mailboxId] : [userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total);
+      }
+    );
+  });
+};
+
+// Get a single thread owned by a user
+// Resolves null when the thread doesn't exist or belongs to someone else
+export const getThreadById = (userId, threadId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM threads WHERE id = ? AND user_id = ?`,
+      [threadId, userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+};
+
+// Get the emails of some threads, oldest first
+export const getThreadEmails = (userId, threadIds) => {
+  if (threadIds.length === 0) return Promise.resolve([]);
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM emails
+       WHERE user_id = ? AND thread_id IN (${placeholders(threadIds)})
+       ORDER BY received_at ASC, id ASC`,
+      [userId, ...threadIds],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get a batch of a user's emails that are in no thread yet, oldest first
+export const getUnthreadedEmails = (userId, limit = 100) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM emails WHERE user_id = ? AND thread_id IS NULL
+       ORDER BY received_at ASC, id ASC LIMIT ?`,
+      [userId, limit],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
@@ -1,13 +1,21 @@
 import db from "../config/db.js";
+import { encryptSecret, decryptFields } from "../utils/credentialCrypto.js";
+
+// Columns stored encrypted at rest
+export const USER_SECRET_FIELDS = ["access_token", "refresh_token"];
 
 // Create a new user or update tokens if user already exists
-export const saveUser = (email, name, accessToken, refreshToken) => {
+// Google only returns a refresh token on first consent, so keep the stored one
+// when a later login doesn't include it
+export const saveUser = (email, name, accessToken, refreshToken, tokenExpiresAt = null) => {
     return new Promise((resolve, reject) => {
         db.run(
-            `INSERT INTO users (email, name, access_token, refresh_token) 
-             VALUES (?, ?, ?, ?) 
-             ON CONFLICT(email) DO UPDATE SET access_token = excluded.access_token, refresh_token = excluded.refresh_token`,
-            [email, name, accessToken, refreshToken],
+            `INSERT INTO users (email, name, access_token, refresh_token, token_expires_at) 
+             VALUES (?, ?, ?, ?, ?) 
+             ON CONFLICT(email) DO UPDATE SET access_token = excluded.access_token,
+                 refresh_token = COALESCE(excluded.refresh_token, users.refresh_token),
+                 token_expires_at = excluded.token_expires_at`,
+            [email, name, encryptSecret(accessToken), encryptSecret(refreshToken) || null, tokenExpiresAt],
             function (err) {
                 if (err) reject(err);
                 else resolve({ id: this.lastID, email, name });
@@ -16,6 +24,24 @@ export const saveUser = (email, name, accessToken, refreshToken) => {
     });
 };
 
+// Store refreshed OAuth tokens for a user
+export const updateUserTokens = (userId, accessToken, refreshToken, tokenExpiresAt) => {
+    return new Promise((resolve, reject) => {
+        db.run(
+            `UPDATE users SET access_token = ?,
+                 refresh_token = COALESCE(?, refresh_token),
+                 token_expires_at = ?
+             WHERE id = ?`,
+            [encryptSecret(accessToken), encryptSecret(refreshToken) || null, tokenExpiresAt, userId],
+            function (err) {
+                if (err) reject(err);
+                else if (this.changes === 0) reject(new Error("User not found"));
+                else resolve({ id: userId, token_expires_at: tokenExpiresAt });
+            }
+        );
+    });
+};
+
 // Get user by email
 export const getUserByEmail = (email) => {
     return new Promise((resolve, reject) => {
@@ -23,15 +49,64 @@ export const getUserByEmail = (email) => {
             if (err) reject(err);
             else resolve(row);
         });
-    });
+    }).then((row) => decryptFields(row, USER_SECRET_FIELDS));
 };
 
-// Delete user (for account removal feature)
-export const deleteUser = (email) => {
+// Get user by ID
+export const getUserById = (id) => {
     return new Promise((resolve, reject) => {
-        db.run(`DELETE FROM users WHERE email = ?`, [email], function (err) {
+        db.get(`SELECT * FROM users WHERE id = ?`, [id], (err, row) => {
             if (err) reject(err);
-            else resolve({ message: "User deleted successfully" });
+            else resolve(row);
+        });
+    }).then((row) => decryptFields(row, USER_SECRET_FIELDS));
+};
+
+// Tables holding rows owned by a user, as [table, summary key], deleted
+// before the users row itself
+const USER_OWNED_TABLES = [
+    ["attachments", "attachments"],
+    ["email_sources", "emailSources"],
+    ["outbox", "outbox"],
+    ["email_references", "emailReferences"],
+    ["threads", "threads"],
+    ["emails", "emails"],
+    ["custom_folders", "customFolders"],
+    ["user_style_profiles", "styleProfiles"],
+    ["folder_sync_state", "syncStates"],
+    ["mailboxes", "mailboxes"],
+    ["api_tokens", "apiTokens"],
+    ["sessions", "sessions"],
+];
+
+// Delete a user and everything they own in one transaction, so no rows are
+// left behind for whoever is later given the same id
+// Resolves with the number of rows deleted per table
+export const deleteUser = (userId) => {
+    return new Promise((resolve, reject) => {
+        const deleted = {};
+        let failure = null;
+
+        const track = (key) =>
+            function (err) {
+                if (err) failure = failure || err;
+                else deleted[key] = this.changes;
+            };
+
+        // BEGIN through COMMIT are queued together, so no statement from
+        // another request can end up inside the transaction
+        db.serialize(() => {
+            db.run("BEGIN TRANSACTION");
+            USER_OWNED_TABLES.forEach(([table, key]) => {
+                db.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId], track(key));
+            });
+            db.run(`DELETE FROM users WHERE id = ?`, [userId], track("users"));
+            db.run("COMMIT", (err) => {
+                // A failed DELETE leaves the rest deleted; deleting again finishes the job
+                if (err || failure) return reject(err || failure);
+                if (deleted.users === 0) return reject(new Error("User not found"));
+                resolve(deleted);
+            });
         });
     });
-};
\ No newline at end of file
+};
@@ -2,43 +2,114 @@ import express from "express";
 import responseGeneratorService from "../services/responseGeneratorService.js";
 import styleAnalyzerService from "../services/styleAnalyzerService.js";
 import { getStyleProfile } from "../models/userStyleProfileModel.js";
-import { getEmailsByUser, saveEmail } from "../models/emailModel.js";
+import { saveEmail } from "../models/emailModel.js";
 import voiceReplyService from "../services/voiceReplyService.js";
 import composeEmailService from "../services/composeEmailService.js";
+import { isAuthenticated } from "../middlewares/authMiddleware.js";
+import { withMailbox } from "../services/mailboxService.js";
+import { getReplyHeaders, getReplySubject } from "../services/replyService.js";
+import {
+  addMessageRefs,
+  resolveMessage,
+} from "../services/messageRefService.js";
 
 const router = express.Router();
 
+// Every AI route requires an authenticated user
+router.use(isAuthenticated);
+
+/**
+ * Pick the response status for an error raised while handling a request
+ * @param {Error} error - Error
+ * @returns {number} - HTTP status
+ */
+const errorStatus = (error) =>
+  error.message.includes("Invalid message reference")
+    ? 400
+    : error.message.includes("not found")
+    ? 404
+    : 500;
+
+/**
+ * Load the email a request is about. Messages are addressed by `ref` (see
+ * messageRefService); the IMAP sequence number is still accepted, but only
+ * reaches the newest `limit` inbox emails and changes as mail arrives or is
+ * deleted.
+ * @param {Object} user - User row
+ * @param {Object} target - `{ ref }` or `{ seqno, limit }`
+ * @returns {Promise<Object>} - Email with ref, from, subject, date and body
+ */
+const loadTargetEmail = async (user, { ref, seqno, limit }) => {
+  if (ref) {
+    console.log(`Loading email ${ref}`);
+    return resolveMessage(user, ref);
+  }
+
+  console.log(
+    `Fetching inbox for ${user.email} to find email with seqno ${seqno}`
+  );
+
+  // Import the emailService dynamically to avoid circular dependencies
+  const emailService = (await import("../services/emailService.js")).default;
+
+  // Fetch a larger set of emails to ensure we find the one with the specified seqno
+  const emails = await withMailbox(user, null, (mailbox, credentials) =>
+    emailService
+      .getInbox(mailbox.email, credentials, limit)
+      .then((inbox) => addMessageRefs(inbox, mailbox.id))
+  );
+  console.log(`Successfully fetched ${emails.length} emails from inbox`);
+
+  // Find the email with the matching sequence number
+  const targetEmail = emails.find((email) => email.seqno === seqno);
+  if (!targetEmail) {
+    throw new Error(
+      `Email with sequence number ${seqno} not found in the most recent ${limit} emails`
+    );
+  }
+
+  return {
+    ...targetEmail,
+    from: targetEmail.from ? targetEmail.from.text : null,
+  };
+};
+
 /**
  * Generate an AI response to an email
  * POST /ai/generate-response
- * Accepts email content and user ID, returns a styled response
+ * Accepts email content, or the ref of a message, and returns a styled response
  */
 router.post("/generate-response", async (req, res) => {
   try {
-    const { emailContent, userId } = req.body;
+    const { emailContent, ref } = req.body;
 
     // Validate required fields
-    if (!emailContent) {
-      return res.status(400).json({ error: "Email content is required" });
+    if (!emailContent && !ref) {
+      return res
+        .status(400)
+        .json({ error: "Email content or a message ref is required" });
     }
 
-    // Default to user ID 1 if not provided (for testing)
-    const userIdToUse = userId || 1;
+    const userIdToUse = req.user.id;
+    const content = ref
+      ? cleanEmailContent((await resolveMessage(req.user, ref)).body)
+      : emailContent;
 
     // Generate the response
     const response = await responseGeneratorService.generateResponse(
       userIdToUse,
-      emailContent
+      content
     );
 
     res.json({
       message: "Response generated successfully",
       response: response.response,
       confidence: response.confidence,
+      ref: ref || undefined,
     });
   } catch (error) {
     console.error("Error generating AI response:", error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -49,21 +120,25 @@ router.post("/generate-response", async (req, res) => {
  * Intelligent Reply Endpoint - Handles the entire workflow for intelligent email replies
  * POST /ai/intelligent-reply
  * Accepts either:
- * 1. emailId for emails already in the database, or
- * 2. emailContent and emailData for direct replies without saving
+ * 1. ref of a message (emailId, the id of an email in the database, also
+ *    works), or
+ * 2. emailContent and emailData (from, subject, date, and messageId and
+ *    references for threading) for direct replies without saving
+ *
+ * The reply carries inReplyTo and references (RFC Message-IDs) for threading;
+ * with a ref, /email/reply works them out itself.
  */
 router.post("/intelligent-reply", async (req, res) => {
   try {
     const {
+      ref,
       emailId,
-      userId,
       forceStyleUpdate = false,
       emailContent,
       emailData,
     } = req.body;
 
-    // Default to user ID 1 if not provided (for testing)
-    const userIdToUse = userId || 1;
+    const userIdToUse = req.user.id;
 
     // 1. Always analyze style before generating a response
     // This will automatically fetch emails from sent folder when needed
@@ -92,10 +167,7 @@ router.post("/intelligent-reply", async (req, res) => {
       const originalSender = emailData.from || "unknown@example.com";
       const originalSubject = emailData.subject || "No Subject";
 
-      // Prepare reply subject (add Re: if not already present)
-      const replySubject = originalSubject.startsWith("Re:")
-        ? originalSubject
-        : `Re: ${originalSubject}`;
+      const replySubject = getReplySubject(originalSubject);
 
       // Generate an AI response with user's style
       const response = await responseGeneratorService.generateResponse(
@@ -129,37 +201,30 @@ router.post("/intelligent-reply", async (req, res) => {
           to: originalSender,
           subject: replySubject,
           body: response.response,
-          inReplyTo: savedEmailId,
+          ...getReplyHeaders(emailData),
+          databaseId: savedEmailId,
           confidence: response.confidence,
           originalContent: emailContent,
         },
       });
     }
 
-    // Validate required fields for database lookup path
-    if (!emailId) {
+    // Validate required fields for message lookup path
+    if (!ref && !emailId) {
       return res.status(400).json({
-        error: "Either emailId or (emailContent + emailData) must be provided",
+        error: "Either ref or (emailContent + emailData) must be provided",
       });
     }
 
-    // 2. Fetch the email content (the email being replied to) from database
-    const emails = await getEmailsByUser(userIdToUse);
-    const targetEmail = emails.find((email) => email.id === parseInt(emailId));
-
-    if (!targetEmail) {
-      return res.status(404).json({ error: "Email not found" });
-    }
+    // 2. Fetch the email being replied to
+    const targetEmail = await resolveMessage(req.user, ref || emailId);
 
     // 3. Extract original email content and metadata for the reply
-    const originalSubject = targetEmail.subject;
-    const originalSender = targetEmail.sender;
+    const originalSubject = targetEmail.subject || "No Subject";
+    const originalSender = targetEmail.from;
     const originalContent = targetEmail.body;
 
-    // Prepare reply subject (add Re: if not already present)
-    const replySubject = originalSubject.startsWith("Re:")
-      ? originalSubject
-      : `Re: ${originalSubject}`;
+    const replySubject = getReplySubject(originalSubject);
 
     // 4. Generate an AI response with user's style
     const response = await responseGeneratorService.generateResponse(
@@ -174,14 +239,16 @@ router.post("/intelligent-reply", async (req, res) => {
         to: originalSender,
         subject: replySubject,
         body: response.response,
-        inReplyTo: emailId,
+        ...getReplyHeaders(targetEmail),
+        ref: targetEmail.ref,
+        databaseId: targetEmail.emailId,
         confidence: response.confidence,
         originalContent: originalContent,
       },
     });
   } catch (error) {
     console.error("Error generating intelligent reply:", error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -195,12 +262,7 @@ router.post("/intelligent-reply", async (req, res) => {
  */
 router.post("/analyze-style", async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    // Validate required fields
-    if (!userId) {
-      return res.status(400).json({ error: "User ID is required" });
-    }
+    const userId = req.user.id;
 
     // Analyze the user's style
     const styleProfile = await styleAnalyzerService.analyzeUserStyle(userId);
@@ -219,16 +281,18 @@ router.post("/analyze-style", async (req, res) => {
 });
 
 /**
- * Get a user's style profile
- * GET /ai/style-profile/:userId
- * Returns the user's current style profile
+ * Get the authenticated user's style profile
+ * GET /ai/style-profile
+ * The trailing :userId is accepted for backward compatibility only
  */
-router.get("/style-profile/:userId", async (req, res) => {
+router.get(["/style-profile", "/style-profile/:userId"], async (req, res) => {
   try {
-    const userId = parseInt(req.params.userId);
+    const userId = req.user.id;
 
-    if (isNaN(userId)) {
-      return res.status(400).json({ error: "Invalid user ID" });
+    if (req.params.userId && parseInt(req.params.userId) !== userId) {
+      return res
+        .status(403)
+        .json({ error: "Cannot read another user's style profile" });
     }
 
     const styleProfile = await getStyleProfile(userId);
@@ -248,60 +312,41 @@ router.get("/style-profile/:userId", async (req, res) => {
 });
 
 /**
- * Reply to Email by Sequence Number - One-step endpoint that fetches an email by sequence number
- * and generates an intelligent reply for it
+ * Reply to Email - One-step endpoint that fetches an email and generates an
+ * intelligent reply for it
  * POST /ai/reply-to-sequence
- * Accepts seqno (sequence number) from IMAP, userId, and email parameters
+ * Accepts the ref of a message, or its IMAP sequence number (seqno) in the
+ * newest `limit` inbox emails
  */
 router.post("/reply-to-sequence", async (req, res) => {
   try {
-    const { seqno, userId, email: userEmail, limit = 50 } = req.body;
+    const { ref, seqno, limit = 50 } = req.body;
 
     // Validate required fields
-    if (!seqno) {
-      return res
-        .status(400)
-        .json({ error: "Email sequence number (seqno) is required" });
+    if (!ref && !seqno) {
+      return res.status(400).json({
+        error: "A message ref or sequence number (seqno) is required",
+      });
     }
 
     // Convert seqno to integer if it's a string
     const seqnoInt = parseInt(seqno, 10);
-    if (isNaN(seqnoInt)) {
+    if (!ref && isNaN(seqnoInt)) {
       return res
         .status(400)
         .json({ error: "Sequence number must be a valid integer" });
     }
 
-    // Default to user ID 1 if not provided (for testing)
-    const userIdToUse = userId || 1;
-    const emailToUse = userEmail || process.env.EMAIL_USER;
-
-    // Step 1: Fetch emails from inbox to find the target email
-    console.log(
-      `Fetching inbox for ${emailToUse} to find email with seqno ${seqnoInt}`
-    );
-
-    // Import the emailService dynamically to avoid circular dependencies
-    const emailService = (await import("../services/emailService.js")).default;
+    const userIdToUse = req.user.id;
 
-    // Fetch a larger set of emails to ensure we find the one with the specified seqno
-    const emails = await emailService.getInbox(
-      emailToUse,
-      "dummy-token",
-      limit
-    );
-    console.log(`Successfully fetched ${emails.length} emails from inbox`);
-
-    // Find the email with the matching sequence number
-    const targetEmail = emails.find((email) => email.seqno === seqnoInt);
-
-    if (!targetEmail) {
-      return res.status(404).json({
-        error: `Email with sequence number ${seqnoInt} not found in the most recent ${limit} emails`,
-      });
-    }
+    // Step 1: Find the target email
+    const targetEmail = await loadTargetEmail(req.user, {
+      ref,
+      seqno: seqnoInt,
+      limit,
+    });
 
-    console.log(`Found email with seqno ${seqnoInt}:`);
+    console.log(`Found email ${targetEmail.ref || `#${targetEmail.seqno}`}:`);
     console.log(`- From: ${targetEmail.from}`);
     console.log(`- Subject: ${targetEmail.subject}`);
     console.log(`- Date: ${targetEmail.date}`);
@@ -326,18 +371,15 @@ router.post("/reply-to-sequence", async (req, res) => {
     }
 
     // Extract email content and metadata
-    const emailContent = targetEmail.body;
+    const emailContent = targetEmail.body || "";
     const originalSender = targetEmail.from;
-    const originalSubject = targetEmail.subject;
+    const originalSubject = targetEmail.subject || "No Subject";
     const originalDate = targetEmail.date;
 
     // Clean the email content to remove any potential subject lines or headers
     const cleanedEmailContent = cleanEmailContent(emailContent);
 
-    // Prepare reply subject (add Re: if not already present)
-    const replySubject = originalSubject.startsWith("Re:")
-      ? originalSubject
-      : `Re: ${originalSubject}`;
+    const replySubject = getReplySubject(originalSubject);
 
     // Generate the AI response
     const response = await responseGeneratorService.generateResponse(
@@ -345,23 +387,26 @@ router.post("/reply-to-sequence", async (req, res) => {
       cleanedEmailContent
     );
 
-    // Optionally save the email to database for future reference
-    let savedEmailId = null;
-    try {
-      const savedEmail = await saveEmail(
-        userIdToUse,
-        originalSender,
-        originalSubject,
-        emailContent,
-        new Date(originalDate || Date.now())
-      );
-      savedEmailId = savedEmail.id;
-      console.log(
-        `Email automatically saved to database with ID: ${savedEmailId}`
-      );
-    } catch (saveError) {
-      console.warn(`Could not save email to database: ${saveError.message}`);
-      // Continue even if save fails
+    // Save the email to database for future reference, unless it is stored
+    // already
+    let savedEmailId = targetEmail.emailId || null;
+    if (!savedEmailId) {
+      try {
+        const savedEmail = await saveEmail(
+          userIdToUse,
+          originalSender,
+          originalSubject,
+          emailContent,
+          new Date(originalDate || Date.now())
+        );
+        savedEmailId = savedEmail.id;
+        console.log(
+          `Email automatically saved to database with ID: ${savedEmailId}`
+        );
+      } catch (saveError) {
+        console.warn(`Could not save email to database: ${saveError.message}`);
+        // Continue even if save fails
+      }
     }
 
     // Return complete response with metadata for the frontend to use
@@ -371,8 +416,9 @@ router.post("/reply-to-sequence", async (req, res) => {
         to: originalSender,
         subject: replySubject,
         body: response.response,
-        inReplyTo: targetEmail.id, // Use original message ID for threading
-        messageSeqNo: seqnoInt,
+        ...getReplyHeaders(targetEmail),
+        ref: targetEmail.ref,
+        messageSeqNo: targetEmail.seqno || null,
         databaseId: savedEmailId,
         confidence: response.confidence,
         originalContent: emailContent,
@@ -380,7 +426,7 @@ router.post("/reply-to-sequence", async (req, res) => {
     });
   } catch (error) {
     console.error("Error generating reply to sequence:", error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -432,26 +478,21 @@ function cleanEmailContent(content) {
 // This endpoint is replaced by the new version below that uses seqno
 
 /**
- * Voice Reply to Email by Sequence Number - One-step endpoint that fetches an email by sequence number
- * and generates a reply based on voice instructions in any language
+ * Voice Reply to Email - One-step endpoint that fetches an email and generates
+ * a reply based on voice instructions in any language
  * POST /ai/generate-voice-reply
- * Accepts seqno (sequence number) from IMAP, instructions in any language, and user ID
+ * Accepts the ref of a message (or its IMAP sequence number, seqno) and
+ * instructions in any language
  */
 router.post("/generate-voice-reply", async (req, res) => {
   try {
-    const {
-      seqno,
-      instructions,
-      userId,
-      email: userEmail,
-      limit = 50,
-    } = req.body;
+    const { ref, seqno, instructions, limit = 50 } = req.body;
 
     // Validate required fields
-    if (!seqno) {
-      return res
-        .status(400)
-        .json({ error: "Email sequence number (seqno) is required" });
+    if (!ref && !seqno) {
+      return res.status(400).json({
+        error: "A message ref or sequence number (seqno) is required",
+      });
     }
 
     if (!instructions) {
@@ -460,59 +501,36 @@ router.post("/generate-voice-reply", async (req, res) => {
 
     // Convert seqno to integer if it's a string
     const seqnoInt = parseInt(seqno, 10);
-    if (isNaN(seqnoInt)) {
+    if (!ref && isNaN(seqnoInt)) {
       return res
         .status(400)
         .json({ error: "Sequence number must be a valid integer" });
     }
 
-    // Default to user ID 1 if not provided (for testing)
-    const userIdToUse = userId || 1;
-    const emailToUse = userEmail || process.env.EMAIL_USER;
-
-    // Step 1: Fetch emails from inbox to find the target email
-    console.log(
-      `Fetching inbox for ${emailToUse} to find email with seqno ${seqnoInt}`
-    );
+    const userIdToUse = req.user.id;
 
-    // Import the emailService dynamically to avoid circular dependencies
-    const emailService = (await import("../services/emailService.js")).default;
-
-    // Fetch a larger set of emails to ensure we find the one with the specified seqno
-    const emails = await emailService.getInbox(
-      emailToUse,
-      "dummy-token",
-      limit
-    );
-    console.log(`Successfully fetched ${emails.length} emails from inbox`);
-
-    // Find the email with the matching sequence number
-    const targetEmail = emails.find((email) => email.seqno === seqnoInt);
-
-    if (!targetEmail) {
-      return res.status(404).json({
-        error: `Email with sequence number ${seqnoInt} not found in the most recent ${limit} emails`,
-      });
-    }
+    // Step 1: Find the target email
+    const targetEmail = await loadTargetEmail(req.user, {
+      ref,
+      seqno: seqnoInt,
+      limit,
+    });
 
-    console.log(`Found email with seqno ${seqnoInt}:`);
+    console.log(`Found email ${targetEmail.ref || `#${targetEmail.seqno}`}:`);
     console.log(`- From: ${targetEmail.from}`);
     console.log(`- Subject: ${targetEmail.subject}`);
     console.log(`- Date: ${targetEmail.date}`);
 
     // Extract email content and metadata
-    const emailContent = targetEmail.body;
+    const emailContent = targetEmail.body || "";
     const originalSender = targetEmail.from;
-    const originalSubject = targetEmail.subject;
+    const originalSubject = targetEmail.subject || "No Subject";
     const originalDate = targetEmail.date;
 
     // Clean the email content to remove any potential subject lines or headers
     const cleanedEmailContent = cleanEmailContent(emailContent);
 
-    // Prepare reply subject (add Re: if not already present)
-    const replySubject = originalSubject.startsWith("Re:")
-      ? originalSubject
-      : `Re: ${originalSubject}`;
+    const replySubject = getReplySubject(originalSubject);
 
     // Generate the voice-instructed response
     const voiceReply = await voiceReplyService.generateVoiceReply(
@@ -521,23 +539,26 @@ router.post("/generate-voice-reply", async (req, res) => {
       instructions
     );
 
-    // Optionally save the email to database for future reference
-    let savedEmailId = null;
-    try {
-      const savedEmail = await saveEmail(
-        userIdToUse,
-        originalSender,
-        originalSubject,
-        emailContent,
-        new Date(originalDate || Date.now())
-      );
-      savedEmailId = savedEmail.id;
-      console.log(
-        `Email automatically saved to database with ID: ${savedEmailId}`
-      );
-    } catch (saveError) {
-      console.warn(`Could not save email to database: ${saveError.message}`);
-      // Continue even if save fails
+    // Save the email to database for future reference, unless it is stored
+    // already
+    let savedEmailId = targetEmail.emailId || null;
+    if (!savedEmailId) {
+      try {
+        const savedEmail = await saveEmail(
+          userIdToUse,
+          originalSender,
+          originalSubject,
+          emailContent,
+          new Date(originalDate || Date.now())
+        );
+        savedEmailId = savedEmail.id;
+        console.log(
+          `Email automatically saved to database with ID: ${savedEmailId}`
+        );
+      } catch (saveError) {
+        console.warn(`Could not save email to database: ${saveError.message}`);
+        // Continue even if save fails
+      }
     }
 
     // Return complete response with metadata for the frontend to use
@@ -547,8 +568,9 @@ router.post("/generate-voice-reply", async (req, res) => {
         to: originalSender,
         subject: replySubject,
         body: voiceReply.response,
-        inReplyTo: targetEmail.id, // Use original message ID for threading
-        messageSeqNo: seqnoInt,
+        ...getReplyHeaders(targetEmail),
+        ref: targetEmail.ref,
+        messageSeqNo: targetEmail.seqno || null,
         databaseId: savedEmailId,
         confidence: voiceReply.confidence,
         originalContent: emailContent,
@@ -558,7 +580,7 @@ router.post("/generate-voice-reply", async (req, res) => {
     });
   } catch (error) {
     console.error("Error generating voice-instructed reply:", error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -573,15 +595,14 @@ router.post("/generate-voice-reply", async (req, res) => {
  */
 router.post("/compose-email", async (req, res) => {
   try {
-    const { instructions, userId } = req.body;
+    const { instructions } = req.body;
 
     // Validate required fields
     if (!instructions) {
       return res.status(400).json({ error: "Instructions are required" });
     }
 
-    // Default to user ID 1 if not provided (for testing)
-    const userIdToUse = userId || 1;
+    const userIdToUse = req.user.id;
 
     // Generate the email draft
     const emailDraft = await composeEmailService.composeEmail(instructions);
@@ -1,16 +1,32 @@
 import express from "express";
 import passport from "../config/auth.js";
+import config from "../config/config.js";
 import { getUserByEmail, deleteUser } from "../models/userModel.js";
+import {
+  createApiToken,
+  getApiTokensByUser,
+  revokeApiToken,
+  deleteExpiredApiTokens,
+} from "../models/apiTokenModel.js";
+import {
+  getSessionsByUser,
+  deleteSession,
+  deleteSessionsByUser,
+} from "../models/sessionModel.js";
+import { getSessionHandle } from "../config/session.js";
+import {
+  streamAccountExport,
+  getExportFileName,
+} from "../services/exportService.js";
+import { isAuthenticated } from "../middlewares/authMiddleware.js";
+import { stopUserJobs } from "../services/queueService.js";
+import mailEventBus, { MAIL_EVENTS } from "../services/mailEventBus.js";
 
 const router = express.Router();
 
 // Get user profile if authenticated
-router.get("/profile", async (req, res) => {
+router.get("/profile", isAuthenticated, async (req, res) => {
   try {
-    if (!req.user) {
-      return res.status(401).json({ error: "Not authenticated" });
-    }
-
     const user = await getUserByEmail(req.user.email);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
@@ -32,6 +48,9 @@ router.get(
   "/google",
   passport.authenticate("google", {
     scope: ["profile", "email", "https://mail.google.com/"],
+    // Ask for a refresh token so mailbox access survives token expiry
+    accessType: "offline",
+    prompt: "consent",
   })
 );
 
@@ -39,8 +58,62 @@ router.get(
 router.get(
   "/google/callback",
   passport.authenticate("google", { failureRedirect: "/auth/login-failed" }),
+  async (req, res) => {
+    try {
+      // Recorded so the user can recognise the session in GET /auth/sessions
+      req.session.userAgent = req.get("user-agent") || null;
+      req.session.ip = req.ip;
+      req.session.signedInAt = new Date().toISOString();
+
+      // Issue an API token so non-browser clients can call /email and /ai.
+      // It expires, so repeated sign-ins don't pile up permanent credentials.
+      const user = await getUserByEmail(req.user.email);
+      await deleteExpiredApiTokens(user.id);
+      const apiToken = await createApiToken(
+        user.id,
+        "Google sign-in",
+        new Date(Date.now() + config.auth.signInTokenMaxAge).toISOString()
+      );
+
+      // Only profile fields; OAuth tokens never leave the server
+      res.json({
+        message: "Login successful",
+        user: { id: user.id, email: user.email, name: user.name },
+        token: apiToken.token,
+        tokenType: "Bearer",
+        expiresAt: apiToken.expires_at,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Link another Google account as a mailbox
+// Opened in a browser with the state returned by POST /email/mailboxes/oauth
+router.get("/google/link", (req, res, next) => {
+  if (!req.query.state) {
+    return res.status(400).json({ error: "state is required" });
+  }
+
+  passport.authenticate("google-link", {
+    scope: ["profile", "email", "https://mail.google.com/"],
+    accessType: "offline",
+    prompt: "consent",
+    state: req.query.state,
+    session: false,
+  })(req, res, next);
+});
+
+// Google callback for linked mailboxes
+router.get(
+  "/google/link/callback",
+  passport.authenticate("google-link", {
+    session: false,
+    failureRedirect: "/auth/login-failed",
+  }),
   (req, res) => {
-    res.json({ message: "Login successful", user: req.user });
+    res.json({ message: "Mailbox linked", mailbox: req.user.mailbox });
   }
 );
 
@@ -50,31 +123,173 @@ router.get("/login-failed", (req, res) => {
 });
 
 // Logout route
-router.get("/logout", (req, res) => {
-  req.logout((err) => {
-    if (err) {
-      return res.status(500).json({ error: err.message });
+// Revokes the API token used for the request and ends any browser session.
+// POST, so a cross-site link can't sign the user out.
+router.post("/logout", isAuthenticated, async (req, res) => {
+  try {
+    if (req.apiTokenId) {
+      await revokeApiToken(req.user.id, req.apiTokenId);
     }
-    res.json({ message: "Logged out successfully" });
-  });
+
+    req.logout((err) => {
+      if (err) {
+        return res.status(500).json({ error: err.message });
+      }
+      res.json({ message: "Logged out successfully" });
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Delete account
-router.delete("/account", async (req, res) => {
+/**
+ * Summarise a stored session without exposing its ID
+ * @param {Object} row - Session row
+ * @param {string} currentSid - ID of the session making the request
+ * @returns {Object} - Public session details
+ */
+const toPublicSession = (row, currentSid) => {
+  const sess = JSON.parse(row.sess);
+  return {
+    id: getSessionHandle(row.sid),
+    current: row.sid === currentSid,
+    userAgent: sess.userAgent || null,
+    ip: sess.ip || null,
+    signedInAt: sess.signedInAt || row.created_at,
+    lastSeenAt: row.last_seen_at,
+    expiresAt: new Date(row.expires_at).toISOString(),
+  };
+};
+
+// List the user's active browser sessions
+router.get("/sessions", isAuthenticated, async (req, res) => {
   try {
-    if (!req.user) {
-      return res.status(401).json({ error: "Not authenticated" });
+    const rows = await getSessionsByUser(req.user.id);
+    res.json({
+      sessions: rows.map((row) => toPublicSession(row, req.sessionID)),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke all sessions; ?keepCurrent=true keeps the one making the request
+router.delete("/sessions", isAuthenticated, async (req, res) => {
+  try {
+    const keepSid = req.query.keepCurrent === "true" ? req.sessionID : null;
+    const revoked = await deleteSessionsByUser(req.user.id, keepSid);
+    res.json({ message: "Sessions revoked", revoked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete("/sessions/:id", isAuthenticated, async (req, res) => {
+  try {
+    const rows = await getSessionsByUser(req.user.id);
+    const row = rows.find((r) => getSessionHandle(r.sid) === req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: "Session not found" });
     }
 
-    await deleteUser(req.user.email);
+    await deleteSession(row.sid);
+    res.json({ message: "Session revoked", id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the user's API tokens
+router.get("/api-keys", isAuthenticated, async (req, res) => {
+  try {
+    const tokens = await getApiTokensByUser(req.user.id);
+    res.json({ tokens });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an additional API token (e.g. one per device or integration)
+router.post("/api-keys", isAuthenticated, async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body;
+    const days = parseInt(expiresInDays);
+    const expiresAt = days
+      ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const apiToken = await createApiToken(
+      req.user.id,
+      name || "API key",
+      expiresAt
+    );
+    res.status(201).json({
+      message: "API token created. Store it now; it will not be shown again.",
+      ...apiToken,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an API token
+router.delete("/api-keys/:id", isAuthenticated, async (req, res) => {
+  try {
+    const result = await revokeApiToken(req.user.id, parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    res
+      .status(error.message.includes("not found") ? 404 : 500)
+      .json({ error: error.message });
+  }
+});
+
+// Download everything stored for the account as a .tar.gz archive
+router.get("/account/export", isAuthenticated, async (req, res) => {
+  try {
+    res.set({
+      "Content-Type": "application/gzip",
+      "Content-Disposition": `attachment; filename="${getExportFileName(
+        req.user
+      )}"`,
+    });
+    const summary = await streamAccountExport(req.user, res);
+    console.log(
+      `Exported account ${req.user.id}: ${summary.emails} emails, ${summary.customFolders} custom folders`
+    );
+  } catch (error) {
+    console.error("Account export failed:", error);
+    // Once streaming has started the response has already been aborted
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// Delete account
+// Removes the user and every record they own, and stops their scheduled jobs
+router.delete("/account", isAuthenticated, async (req, res) => {
+  try {
+    // Stopped first, so no job or watcher writes rows for the user mid-delete
+    const jobsCancelled = stopUserJobs(req.user.id);
+    mailEventBus.publish(MAIL_EVENTS.ACCOUNT_DELETED, { userId: req.user.id });
+    const deleted = await deleteUser(req.user.id);
+
     req.logout((err) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
-      res.json({ message: "Account deleted successfully" });
+      res.json({
+        message: "Account deleted successfully",
+        deleted,
+        jobsCancelled,
+      });
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res
+      .status(error.message.includes("not found") ? 404 : 500)
+      .json({ error: error.message });
   }
 });
 
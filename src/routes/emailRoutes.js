@@ -3,11 +3,152 @@ import { deleteEmail } from "../models/emailModel.js";
 import emailService from "../services/emailService.js";
 import voiceSearchService from "../services/voiceSearchService.js";
 import { isAuthenticated } from "../middlewares/authMiddleware.js";
+import {
+  withMailbox,
+  resolveMailbox,
+  getUserMailboxes,
+  collectFromMailboxes,
+  linkPasswordMailbox,
+  unlinkMailbox,
+  createLinkState,
+  toPublicMailbox,
+} from "../services/mailboxService.js";
+import { getSyncStatesByUser } from "../models/syncStateModel.js";
+import { getWatcherStatus } from "../services/mailWatcherService.js";
+import {
+  addMessageRefs,
+  resolveMessage,
+} from "../services/messageRefService.js";
+import { streamAttachment } from "../services/attachmentService.js";
+import { listThreads, getThread } from "../services/threadService.js";
+import {
+  importMessages,
+  streamRawMessage,
+} from "../services/messageSourceService.js";
+import {
+  queueMessage,
+  getOutbox,
+  getScheduledMessages,
+  retryOutboxMessage,
+  rescheduleMessage,
+  cancelOutboxMessage,
+  cancelScheduledMessage,
+  undoSend,
+} from "../services/outboxService.js";
+import {
+  loadOriginal,
+  getReplyAllRecipients,
+  getReplyHeaders,
+  getReplySubject,
+  quoteOriginal,
+} from "../services/replyService.js";
+import { validateRecipients, withoutAddresses } from "../utils/addressList.js";
+import { readFlag } from "../utils/flags.js";
 
 const router = express.Router();
 
+// Every email route requires an authenticated user
+router.use(isAuthenticated);
+
+/**
+ * Accept a single value or an array in a request body field
+ * @param {*} value - Field value
+ * @returns {Array}
+ */
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+/**
+ * Read message UIDs from a request body (`uids` array or a single `uid`)
+ * @param {Object} body - Request body
+ * @returns {Array<number>} - Valid UIDs
+ */
+const getRequestUids = (body) =>
+  toList(body.uids || body.uid)
+    .map((value) => parseInt(value))
+    .filter((value) => value > 0);
+
+/**
+ * Whether an error is about the recipients, original message, send time or
+ * undo hold of a send request
+ * @param {Error} error - Error
+ * @returns {boolean}
+ */
+const isSendOptionError = (error) =>
+  [
+    "sendAt",
+    "time zone",
+    "undoWindow",
+    "Invalid address",
+    "Too many recipients",
+    "Invalid message reference",
+  ].some((text) => error.message.includes(text));
+
+/**
+ * Read the recipients of a send request: to (or recipient), cc, bcc and
+ * replyTo, each a comma-separated string or an array
+ * @param {Object} body - Request body
+ * @returns {Object} - `{ to, cc, bcc, replyTo }` (see utils/addressList.js)
+ */
+const getRequestRecipients = (body) =>
+  validateRecipients({
+    to: body.to || body.recipient,
+    cc: body.cc,
+    bcc: body.bcc,
+    replyTo: body.replyTo,
+  });
+
+/**
+ * @param {Object} recipients - Result of getRequestRecipients
+ * @returns {number} - Number of to, cc and bcc addresses
+ */
+const countRecipients = ({ to, cc, bcc }) => to.length + cc.length + bcc.length;
+
+/**
+ * Read the undo hold of a send request, given in seconds
+ * @param {Object} body - Request body
+ * @returns {number|undefined} - Milliseconds, or undefined for the default
+ */
+const getUndoWindow = (body) =>
+  body.undoWindow === undefined || body.undoWindow === null
+    ? undefined
+    : Number(body.undoWindow) * 1000;
+
+/**
+ * Respond to a send request with the outcome of its first attempt. Messages
+ * that couldn't be sent yet stay in the outbox and are retried, and held and
+ * scheduled messages are only stored.
+ * @param {Object} res - Express response
+ * @param {Object} queued - Result of queueMessage
+ */
+const sendQueuedResult = (res, { entry, result, error }) => {
+  if (result) {
+    return res.json({ ...result, outboxId: entry.id });
+  }
+  if (entry.status === "pending") {
+    return res.status(202).json({
+      message: `Sending at ${entry.undoUntil}; undo before then with POST /email/outbox/${entry.id}/undo`,
+      outbox: entry,
+    });
+  }
+  if (entry.status === "scheduled") {
+    return res.status(202).json({
+      message: `Message scheduled for ${entry.sendAt}`,
+      outbox: entry,
+    });
+  }
+  if (entry.status === "queued") {
+    return res.status(202).json({
+      message:
+        "Sending failed; the message is in the outbox and will be retried",
+      error: error.message,
+      outbox: entry,
+    });
+  }
+  res.status(500).json({ error: error.message, outbox: entry });
+};
+
 /**
- * Test endpoint - doesn't require authentication
+ * Test endpoint
  */
 router.get("/test", async (req, res) => {
   res.json({ message: "Email service is running" });
@@ -15,40 +156,49 @@ router.get("/test", async (req, res) => {
 
 /**
  * Fetch user's recent emails from inbox
- * For testing, this route is temporarily accessible without full OAuth authentication
+ * Pass ?mailboxId= to read a linked mailbox instead of the primary one
  */
 router.get("/inbox", async (req, res) => {
   try {
     const limit = req.query.limit ? parseInt(req.query.limit) : 10;
     const page = req.query.page ? parseInt(req.query.page) : 1;
-    const userEmail = req.query.email || process.env.EMAIL_USER;
-    const userId = req.query.userId ? parseInt(req.query.userId) : null;
+    const userId = req.user.id;
     const saveToDb = req.query.saveToDb === "true";
 
-    console.log(
-      `Fetching inbox for ${userEmail} with limit ${limit} and page ${page}${
-        saveToDb ? ", saving to DB" : ""
-      }`
-    );
-    // We'll pass a dummy token since we're using password auth in the service
-    const emails = await emailService.getInbox(
-      userEmail,
-      "dummy-token",
-      limit,
-      page,
-      userId,
-      saveToDb
+    const emails = await withMailbox(
+      req.user,
+      req.query.mailboxId,
+      (mailbox, credentials) => {
+        console.log(
+          `Fetching inbox for ${
+            mailbox.email
+          } with limit ${limit} and page ${page}${
+            saveToDb ? ", saving to DB" : ""
+          }`
+        );
+        return emailService
+          .getInbox(
+            mailbox.email,
+            credentials,
+            limit,
+            page,
+            userId,
+            saveToDb,
+            mailbox.id
+          )
+          .then((emails) => addMessageRefs(emails, mailbox.id));
+      }
     );
     console.log(`Successfully fetched ${emails.length} emails from inbox`);
     res.json({
       emails,
       page,
       limit,
-      saved: saveToDb && userId ? true : false,
+      saved: saveToDb,
     });
   } catch (error) {
     console.error("Error fetching inbox:", error);
-    res.status(500).json({
+    res.status(error.message.includes("not found") ? 404 : 500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -57,31 +207,39 @@ router.get("/inbox", async (req, res) => {
 
 /**
  * Fetch emails from a specific folder
- * For testing, this route is temporarily accessible without full OAuth authentication
  */
 router.get("/folder/:folderName", async (req, res) => {
   try {
     const { folderName } = req.params;
     const limit = req.query.limit ? parseInt(req.query.limit) : 10;
     const page = req.query.page ? parseInt(req.query.page) : 1;
-    const userEmail = req.query.email || process.env.EMAIL_USER;
-    const userId = req.query.userId ? parseInt(req.query.userId) : null;
+    const userId = req.user.id;
     const saveToDb = req.query.saveToDb === "true";
 
-    console.log(
-      `Fetching folder ${folderName} for ${userEmail} with limit ${limit} and page ${page}${
-        saveToDb ? ", saving to DB" : ""
-      }`
-    );
-    // We'll pass a dummy token since we're using password auth in the service
-    const emails = await emailService.getFolder(
-      userEmail,
-      "dummy-token",
-      folderName,
-      limit,
-      page,
-      userId,
-      saveToDb
+    const emails = await withMailbox(
+      req.user,
+      req.query.mailboxId,
+      (mailbox, credentials) => {
+        console.log(
+          `Fetching folder ${folderName} for ${
+            mailbox.email
+          } with limit ${limit} and page ${page}${
+            saveToDb ? ", saving to DB" : ""
+          }`
+        );
+        return emailService
+          .getFolder(
+            mailbox.email,
+            credentials,
+            folderName,
+            limit,
+            page,
+            userId,
+            saveToDb,
+            mailbox.id
+          )
+          .then((emails) => addMessageRefs(emails, mailbox.id));
+      }
     );
     console.log(
       `Successfully fetched ${emails.length} emails from folder ${folderName}`
@@ -91,11 +249,11 @@ router.get("/folder/:folderName", async (req, res) => {
       folder: folderName,
       page,
       limit,
-      saved: saveToDb && userId ? true : false,
+      saved: saveToDb,
     });
   } catch (error) {
     console.error(`Error fetching folder ${req.params.folderName}:`, error);
-    res.status(500).json({
+    res.status(error.message.includes("not found") ? 404 : 500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -114,12 +272,12 @@ router.get("/search", async (req, res) => {
       endDate,
       sender,
       folder,
+      flags,
       limit = 20,
       searchLocal,
-      userId,
     } = req.query;
 
-    const userEmail = req.query.email || process.env.EMAIL_USER;
+    const userEmail = req.user.email;
 
     console.log(`Searching emails for ${userEmail} with criteria:`, {
       keyword,
@@ -129,7 +287,6 @@ router.get("/search", async (req, res) => {
       folder,
       limit,
       searchLocal: Boolean(searchLocal),
-      userId,
     });
 
     // Convert query parameters to appropriate types
@@ -139,23 +296,27 @@ router.get("/search", async (req, res) => {
       endDate,
       sender,
       folder,
+      flags,
       limit: parseInt(limit),
       searchLocal: Boolean(searchLocal),
-      userId: userId ? parseInt(userId) : undefined,
+      userId: req.user.id,
     };
 
     // Call the search method from the service
-    const emails = await emailService.searchEmails(
-      userEmail,
-      "dummy-token", // Not actually used in password auth mode
-      searchOptions
+    const emails = await withMailbox(
+      req.user,
+      req.query.mailboxId,
+      (mailbox, credentials) =>
+        emailService
+          .searchEmails(mailbox.email, credentials, searchOptions)
+          .then((emails) => addMessageRefs(emails, mailbox.id))
     );
 
     console.log(`Search returned ${emails.length} results`);
     res.json(emails);
   } catch (error) {
     console.error("Error searching emails:", error);
-    res.status(500).json({
+    res.status(error.message.includes("not found") ? 404 : 500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -168,13 +329,15 @@ router.get("/search", async (req, res) => {
  */
 router.get("/folders", async (req, res) => {
   try {
-    const userEmail = req.query.email || process.env.EMAIL_USER;
+    const userEmail = req.user.email;
     console.log(`Fetching available folders for ${userEmail}`);
 
     // Call service method to get folders
-    const folderInfo = await emailService.getAvailableFolders(
-      userEmail,
-      "dummy-token"
+    const folderInfo = await withMailbox(
+      req.user,
+      req.query.mailboxId,
+      (mailbox, credentials) =>
+        emailService.getAvailableFolders(mailbox.email, credentials)
     );
 
     // Format the response to be more user-friendly
@@ -182,27 +345,70 @@ router.get("/folders", async (req, res) => {
       message: `Found ${folderInfo.folders.length} folders`,
       folders: folderInfo.folders.sort(),
       gmailFolders: folderInfo.folders.filter((f) => f.includes("[Gmail]")),
+      // Prefer the server's SPECIAL-USE markers; guess by name otherwise
       commonFolders: {
         inbox: "INBOX",
-        sent: folderInfo.folders.find(
-          (f) => f.includes("Sent") || f.includes("sent")
-        ),
-        drafts: folderInfo.folders.find(
-          (f) => f.includes("Draft") || f.includes("draft")
-        ),
-        trash: folderInfo.folders.find(
-          (f) => f.includes("Trash") || f.includes("trash")
-        ),
-        spam: folderInfo.folders.find(
-          (f) => f.includes("Spam") || f.includes("spam")
-        ),
+        sent:
+          folderInfo.specialUse.sent ||
+          folderInfo.folders.find(
+            (f) => f.includes("Sent") || f.includes("sent")
+          ),
+        drafts:
+          folderInfo.specialUse.drafts ||
+          folderInfo.folders.find(
+            (f) => f.includes("Draft") || f.includes("draft")
+          ),
+        trash:
+          folderInfo.specialUse.trash ||
+          folderInfo.folders.find(
+            (f) => f.includes("Trash") || f.includes("trash")
+          ),
+        spam:
+          folderInfo.specialUse.spam ||
+          folderInfo.folders.find(
+            (f) => f.includes("Spam") || f.includes("spam")
+          ),
       },
+      specialUse: folderInfo.specialUse,
       structure: folderInfo.structure,
     };
 
     res.json(response);
   } catch (error) {
     console.error("Error fetching folders:", error);
+    res.status(error.message.includes("not found") ? 404 : 500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Fetch the newest emails across every linked mailbox
+ * Each email is tagged with the mailbox it came from. A mailbox that can't be
+ * reached is reported in `errors` instead of failing the whole request.
+ */
+router.get("/unified-inbox", async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+
+    // Each mailbox needs to supply enough emails to fill the requested page
+    // once they are merged
+    const { emails, errors } = await collectFromMailboxes(
+      req.user,
+      (mailbox, credentials) =>
+        emailService.getInbox(mailbox.email, credentials, limit * page)
+    );
+
+    res.json({
+      emails: addMessageRefs(emails.slice((page - 1) * limit, page * limit)),
+      errors,
+      page,
+      limit,
+    });
+  } catch (error) {
+    console.error("Error fetching unified inbox:", error);
     res.status(500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
@@ -210,9 +416,308 @@ router.get("/folders", async (req, res) => {
   }
 });
 
+/**
+ * Search every linked mailbox with the same criteria as /search
+ */
+router.get("/unified-search", async (req, res) => {
+  try {
+    const {
+      keyword,
+      startDate,
+      endDate,
+      sender,
+      folder,
+      flags,
+      limit = 20,
+    } = req.query;
+
+    const searchOptions = {
+      keyword,
+      startDate,
+      endDate,
+      sender,
+      folder,
+      flags,
+      limit: parseInt(limit),
+    };
+
+    const { emails, errors } = await collectFromMailboxes(
+      req.user,
+      (mailbox, credentials) =>
+        emailService.searchEmails(mailbox.email, credentials, searchOptions)
+    );
+
+    console.log(`Unified search returned ${emails.length} results`);
+    res.json({
+      emails: addMessageRefs(emails.slice(0, searchOptions.limit)),
+      errors,
+    });
+  } catch (error) {
+    console.error("Error searching linked mailboxes:", error);
+    res.status(500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Fetch one message by reference
+ * GET /email/message/:ref
+ * `ref` is the reference listings return for each message (mailbox, folder,
+ * UIDVALIDITY and UID), or the id of an email stored in the database
+ */
+router.get("/message/:ref", async (req, res) => {
+  try {
+    const message = await resolveMessage(req.user, req.params.ref);
+    res.json(message);
+  } catch (error) {
+    console.error(`Error fetching message ${req.params.ref}:`, error);
+    const status = error.message.includes("Invalid message reference")
+      ? 400
+      : error.message.includes("not found")
+      ? 404
+      : 500;
+    res.status(status).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Download one attachment of a message
+ * GET /email/message/:ref/attachments/:partId
+ * `partId` is the attachment's MIME part ID, as listed in the message's
+ * `attachments`. Only that part is fetched from the server (or read from the
+ * attachment cache).
+ */
+router.get("/message/:ref/attachments/:partId", async (req, res) => {
+  try {
+    const attachment = await streamAttachment(
+      req.user,
+      req.params.ref,
+      req.params.partId,
+      ({ partId, filename, contentType, size }) => {
+        res.attachment(filename || `attachment-${partId}`);
+        res.type(contentType || "application/octet-stream");
+        if (size !== null) res.set("Content-Length", String(size));
+        return res;
+      }
+    );
+    console.log(
+      `Sent attachment ${attachment.partId} (${attachment.size} bytes) of ${req.params.ref} from the ${attachment.source}`
+    );
+  } catch (error) {
+    console.error(
+      `Error downloading attachment ${req.params.partId} of ${req.params.ref}:`,
+      error
+    );
+    // Once streaming has started the response can only be aborted
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    const status = error.message.includes("Invalid message reference")
+      ? 400
+      : error.message.includes("not found")
+      ? 404
+      : 500;
+    res.status(status).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Download the original source of a message as an .eml file
+ * GET /email/message/:ref/raw
+ */
+router.get("/message/:ref/raw", async (req, res) => {
+  try {
+    const message = await streamRawMessage(
+      req.user,
+      req.params.ref,
+      ({ size }) => {
+        res.attachment("message.eml");
+        res.type("message/rfc822");
+        if (size !== null) res.set("Content-Length", String(size));
+        return res;
+      }
+    );
+    console.log(
+      `Sent source of ${req.params.ref} (${message.size} bytes) from the ${message.source}`
+    );
+  } catch (error) {
+    console.error(`Error downloading source of ${req.params.ref}:`, error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    const status = error.message.includes("Invalid message reference")
+      ? 400
+      : error.message.includes("not found")
+      ? 404
+      : 500;
+    res.status(status).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Import mail into the database
+ * POST /email/import?folder=INBOX&format=eml
+ * The request body is a single .eml file (Content-Type message/rfc822) or an
+ * mbox archive (Content-Type application/mbox, or format=mbox)
+ */
+router.post("/import", async (req, res) => {
+  try {
+    if (req.is("application/json")) {
+      return res.status(400).json({
+        error:
+          "Send the .eml file or mbox archive as the request body (Content-Type message/rfc822 or application/mbox)",
+      });
+    }
+
+    const format =
+      req.query.format || (req.is("application/mbox") ? "mbox" : "eml");
+    const folder = req.query.folder || "INBOX";
+
+    const result = await importMessages(req.user.id, req, { format, folder });
+    res.json(result);
+  } catch (error) {
+    console.error("Error importing mail:", error);
+    res
+      .status(error.message.includes("Unsupported import format") ? 400 : 500)
+      .json({
+        error: error.message,
+        stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+      });
+  }
+});
+
+/**
+ * List conversation threads of stored emails, most recently active first
+ * Query: limit (default 20), page, and mailboxId to only list threads with
+ * emails in that mailbox
+ */
+router.get("/threads", async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const page = req.query.page ? parseInt(req.query.page) : 1;
+    const mailboxId = req.query.mailboxId
+      ? parseInt(req.query.mailboxId)
+      : null;
+
+    const { threads, total } = await listThreads(req.user.id, {
+      limit,
+      page,
+      mailboxId,
+    });
+    res.json({ threads, total, page, limit });
+  } catch (error) {
+    console.error("Error listing threads:", error);
+    res.status(500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Get one thread with its messages, oldest first
+ */
+router.get("/threads/:id", async (req, res) => {
+  try {
+    const thread = await getThread(req.user.id, parseInt(req.params.id));
+    res.json(thread);
+  } catch (error) {
+    console.error(`Error fetching thread ${req.params.id}:`, error);
+    res.status(error.message.includes("not found") ? 404 : 500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * List the mailboxes linked to the account
+ */
+router.get("/mailboxes", async (req, res) => {
+  try {
+    const mailboxes = await getUserMailboxes(req.user);
+    res.json({ mailboxes: mailboxes.map(toPublicMailbox) });
+  } catch (error) {
+    console.error("Error listing mailboxes:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Link a mailbox that logs in with a password or app password
+ * Body: email, password, and either provider (gmail, outlook, fastmail) or
+ * imapHost/smtpHost; optional imapPort, imapTls, smtpPort, smtpSecure,
+ * allowSelfSigned, displayName
+ */
+router.post("/mailboxes", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    console.log(`Linking mailbox ${email} for user ${req.user.id}`);
+    const mailbox = await linkPasswordMailbox(req.user.id, req.body);
+    res.status(201).json(toPublicMailbox(mailbox));
+  } catch (error) {
+    console.error("Error linking mailbox:", error);
+    const isInvalid =
+      error.message.includes("required") ||
+      error.message.includes("Unknown mail provider") ||
+      error.message.includes("Could not log in");
+    res.status(isInvalid ? 400 : 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Start linking another Google account
+ * Returns a URL to open in a browser; the mailbox is linked once the user
+ * completes Google's consent screen.
+ */
+router.post("/mailboxes/oauth", async (req, res) => {
+  try {
+    const state = createLinkState(req.user.id);
+    res.json({
+      url: `/auth/google/link?state=${encodeURIComponent(state)}`,
+      expiresInSeconds: 600,
+    });
+  } catch (error) {
+    console.error("Error starting mailbox link:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Unlink a mailbox. The primary mailbox can't be unlinked.
+ */
+router.delete("/mailboxes/:id", async (req, res) => {
+  try {
+    const result = await unlinkMailbox(req.user.id, parseInt(req.params.id));
+    res.json(result);
+  } catch (error) {
+    console.error("Error unlinking mailbox:", error);
+    res
+      .status(error.message.includes("not found") ? 404 : 500)
+      .json({ error: error.message });
+  }
+});
+
 /**
  * Send a new email
- * For testing, this route is temporarily accessible without full OAuth authentication
  *
  * Attachments should be provided as an array of objects with the following structure:
  * [
@@ -230,81 +735,481 @@ router.get("/folders", async (req, res) => {
  * - {filename, content, contentType}: With specific MIME type
  * - {filename, content, encoding}: With specific encoding (e.g. 'base64')
  * - {raw}: Raw attachment content as RFC822 message
+ *
+ * Recipients go in to (or recipient), cc and bcc, and replies can be directed
+ * elsewhere with replyTo; each takes a comma-separated string or an array of
+ * addresses ("Name <address>" or `{ name, address }`).
+ *
+ * Pass sendAt (a timestamp, or a local time such as "2026-11-02T09:00" with a
+ * timeZone such as "Europe/Berlin") to schedule the email instead, or
+ * undoWindow (seconds) to hold it for that long so it can be undone
  */
 router.post("/send", async (req, res) => {
   try {
-    const { recipient, subject, body, htmlBody, attachments } = req.body;
-    const userEmail = req.body.email || process.env.EMAIL_USER;
-
-    if (!recipient || !subject || (!body && !htmlBody)) {
+    const {
+      subject,
+      body,
+      htmlBody,
+      attachments,
+      mailboxId,
+      sendAt,
+      timeZone,
+    } = req.body;
+    const { to, cc, bcc, replyTo } = getRequestRecipients(req.body);
+
+    if (
+      countRecipients({ to, cc, bcc }) === 0 ||
+      !subject ||
+      (!body && !htmlBody)
+    ) {
       return res
         .status(400)
         .json({ error: "Recipient, subject, and body are required" });
     }
 
     console.log(
-      `Sending email from ${userEmail} to ${recipient}${
+      `Sending email to ${countRecipients({ to, cc, bcc })} recipient(s)${
         attachments ? ` with ${attachments.length} attachment(s)` : ""
       }`
     );
-    const result = await emailService.sendEmail(
-      userEmail,
-      "dummy-token", // Not actually used in password auth mode
-      recipient,
-      subject,
-      body,
-      htmlBody,
-      attachments
-    );
-    res.json(result);
+    const queued = await queueMessage(req.user, mailboxId, {
+      kind: "email",
+      payload: {
+        recipient: to,
+        cc,
+        bcc,
+        replyTo,
+        subject,
+        body,
+        htmlBody,
+        attachments,
+      },
+      sendAt,
+      timeZone,
+      undoWindow: getUndoWindow(req.body),
+    });
+    sendQueuedResult(res, queued);
   } catch (error) {
     console.error("Error sending email:", error);
-    res.status(500).json({ error: error.message });
+    const status = error.message.includes("not found")
+      ? 404
+      : isSendOptionError(error)
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
   }
 });
 
 /**
  * Reply to an email
- * For testing, this route is temporarily accessible without full OAuth authentication
+ * Accepts recipients, sendAt, timeZone and undoWindow like /send
+ *
+ * Pass the ref of the original message (see messageRefService) and the reply
+ * is threaded from the original's headers: In-Reply-To is its Message-ID and
+ * References its References plus its Message-ID. The subject defaults to the
+ * original's with "Re: ", the recipient to its sender (or Reply-To), and the
+ * original is quoted below the reply unless quote is false. The reply is sent
+ * from the mailbox the original is in unless mailboxId says otherwise.
+ *
+ * With replyAll as well, the reply also goes to everyone else the original
+ * was sent to (in cc), leaving out the user's own addresses; recipients given
+ * in the request are added to those.
+ *
+ * Without a ref, the subject, recipient and threading headers (inReplyTo and
+ * references) are taken from the request as given.
  */
 router.post("/reply", async (req, res) => {
   try {
-    const { recipient, subject, body, htmlBody, inReplyTo, references } =
-      req.body;
-    const userEmail = req.body.email || process.env.EMAIL_USER;
+    const { body, htmlBody, uid, folder, ref, sendAt, timeZone } = req.body;
+    const replyAll = readFlag(req.body.replyAll, false);
+    let { mailboxId, subject, inReplyTo, references } = req.body;
+    let { to, cc, bcc, replyTo } = getRequestRecipients(req.body);
+    let reply = { body, htmlBody };
+    // Marked answered once the reply is sent
+    let original = { folder, uid, messageId: inReplyTo };
+
+    if (replyAll && !ref) {
+      return res.status(400).json({
+        error: "The ref of the original message is required for replyAll",
+      });
+    }
+
+    if (ref) {
+      const message = await loadOriginal(req.user, ref);
+      const mailbox = await resolveMailbox(
+        req.user,
+        mailboxId || message.mailboxId
+      );
+      mailboxId = mailbox.id;
+
+      ({ inReplyTo, references } = getReplyHeaders(message));
+      subject = subject || getReplySubject(message.subject);
+      if (readFlag(req.body.quote, true) && (body || htmlBody)) {
+        reply = quoteOriginal(message, reply);
+      }
+
+      // The sender, and with replyAll everyone else the original went to
+      const everyone = getReplyAllRecipients(message, [
+        mailbox.email,
+        req.user.email,
+      ]);
+      if (replyAll || countRecipients({ to, cc, bcc }) === 0) {
+        const seen = new Set();
+        to = withoutAddresses([...everyone.to, ...to], seen);
+        cc = withoutAddresses([...(replyAll ? everyone.cc : []), ...cc], seen);
+        bcc = withoutAddresses(bcc, seen);
+      }
+
+      // Marked in the mailbox the original is in, which may not be the one
+      // the reply is sent from
+      original = message.uid
+        ? {
+            mailboxId: message.mailboxId,
+            folder: message.imapFolder,
+            uidValidity: message.uidValidity,
+            uid: message.uid,
+            messageId: message.messageId,
+          }
+        : { messageId: message.messageId };
+    }
 
-    if (!recipient || !subject || (!body && !htmlBody)) {
+    if (
+      countRecipients({ to, cc, bcc }) === 0 ||
+      !subject ||
+      (!body && !htmlBody)
+    ) {
       return res
         .status(400)
         .json({ error: "Recipient, subject, and body are required" });
     }
 
-    console.log(`Sending reply from ${userEmail} to ${recipient}`);
-    const result = await emailService.replyToEmail(
-      userEmail,
-      "dummy-token", // Not actually used in password auth mode
-      recipient,
-      subject,
-      body,
-      htmlBody,
-      inReplyTo,
-      references
+    console.log(
+      `Sending reply to ${countRecipients({ to, cc, bcc })} recipient(s)`
     );
-    res.json(result);
+    const queued = await queueMessage(req.user, mailboxId, {
+      kind: "reply",
+      payload: {
+        recipient: to,
+        cc,
+        bcc,
+        replyTo,
+        subject,
+        body: reply.body,
+        htmlBody: reply.htmlBody,
+        inReplyTo,
+        references,
+        original,
+      },
+      sendAt,
+      timeZone,
+      undoWindow: getUndoWindow(req.body),
+    });
+    sendQueuedResult(res, queued);
   } catch (error) {
     console.error("Error sending reply:", error);
+    const status = error.message.includes("not found")
+      ? 404
+      : isSendOptionError(error)
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Outgoing messages, newest first
+ * Query: status, a comma-separated list of scheduled, queued, sending, sent,
+ * failed and cancelled (default: all)
+ */
+router.get("/outbox", async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(",").filter(Boolean)
+      : [];
+    const outbox = await getOutbox(req.user.id, statuses);
+    res.json({ outbox });
+  } catch (error) {
+    console.error("Error fetching outbox:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Save an email to the database
- * For testing, this route still uses authentication middleware,
- * but will accept user ID from the request body
+ * Send a failed outbox message again
+ */
+router.post("/outbox/:id/retry", async (req, res) => {
+  try {
+    const entry = await retryOutboxMessage(
+      req.user.id,
+      parseInt(req.params.id)
+    );
+    res.json({ outbox: entry });
+  } catch (error) {
+    console.error(`Error retrying outbox message ${req.params.id}:`, error);
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("Only failed")
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel an outbox message that is scheduled, waiting for a retry or has
+ * failed
+ */
+router.post("/outbox/:id/cancel", async (req, res) => {
+  try {
+    const entry = await cancelOutboxMessage(
+      req.user.id,
+      parseInt(req.params.id)
+    );
+    res.json({ outbox: entry });
+  } catch (error) {
+    console.error(`Error cancelling outbox message ${req.params.id}:`, error);
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("can't be cancelled")
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Undo sending a message while it is held (see undoWindow on /send)
+ */
+router.post("/outbox/:id/undo", async (req, res) => {
+  try {
+    const entry = await undoSend(req.user.id, parseInt(req.params.id));
+    res.json({ message: "Sending undone", outbox: entry });
+  } catch (error) {
+    console.error(`Error undoing outbox message ${req.params.id}:`, error);
+    const status = error.message.includes("not found")
+      ? 404
+      : /undo/.test(error.message)
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Scheduled messages, the next one to be sent first
+ */
+router.get("/scheduled", async (req, res) => {
+  try {
+    const scheduled = await getScheduledMessages(req.user.id);
+    res.json({ scheduled });
+  } catch (error) {
+    console.error("Error fetching scheduled messages:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Change the send time of a scheduled message
+ * Body: sendAt, and timeZone (defaults to the one it was scheduled with)
+ */
+router.put("/scheduled/:id", async (req, res) => {
+  try {
+    const { sendAt, timeZone } = req.body;
+    if (sendAt === undefined || sendAt === null || sendAt === "") {
+      return res.status(400).json({ error: "sendAt is required" });
+    }
+
+    const entry = await rescheduleMessage(
+      req.user.id,
+      parseInt(req.params.id),
+      { sendAt, timeZone }
+    );
+    res.json({ outbox: entry });
+  } catch (error) {
+    console.error(`Error rescheduling message ${req.params.id}:`, error);
+    const status = error.message.includes("not found")
+      ? 404
+      : isSendOptionError(error) || error.message.includes("Only scheduled")
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel a scheduled message before its send time
+ */
+router.delete("/scheduled/:id", async (req, res) => {
+  try {
+    const entry = await cancelScheduledMessage(
+      req.user.id,
+      parseInt(req.params.id)
+    );
+    res.json({ outbox: entry });
+  } catch (error) {
+    console.error(
+      `Error cancelling scheduled message ${req.params.id}:`,
+      error
+    );
+    const status = error.message.includes("not found")
+      ? 404
+      : error.message.includes("isn't scheduled")
+      ? 400
+      : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Set and clear flags on messages
+ * Body: uids (array) or uid, folder (default INBOX), mailboxId, and add/remove
+ * arrays of "seen" (or "read"), "flagged" (or "starred") and "answered"
+ */
+router.post("/flags", async (req, res) => {
+  try {
+    const { folder, mailboxId } = req.body;
+    const uids = getRequestUids(req.body);
+    const add = toList(req.body.add);
+    const remove = toList(req.body.remove);
+
+    if (uids.length === 0) {
+      return res.status(400).json({ error: "At least one UID is required" });
+    }
+    if (add.length === 0 && remove.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Flags to add or remove are required" });
+    }
+
+    const result = await withMailbox(
+      req.user,
+      mailboxId,
+      (mailbox, credentials) =>
+        emailService.updateFlags(
+          req.user.id,
+          mailbox.id,
+          mailbox.email,
+          credentials,
+          { folder, uids, add, remove }
+        )
+    );
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating flags:", error);
+    let status = 500;
+    if (error.message.includes("not found")) status = 404;
+    else if (error.message.includes("Unsupported flag")) status = 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * Move messages on the server and answer with the result
+ * @param {Object} req - Request; body has uids or uid, folder (source,
+ *   default INBOX) and mailboxId
+ * @param {Object} res - Response
+ * @param {string} destination - Folder to move to
+ */
+const moveOnServer = async (req, res, destination) => {
+  try {
+    const { folder, mailboxId } = req.body;
+    const uids = getRequestUids(req.body);
+
+    if (uids.length === 0) {
+      return res.status(400).json({ error: "At least one UID is required" });
+    }
+    if (!destination) {
+      return res.status(400).json({ error: "Destination folder is required" });
+    }
+
+    const result = await withMailbox(
+      req.user,
+      mailboxId,
+      (mailbox, credentials) =>
+        emailService.moveMessagesToFolder(
+          req.user.id,
+          mailbox.id,
+          mailbox.email,
+          credentials,
+          { folder, uids, destination }
+        )
+    );
+    res.json(result);
+  } catch (error) {
+    console.error("Error moving messages:", error);
+    let status = 500;
+    if (error.message.includes("not found")) status = 404;
+    else if (error.message.includes("already in")) status = 400;
+    res.status(status).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+};
+
+/**
+ * Move messages to another folder on the server
+ * Body: uids or uid, folder (source, default INBOX), destination, mailboxId
+ */
+router.post("/move", (req, res) =>
+  moveOnServer(req, res, req.body.destination)
+);
+
+/**
+ * Archive messages (on Gmail: remove them from the inbox, keeping them in
+ * All Mail)
+ * Body: uids or uid, folder (default INBOX), mailboxId
+ */
+router.post("/archive", (req, res) => moveOnServer(req, res, "archive"));
+
+/**
+ * Move messages to the trash
+ * Body: uids or uid, folder (default INBOX), mailboxId
+ */
+router.post("/trash", (req, res) => moveOnServer(req, res, "trash"));
+
+/**
+ * Move messages out of the trash, back to the folder they were trashed from
+ * (INBOX if unknown) or to `destination`
+ * Body: uids or uid (UIDs in the trash), destination, mailboxId
+ */
+router.post("/restore", async (req, res) => {
+  try {
+    const { destination, mailboxId } = req.body;
+    const uids = getRequestUids(req.body);
+
+    if (uids.length === 0) {
+      return res.status(400).json({ error: "At least one UID is required" });
+    }
+
+    const result = await withMailbox(
+      req.user,
+      mailboxId,
+      (mailbox, credentials) =>
+        emailService.restoreFromTrash(
+          req.user.id,
+          mailbox.id,
+          mailbox.email,
+          credentials,
+          { uids, destination }
+        )
+    );
+    res.json(result);
+  } catch (error) {
+    console.error("Error restoring messages:", error);
+    res.status(error.message.includes("not found") ? 404 : 500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Save an email to the database for the authenticated user
  */
 router.post("/save", async (req, res) => {
   try {
-    const { sender, subject, body, receivedAt, userId } = req.body;
+    const { sender, subject, body, receivedAt } = req.body;
 
     if (!sender || !subject || !body) {
       return res
@@ -313,7 +1218,7 @@ router.post("/save", async (req, res) => {
     }
 
     const savedEmail = await emailService.saveEmailToDb(
-      userId || 1, // Use provided ID or default to 1 for testing
+      req.user.id,
       sender,
       subject,
       body,
@@ -327,13 +1232,11 @@ router.post("/save", async (req, res) => {
 });
 
 /**
- * Get all saved emails for a user
- * For testing, this endpoint accepts the user ID as a query parameter
+ * Get all saved emails for the authenticated user
  */
 router.get("/saved", async (req, res) => {
   try {
-    const userId = req.query.userId || 1; // Default to user ID 1 for testing
-    const emails = await emailService.getSavedEmails(userId);
+    const emails = await emailService.getSavedEmails(req.user.id);
     res.json(emails);
   } catch (error) {
     console.error("Error fetching saved emails:", error);
@@ -341,17 +1244,72 @@ router.get("/saved", async (req, res) => {
   }
 });
 
+/**
+ * Sync a mailbox folder into the database
+ * Body: { folder = "INBOX", mailboxId }. Only messages that aren't stored yet
+ * are downloaded, and emails deleted on the server are removed locally.
+ */
+router.post("/sync", async (req, res) => {
+  try {
+    const folder = req.body.folder || "INBOX";
+
+    const result = await withMailbox(
+      req.user,
+      req.body.mailboxId,
+      (mailbox, credentials) =>
+        emailService.syncFolderToDb(
+          req.user.id,
+          mailbox.id,
+          mailbox.email,
+          credentials,
+          folder
+        )
+    );
+    res.json(result);
+  } catch (error) {
+    console.error("Error syncing emails:", error);
+    res.status(error.message.includes("not found") ? 404 : 500).json({
+      error: error.message,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+});
+
+/**
+ * Sync progress of every folder synced so far
+ */
+router.get("/sync", async (req, res) => {
+  try {
+    const states = await getSyncStatesByUser(req.user.id);
+    res.json({
+      folders: states.map((state) => ({
+        mailboxId: state.mailbox_id,
+        folder: state.folder,
+        uidValidity: state.uid_validity,
+        highestUid: state.highest_uid,
+        lastSyncedAt: state.last_synced_at,
+      })),
+      watchers: getWatcherStatus(req.user.id),
+    });
+  } catch (error) {
+    console.error("Error fetching sync status:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Delete an email from the database
  */
 router.delete("/:id", async (req, res) => {
   try {
     const emailId = req.params.id;
-    await deleteEmail(emailId);
+    await deleteEmail(req.user.id, emailId);
     res.json({ message: "Email deleted successfully" });
   } catch (error) {
     console.error("Error deleting email:", error);
-    res.status(500).json({ error: error.message });
+    res
+      .status(error.message.includes("not found") ? 404 : 500)
+      .json({ error: error.message });
   }
 });
 
@@ -361,9 +1319,9 @@ router.delete("/:id", async (req, res) => {
  */
 router.post("/voice-search", async (req, res) => {
   try {
-    const { voiceText, userId, searchLocal = false } = req.body;
+    const { voiceText, searchLocal = false, mailboxId } = req.body;
 
-    const userEmail = req.body.email || process.env.EMAIL_USER;
+    const userEmail = req.user.email;
 
     // Validate required parameters
     if (!voiceText) {
@@ -373,19 +1331,24 @@ router.post("/voice-search", async (req, res) => {
     console.log(`Processing voice search for ${userEmail}: "${voiceText}"`);
 
     // Process the voice search instruction
-    const searchResults = await voiceSearchService.searchByVoiceInstruction(
-      userEmail,
-      "dummy-token", // Not actually used in password auth mode
-      voiceText,
-      userId ? parseInt(userId) : null,
-      searchLocal === true
+    const searchResults = await withMailbox(
+      req.user,
+      mailboxId,
+      (mailbox, credentials) =>
+        voiceSearchService.searchByVoiceInstruction(
+          mailbox.email,
+          credentials,
+          voiceText,
+          req.user.id,
+          searchLocal === true
+        )
     );
 
     console.log(`Voice search returned ${searchResults.count} results`);
     res.json(searchResults);
   } catch (error) {
     console.error("Error processing voice search:", error);
-    res.status(500).json({
+    res.status(error.message.includes("not found") ? 404 : 500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -399,7 +1362,7 @@ router.post("/voice-search", async (req, res) => {
 router.get("/db-folder/:folderName", async (req, res) => {
   try {
     const { folderName } = req.params;
-    const userId = req.query.userId ? parseInt(req.query.userId) : 1; // Default to user ID 1 for testing
+    const userId = req.user.id;
 
     console.log(
       `Fetching emails from database folder ${folderName} for user ${userId}`
@@ -428,7 +1391,7 @@ router.get("/db-folder/:folderName", async (req, res) => {
  */
 router.get("/custom-folders", async (req, res) => {
   try {
-    const userId = req.query.userId ? parseInt(req.query.userId) : 1; // Default to user ID 1 for testing
+    const userId = req.user.id;
 
     console.log(`Fetching custom folders for user ${userId}`);
     const folders = await emailService.getUserFolders(userId);
@@ -452,7 +1415,7 @@ router.get("/custom-folders", async (req, res) => {
 router.post("/custom-folders", async (req, res) => {
   try {
     const { folderName } = req.body;
-    const userId = req.body.userId || 1; // Default to user ID 1 for testing
+    const userId = req.user.id;
 
     if (!folderName) {
       return res.status(400).json({ error: "Folder name is required" });
@@ -471,8 +1434,9 @@ router.post("/custom-folders", async (req, res) => {
 });
 
 /**
- * Move an email to a folder
- * This endpoint moves an existing email to a different folder
+ * Move a stored email to a local custom folder
+ * Only the email's folder label in the database changes; the message is not
+ * moved on the server (use POST /move for that)
  */
 router.put("/move-to-folder/:emailId", async (req, res) => {
   try {
@@ -484,11 +1448,15 @@ router.put("/move-to-folder/:emailId", async (req, res) => {
     }
 
     console.log(`Moving email ${emailId} to folder "${folderName}"`);
-    const result = await emailService.moveEmailToFolder(emailId, folderName);
+    const result = await emailService.moveEmailToFolder(
+      req.user.id,
+      emailId,
+      folderName
+    );
     res.json(result);
   } catch (error) {
     console.error("Error moving email to folder:", error);
-    res.status(500).json({
+    res.status(error.message.includes("not found") ? 404 : 500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -496,8 +1464,8 @@ router.put("/move-to-folder/:emailId", async (req, res) => {
 });
 
 /**
- * Move an email to a folder using sequence number
- * This endpoint moves an existing email to a different folder using sequence number
+ * Move a stored email to a local custom folder using sequence number
+ * Like PUT /move-to-folder/:emailId, this only relabels the local copy
  */
 router.put("/move-to-folder-by-seq/:seq", async (req, res) => {
   try {
@@ -509,11 +1477,15 @@ router.put("/move-to-folder-by-seq/:seq", async (req, res) => {
     }
 
     console.log(`Moving email with sequence ${seq} to folder "${folderName}"`);
-    const result = await emailService.moveEmailToFolder(seq, folderName);
+    const result = await emailService.moveEmailToFolder(
+      req.user.id,
+      seq,
+      folderName
+    );
     res.json(result);
   } catch (error) {
     console.error("Error moving email to folder:", error);
-    res.status(500).json({
+    res.status(error.message.includes("not found") ? 404 : 500).json({
       error: error.message,
       stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
     });
@@ -526,7 +1498,7 @@ router.put("/move-to-folder-by-seq/:seq", async (req, res) => {
  */
 router.get("/saved-folders", async (req, res) => {
   try {
-    const userId = req.query.userId ? parseInt(req.query.userId) : 1; // Default to user 1 for testing
+    const userId = req.user.id;
 
     console.log(`Getting saved folders for user ${userId}`);
 
@@ -557,65 +1529,76 @@ router.post("/remove-from-folder", async (req, res) => {
         .status(400)
         .json({ error: "Email ID and folder name are required" });
     }
-    const result = await emailService.removeEmailFromFolder(id, folder);
+    const result = await emailService.removeEmailFromFolder(
+      req.user.id,
+      id,
+      folder
+    );
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res
+      .status(error.message.includes("not found") ? 404 : 500)
+      .json({ error: error.message });
   }
 });
 
 // Delete a custom folder
-router.delete("/custom-folder/:folderName/:userId", async (req, res) => {
-  try {
-    const { folderName, userId } = req.params;
-    const parsedUserId = parseInt(userId);
-
-    if (!folderName || !parsedUserId) {
-      return res
-        .status(400)
-        .json({ error: "Folder name and user ID are required" });
+// The trailing :userId is accepted for backward compatibility only
+router.delete(
+  ["/custom-folder/:folderName", "/custom-folder/:folderName/:userId"],
+  async (req, res) => {
+    try {
+      const { folderName, userId } = req.params;
+      const parsedUserId = req.user.id;
+
+      if (userId && parseInt(userId) !== parsedUserId) {
+        return res
+          .status(403)
+          .json({ error: "Cannot delete another user's folders" });
+      }
+
+      console.log(
+        `Attempting to delete folder "${folderName}" for user ${parsedUserId}`
+      );
+
+      // Validate that the folder is not a system folder
+      const systemFolders = ["INBOX", "SENT", "DRAFTS", "TRASH", "SPAM"];
+      if (systemFolders.includes(folderName.toUpperCase())) {
+        return res.status(400).json({ error: "Cannot delete system folders" });
+      }
+
+      const result = await emailService.deleteCustomFolder(
+        parsedUserId,
+        folderName
+      );
+
+      if (result && result.message === "Folder deleted successfully") {
+        res.json({
+          success: true,
+          message: "Folder deleted successfully",
+          folder: folderName,
+          emailsMoved: result.emailsMoved,
+        });
+      } else {
+        res.status(500).json({ error: "Failed to delete folder" });
+      }
+    } catch (error) {
+      console.error("Error deleting custom folder:", error);
+      res
+        .status(error.message.includes("not found") ? 404 : 500)
+        .json({ error: error.message });
     }
-
-    console.log(
-      `Attempting to delete folder "${folderName}" for user ${parsedUserId}`
-    );
-
-    // Validate that the folder is not a system folder
-    const systemFolders = ["INBOX", "SENT", "DRAFTS", "TRASH", "SPAM"];
-    if (systemFolders.includes(folderName.toUpperCase())) {
-      return res.status(400).json({ error: "Cannot delete system folders" });
-    }
-
-    const result = await emailService.deleteCustomFolder(
-      parsedUserId,
-      folderName
-    );
-
-    if (result && result.message === "Folder deleted successfully") {
-      res.json({
-        success: true,
-        message: "Folder deleted successfully",
-        folder: folderName,
-        emailsMoved: result.emailsMoved,
-      });
-    } else {
-      res.status(500).json({ error: "Failed to delete folder" });
-    }
-  } catch (error) {
-    console.error("Error deleting custom folder:", error);
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 // Also keep the original endpoint for backward compatibility
 router.delete("/custom-folder", async (req, res) => {
   try {
-    const { folderName, userId } = req.body;
+    const { folderName } = req.body;
+    const userId = req.user.id;
 
-    if (!folderName || !userId) {
-      return res
-        .status(400)
-        .json({ error: "Folder name and user ID are required" });
+    if (!folderName) {
+      return res.status(400).json({ error: "Folder name is required" });
     }
 
     // Validate that the folder is not a system folder
@@ -638,7 +1621,9 @@ router.delete("/custom-folder", async (req, res) => {
     }
   } catch (error) {
     console.error("Error deleting custom folder:", error);
-    res.status(500).json({ error: error.message });
+    res
+      .status(error.message.includes("not found") ? 404 : 500)
+      .json({ error: error.message });
   }
 });
 
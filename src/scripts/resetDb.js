@@ -31,7 +31,8 @@ db.serialize(() => {
             email TEXT UNIQUE NOT NULL,
             name TEXT NOT NULL,
             access_token TEXT,
-            refresh_token TEXT
+            refresh_token TEXT,
+            token_expires_at DATETIME
         )
     `);
 
@@ -47,6 +48,16 @@ db.serialize(() => {
             folder TEXT DEFAULT 'INBOX',
             message_id TEXT,
             html TEXT,
+            mailbox_id INTEGER,
+            imap_folder TEXT,
+            uid INTEGER,
+            uid_validity INTEGER,
+            flags TEXT,
+            trashed_from TEXT,
+            in_reply_to TEXT,
+            reference_ids TEXT,
+            gm_thread_id TEXT,
+            thread_id INTEGER,
             FOREIGN KEY (user_id) REFERENCES users(id)
         )
     `);
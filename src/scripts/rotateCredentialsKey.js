@@ -0,0 +1,65 @@
+// Re-encrypt stored OAuth tokens and mailbox passwords with the current key
+//
+// After rotating keys, set CREDENTIALS_KEY to the new key and list the old
+// one in CREDENTIALS_PREVIOUS_KEYS (or put the new key first in the key
+// file), then run: npm run rotate-credentials-key
+// Rows still stored in plain text are encrypted as well. Once this has run,
+// the old key can be removed.
+import db from "../config/db.js";
+import { reencryptSecret } from "../utils/credentialCrypto.js";
+import { USER_SECRET_FIELDS } from "../models/userModel.js";
+import { MAILBOX_SECRET_FIELDS } from "../models/mailboxModel.js";
+
+const all = (sql) =>
+  new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+const run = (sql, params) =>
+  new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+
+/**
+ * Re-encrypt the credential columns of every row in a table
+ * @param {string} table - Table name
+ * @param {Array<string>} fields - Encrypted columns
+ * @returns {Promise<number>} - Number of rows updated
+ */
+const rotateTable = async (table, fields) => {
+  const rows = await all(`SELECT id, ${fields.join(", ")} FROM ${table}`);
+  let updated = 0;
+
+  for (const row of rows) {
+    const values = fields.map((field) => reencryptSecret(row[field]));
+    if (values.every((value, i) => value === row[fields[i]])) continue;
+
+    await run(
+      `UPDATE ${table} SET ${fields.map((f) => `${f} = ?`).join(", ")}
+       WHERE id = ?`,
+      [...values, row.id]
+    );
+    updated++;
+  }
+
+  console.log(`${table}: re-encrypted ${updated} of ${rows.length} rows`);
+  return updated;
+};
+
+const rotateCredentials = async () => {
+  try {
+    await run("BEGIN TRANSACTION");
+    await rotateTable("users", USER_SECRET_FIELDS);
+    await rotateTable("mailboxes", MAILBOX_SECRET_FIELDS);
+    await run("COMMIT");
+    console.log("Credential re-encryption complete.");
+  } catch (error) {
+    console.error("Credential re-encryption failed:", error.message);
+    await run("ROLLBACK").catch(() => {});
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+};
+
+rotateCredentials();
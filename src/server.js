@@ -1,6 +1,23 @@
 import app from "./app.js";
+import config from "./config.js";
+import { migrationsReady } from "./config/db.js";
+import { startMailWatchers } from "./services/mailWatcherService.js";
+import { startOutboxWorker } from "./services/outboxService.js";
+
+// Syncs upsert into tables and indexes that migrations may still be adding
+await migrationsReady;
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+
+    if (config.email.watchMailboxes) {
+        startMailWatchers().catch((error) =>
+            console.error("Error starting mailbox watchers:", error)
+        );
+    }
+
+    startOutboxWorker().catch((error) =>
+        console.error("Error starting the outbox worker:", error)
+    );
+});
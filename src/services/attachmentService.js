@@ -0,0 +1,358 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { simpleParser } from "mailparser";
+import config from "../config.js";
+import { streamMessagePart } from "./imapService.js";
+import { withMailbox } from "./mailboxService.js";
+import { parseMessageRef, locateMessage } from "./messageRefService.js";
+import {
+  saveAttachments,
+  getAttachment,
+  setAttachmentContent,
+} from "../models/attachmentModel.js";
+import { getEmailSource } from "../models/emailSourceModel.js";
+
+/**
+ * Attachment downloads.
+ *
+ * The attachments of synced emails are recorded by MIME part when the email
+ * is stored. A download streams just that part from the IMAP server, decoding
+ * it on the way, and records the SHA-256 hash and exact size of the content.
+ *
+ * With ATTACHMENT_CACHE=true, attachments of stored emails up to
+ * `config.attachments.maxCachedFileSize` are also written to the cache
+ * directory, named by their hash (so identical files are stored once), and
+ * served from there afterwards. The least recently used files are removed
+ * once the cache grows past `config.attachments.maxCacheSize`.
+ *
+ * Imported emails have no server copy; their attachments are read from the
+ * stored message source instead.
+ */
+
+/**
+ * Record the attachments of a stored email
+ * @param {number} userId - Owning user ID
+ * @param {number} emailId - emails row id
+ * @param {Array} attachments - Attachments of a fetched email; only those
+ *   with a part ID can be downloaded, so only those are recorded
+ * @returns {Promise<number>} - Rows written
+ */
+export const recordAttachments = (userId, emailId, attachments = []) =>
+  saveAttachments(
+    userId,
+    emailId,
+    attachments.filter((attachment) => attachment.partId)
+  );
+
+/**
+ * Part ID of an attachment parsed by mailparser. A message that is nothing
+ * but an attachment has no parts, so its body is part 1.
+ * @param {Object} attachment - Attachment from mailparser
+ * @returns {string}
+ */
+const getParsedPartId = (attachment) => attachment.partId || "1";
+
+/**
+ * Record the attachments of an email parsed from its source (an import),
+ * including the hash and exact size of their content
+ * @param {number} userId - Owning user ID
+ * @param {number} emailId - emails row id
+ * @param {Array} attachments - Attachments from mailparser
+ * @returns {Promise<number>} - Attachments recorded
+ */
+export const recordParsedAttachments = async (
+  userId,
+  emailId,
+  attachments = []
+) => {
+  await saveAttachments(
+    userId,
+    emailId,
+    attachments.map((attachment) => ({
+      partId: getParsedPartId(attachment),
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      encoding: attachment.headers.get("content-transfer-encoding"),
+      contentId: attachment.contentId,
+      disposition: attachment.contentDisposition,
+    }))
+  );
+
+  for (const attachment of attachments) {
+    await setAttachmentContent(
+      userId,
+      emailId,
+      getParsedPartId(attachment),
+      crypto.createHash("sha256").update(attachment.content).digest("hex"),
+      attachment.content.length
+    );
+  }
+  return attachments.length;
+};
+
+/**
+ * Send an attachment of an imported email from its stored source
+ * @param {Object} source - email_sources row
+ * @param {string} partId - MIME part ID of the attachment
+ * @param {Function} open - See streamAttachment
+ * @returns {Promise<Object>} - See streamAttachment
+ */
+const sendFromSource = async (source, partId, open) => {
+  const parsed = await simpleParser(source.source);
+  const found = parsed.attachments.find(
+    (attachment) => getParsedPartId(attachment) === partId
+  );
+  if (!found) {
+    throw new Error(`Attachment ${partId} not found`);
+  }
+
+  const attachment = {
+    partId,
+    filename: found.filename || null,
+    contentType: found.contentType,
+    size: found.content.length,
+    contentHash: crypto
+      .createHash("sha256")
+      .update(found.content)
+      .digest("hex"),
+  };
+  open(attachment).end(found.content);
+  return { ...attachment, source: "import" };
+};
+
+/**
+ * @returns {string} - Absolute path of the cache directory
+ */
+const getCacheDir = () => path.resolve(config.attachments.cacheDir);
+
+/**
+ * Remove the least recently used cache files until the cache fits its limit
+ * @returns {Promise<number>} - Files removed
+ */
+const pruneCache = async () => {
+  const dir = getCacheDir();
+  const names = await fs.promises.readdir(dir).catch(() => []);
+
+  // Dot files are downloads still being written
+  const files = [];
+  for (const name of names.filter((name) => !name.startsWith("."))) {
+    const stats = await fs.promises
+      .stat(path.join(dir, name))
+      .catch(() => null);
+    if (stats && stats.isFile()) {
+      files.push({ name, size: stats.size, usedAt: stats.mtimeMs });
+    }
+  }
+
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  let removed = 0;
+  files.sort((a, b) => a.usedAt - b.usedAt);
+  for (const file of files) {
+    if (total <= config.attachments.maxCacheSize) break;
+    await fs.promises.unlink(path.join(dir, file.name)).catch(() => {});
+    total -= file.size;
+    removed++;
+  }
+
+  if (removed > 0) {
+    console.log(`Removed ${removed} files from the attachment cache`);
+  }
+  return removed;
+};
+
+/**
+ * Copy a decoded part to the output while hashing it and, optionally, writing
+ * it to a cache file. If the client goes away the part is still read to the
+ * end, so the IMAP connection can be reused and the cache file completed.
+ * @param {Object} stream - Decoded part
+ * @param {Object} output - Writable stream
+ * @param {string|null} cacheFile - Temporary file to cache the part in
+ * @returns {Promise<Object>} - `{ contentHash, size, cached }`
+ */
+const copyPart = (stream, output, cacheFile) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    let cache = cacheFile ? fs.createWriteStream(cacheFile) : null;
+    let outputOpen = true;
+
+    const dropCache = () => {
+      if (!cache) return;
+      cache.destroy();
+      cache = null;
+      fs.unlink(cacheFile, () => {});
+    };
+
+    output.once("close", () => {
+      outputOpen = false;
+      stream.resume();
+    });
+
+    stream.on("data", (chunk) => {
+      hash.update(chunk);
+      size += chunk.length;
+
+      if (cache && size > config.attachments.maxCachedFileSize) dropCache();
+      if (cache) cache.write(chunk);
+
+      if (outputOpen && !output.write(chunk)) {
+        stream.pause();
+        output.once("drain", () => stream.resume());
+      }
+    });
+
+    stream.once("error", (err) => {
+      dropCache();
+      reject(new Error(`Error reading attachment: ${err.message}`));
+    });
+
+    stream.once("end", () => {
+      if (outputOpen) output.end();
+      const result = { contentHash: hash.digest("hex"), size, cached: false };
+      if (!cache) return resolve(result);
+
+      cache.end(() => resolve({ ...result, cached: true }));
+      cache.once("error", (err) => {
+        console.error("Error writing attachment cache file:", err);
+        dropCache();
+        resolve(result);
+      });
+    });
+  });
+};
+
+/**
+ * Move a downloaded part into the cache under its content hash
+ * @param {string} tempFile - File the part was written to
+ * @param {string} contentHash - SHA-256 of the content
+ */
+const storeInCache = async (tempFile, contentHash) => {
+  try {
+    await fs.promises.rename(tempFile, path.join(getCacheDir(), contentHash));
+    await pruneCache();
+  } catch (error) {
+    console.error("Error caching attachment:", error);
+    fs.unlink(tempFile, () => {});
+  }
+};
+
+/**
+ * Open the cached copy of a stored attachment, if there is one
+ * @param {Object|null} stored - attachments row
+ * @returns {Promise<Object|null>} - `{ file, size }`
+ */
+const findCachedFile = async (stored) => {
+  if (!config.attachments.cacheEnabled || !stored || !stored.content_hash) {
+    return null;
+  }
+
+  const file = path.join(getCacheDir(), stored.content_hash);
+  const stats = await fs.promises.stat(file).catch(() => null);
+  if (!stats) return null;
+
+  // The modification time tracks use, for pruning
+  const now = new Date();
+  await fs.promises.utimes(file, now, now).catch(() => {});
+  return { file, size: stats.size };
+};
+
+/**
+ * Stream one attachment of a message, from the cache or from the IMAP server
+ * @param {Object} user - User row
+ * @param {string|number} ref - Message reference (see messageRefService)
+ * @param {string} partId - MIME part ID of the attachment
+ * @param {Function} open - Called with the attachment's metadata
+ *   (`{ partId, filename, contentType, size }`, size exact only when known)
+ *   before any content is read; returns the writable stream to send it to
+ * @returns {Promise<Object>} - `{ partId, filename, contentType, size,
+ *   contentHash, source }`, where source is "cache", "server" or "import"
+ */
+export const streamAttachment = async (user, ref, partId, open) => {
+  const { emailId } = parseMessageRef(ref);
+  const source = emailId ? await getEmailSource(user.id, emailId) : null;
+  if (source) {
+    return sendFromSource(source, partId, open);
+  }
+
+  const location = await locateMessage(user, ref);
+  const stored = location.emailId
+    ? await getAttachment(user.id, location.emailId, partId)
+    : null;
+
+  const cached = await findCachedFile(stored);
+  if (cached) {
+    const attachment = {
+      partId,
+      filename: stored.filename,
+      contentType: stored.content_type,
+      size: cached.size,
+      contentHash: stored.content_hash,
+    };
+    await copyPart(fs.createReadStream(cached.file), open(attachment), null);
+    return { ...attachment, source: "cache" };
+  }
+
+  let copied = null;
+  const part = await withMailbox(
+    user,
+    location.mailboxId,
+    (mailbox, credentials) =>
+      streamMessagePart(
+        mailbox.email,
+        credentials,
+        location,
+        partId,
+        async (part, stream) => {
+          const cacheable =
+            config.attachments.cacheEnabled &&
+            stored &&
+            part.size <= config.attachments.maxCachedFileSize;
+          if (cacheable) {
+            await fs.promises.mkdir(getCacheDir(), { recursive: true });
+          }
+
+          const output = open({
+            partId,
+            filename: part.filename,
+            contentType: part.contentType,
+            size: null,
+          });
+          const tempFile = cacheable
+            ? path.join(getCacheDir(), `.${crypto.randomUUID()}.tmp`)
+            : null;
+          copied = await copyPart(stream, output, tempFile);
+
+          if (copied.cached) {
+            await storeInCache(tempFile, copied.contentHash);
+          }
+        }
+      )
+  );
+
+  if (stored) {
+    await setAttachmentContent(
+      user.id,
+      location.emailId,
+      partId,
+      copied.contentHash,
+      copied.size
+    );
+  }
+
+  return {
+    partId,
+    filename: part.filename,
+    contentType: part.contentType,
+    size: copied.size,
+    contentHash: copied.contentHash,
+    source: "server",
+  };
+};
+
+export default {
+  recordAttachments,
+  recordParsedAttachments,
+  streamAttachment,
+};
@@ -1,4 +1,12 @@
-import { fetchEmails, fetchEmailsFromFolder } from "./imapService.js";
+import {
+  fetchEmails,
+  fetchEmailsFromFolder,
+  findSpecialUseFolders,
+  searchMessages,
+  setMessageFlags,
+  moveMessages,
+  getServerFolderName,
+} from "./imapService.js";
 import { sendEmail, sendHtmlEmail, sendReply } from "./smtpService.js";
 import {
   saveEmail,
@@ -10,8 +18,15 @@ import {
   getCustomFolders,
   removeEmailFromFolder as removeEmailFromFolderModel,
   deleteCustomFolder as deleteCustomFolderModel,
+  updateSyncedFlags,
+  getSyncedEmailsByUid,
+  moveSyncedEmail,
+  deleteSyncedEmails,
 } from "../models/emailModel.js";
-import Imap from "imap";
+import { withImapConnection, getMailboxList } from "./imapPoolService.js";
+import { syncFolder } from "./syncService.js";
+import { getPrimaryMailbox } from "../models/mailboxModel.js";
+import mailEventBus, { MAIL_EVENTS } from "./mailEventBus.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -28,6 +43,7 @@ class EmailService {
    * @param {number} page - Page number for pagination (default 1)
    * @param {number} userId - User ID to save emails to (optional)
    * @param {boolean} saveToDb - Whether to save emails to the database
+   * @param {number} mailboxId - Linked mailbox the emails come from (optional)
    * @returns {Promise<Array>} - Array of email objects
    */
   async getInbox(
@@ -36,7 +52,8 @@ class EmailService {
     limit = 10,
     page = 1,
     userId = null,
-    saveToDb = false
+    saveToDb = false,
+    mailboxId = null
   ) {
     try {
       const emails = await fetchEmails(
@@ -47,45 +64,19 @@ class EmailService {
         page
       );
 
-      // If saveToDb flag is set and userId is provided, save emails to database
+      // Mirror the folder into the database. Only messages not stored yet
+      // are downloaded, and emails deleted on the server are removed.
       if (saveToDb && userId) {
-        console.log(
-          `Saving ${emails.length} emails to database for user ${userId}`
-        );
-
-        // Process each email in sequence
-        for (const email of emails) {
-          try {
-            // Skip if no sender or subject (invalid email)
-            if (!email.from || !email.subject) {
-              console.warn("Skipping invalid email without sender or subject");
-              continue;
-            }
-
-            // Extract sender from email.from object
-            const sender =
-              email.from.text ||
-              (email.from.address
-                ? email.from.name
-                  ? `${email.from.name} <${email.from.address}>`
-                  : email.from.address
-                : "Unknown Sender");
-
-            // Save to database
-            await this.saveEmailToDb(
-              userId,
-              sender,
-              email.subject,
-              email.body || email.snippet || "",
-              email.date || new Date(),
-              "INBOX",
-              email.messageId,
-              email.html
-            );
-          } catch (err) {
-            console.error("Error saving individual email:", err);
-            // Continue with next email even if one fails
-          }
+        try {
+          await this.syncFolderToDb(
+            userId,
+            mailboxId,
+            userEmail,
+            accessToken,
+            "INBOX"
+          );
+        } catch (err) {
+          console.error("Error syncing inbox to database:", err);
         }
       }
 
@@ -105,6 +96,7 @@ class EmailService {
    * @param {number} page - Page number for pagination (default 1)
    * @param {number} userId - User ID to save emails to (optional)
    * @param {boolean} saveToDb - Whether to save emails to the database
+   * @param {number} mailboxId - Linked mailbox the emails come from (optional)
    * @returns {Promise<Array>} - Array of email objects
    */
   async getFolder(
@@ -114,7 +106,8 @@ class EmailService {
     limit = 10,
     page = 1,
     userId = null,
-    saveToDb = false
+    saveToDb = false,
+    mailboxId = null
   ) {
     try {
       const emails = await fetchEmailsFromFolder(
@@ -125,45 +118,19 @@ class EmailService {
         page
       );
 
-      // If saveToDb flag is set and userId is provided, save emails to database
+      // Mirror the folder into the database. Only messages not stored yet
+      // are downloaded, and emails deleted on the server are removed.
       if (saveToDb && userId) {
-        console.log(
-          `Saving ${emails.length} emails from folder ${folder} to database for user ${userId}`
-        );
-
-        // Process each email in sequence
-        for (const email of emails) {
-          try {
-            // Skip if no sender or subject (invalid email)
-            if (!email.from || !email.subject) {
-              console.warn("Skipping invalid email without sender or subject");
-              continue;
-            }
-
-            // Extract sender from email.from object
-            const sender =
-              email.from.text ||
-              (email.from.address
-                ? email.from.name
-                  ? `${email.from.name} <${email.from.address}>`
-                  : email.from.address
-                : "Unknown Sender");
-
-            // Save to database
-            await this.saveEmailToDb(
-              userId,
-              sender,
-              email.subject,
-              email.body || email.snippet || "",
-              email.date || new Date(),
-              folder,
-              email.messageId,
-              email.html
-            );
-          } catch (err) {
-            console.error("Error saving individual email:", err);
-            // Continue with next email even if one fails
-          }
+        try {
+          await this.syncFolderToDb(
+            userId,
+            mailboxId,
+            userEmail,
+            accessToken,
+            folder
+          );
+        } catch (err) {
+          console.error("Error syncing folder to database:", err);
         }
       }
 
@@ -178,11 +145,12 @@ class EmailService {
    * Send a new email
    * @param {string} userEmail - User's email address
    * @param {string} accessToken - OAuth2 access token
-   * @param {string} to - Recipient email address
+   * @param {string|Array} to - Recipient email address, or address list
    * @param {string} subject - Email subject
    * @param {string} body - Plain text body
    * @param {string} htmlBody - HTML body (optional)
    * @param {Array} attachments - Array of attachment objects (optional)
+   * @param {Object} addresses - cc, bcc and replyTo address lists (optional)
    * @returns {Promise<Object>} - Result of the send operation
    */
   async sendEmail(
@@ -192,7 +160,8 @@ class EmailService {
     subject,
     body,
     htmlBody = null,
-    attachments = []
+    attachments = [],
+    addresses = {}
   ) {
     try {
       const result = await sendEmail(
@@ -202,7 +171,8 @@ class EmailService {
         subject,
         body,
         htmlBody,
-        attachments
+        attachments,
+        addresses
       );
 
       // Save the sent email to the database if needed
@@ -211,7 +181,9 @@ class EmailService {
       return result;
     } catch (error) {
       console.error("Error sending email:", error);
-      throw new Error(`Failed to send email: ${error.message}`);
+      throw new Error(`Failed to send email: ${error.message}`, {
+        cause: error,
+      });
     }
   }
 
@@ -255,12 +227,13 @@ class EmailService {
    * Reply to an email
    * @param {string} userEmail - User's email address
    * @param {string} accessToken - OAuth2 access token
-   * @param {string} to - Recipient email address
+   * @param {string|Array} to - Recipient email address, or address list
    * @param {string} subject - Email subject
    * @param {string} body - Email body
    * @param {string} htmlBody - HTML body (optional)
    * @param {string} inReplyTo - Message ID being replied to
    * @param {string} references - References for email threading
+   * @param {Object} addresses - cc, bcc and replyTo address lists (optional)
    * @returns {Promise<Object>} - Result of the send operation
    */
   async replyToEmail(
@@ -271,7 +244,8 @@ class EmailService {
     body,
     htmlBody = null,
     inReplyTo = null,
-    references = null
+    references = null,
+    addresses = {}
   ) {
     try {
       return await sendReply(
@@ -282,11 +256,265 @@ class EmailService {
         body,
         htmlBody,
         inReplyTo,
-        references
+        references,
+        addresses
       );
     } catch (error) {
       console.error("Error sending reply:", error);
-      throw new Error(`Failed to send reply: ${error.message}`);
+      throw new Error(`Failed to send reply: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Sync a mailbox folder into the database (see syncService)
+   * @param {number} userId - User ID
+   * @param {number} mailboxId - Mailbox to sync (defaults to the primary one)
+   * @param {string} userEmail - Mailbox address
+   * @param {string|Object} accessToken - OAuth2 access token or credentials
+   * @param {string} folder - Folder name (default INBOX)
+   * @returns {Promise<Object>} - Sync summary
+   */
+  async syncFolderToDb(
+    userId,
+    mailboxId,
+    userEmail,
+    accessToken,
+    folder = "INBOX"
+  ) {
+    if (!mailboxId) {
+      const primary = await getPrimaryMailbox(userId);
+      mailboxId = primary ? primary.id : null;
+    }
+    return syncFolder(userId, mailboxId, userEmail, accessToken, folder);
+  }
+
+  /**
+   * Set and clear flags (\\Seen, \\Flagged, \\Answered) on messages on the
+   * server, and mirror the result into the emails table
+   * @param {number} userId - User ID
+   * @param {number} mailboxId - Mailbox the messages are in (defaults to the
+   *   primary one)
+   * @param {string} userEmail - Mailbox address
+   * @param {string|Object} accessToken - OAuth2 access token or credentials
+   * @param {Object} options - folder (default INBOX), uids or messageId, and
+   *   add/remove arrays of flag names ("seen", "flagged", "answered", ...)
+   * @returns {Promise<Object>} - `{ folder, serverFolder, messages }` with the
+   *   flags each message has now
+   */
+  async updateFlags(userId, mailboxId, userEmail, accessToken, options = {}) {
+    const folder = options.folder || "INBOX";
+
+    try {
+      if (!mailboxId) {
+        const primary = await getPrimaryMailbox(userId);
+        mailboxId = primary ? primary.id : null;
+      }
+
+      const { serverFolder, messages } = await setMessageFlags(
+        userEmail,
+        accessToken,
+        { ...options, folder }
+      );
+
+      for (const { uid, flags } of messages) {
+        await updateSyncedFlags(userId, mailboxId, serverFolder, uid, flags);
+      }
+
+      if (messages.length > 0) {
+        mailEventBus.publish(MAIL_EVENTS.FLAGS_CHANGED, {
+          userId,
+          mailboxId,
+          folder,
+          serverFolder,
+          changes: messages,
+        });
+      }
+
+      return { folder, serverFolder, messages };
+    } catch (error) {
+      console.error("Error updating flags:", error);
+      throw new Error(`Failed to update flags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move messages to another folder on the server and update the stored
+   * copies to match. Stored copies whose new UID can't be determined are
+   * removed; the next sync of the destination stores them again.
+   * @param {number} userId - User ID
+   * @param {number} mailboxId - Mailbox the messages are in (defaults to the
+   *   primary one)
+   * @param {string} userEmail - Mailbox address
+   * @param {string|Object} accessToken - OAuth2 access token or credentials
+   * @param {Object} options - folder (default INBOX), uids and destination
+   *   ("archive", "trash", "INBOX" or any folder name)
+   * @returns {Promise<Object>} - `{ folder, serverFolder, destination,
+   *   destinationFolder, moved: [{ uid, newUid }] }`
+   */
+  async moveMessagesToFolder(
+    userId,
+    mailboxId,
+    userEmail,
+    accessToken,
+    options = {}
+  ) {
+    const { folder = "INBOX", uids = [], destination } = options;
+
+    try {
+      if (!mailboxId) {
+        const primary = await getPrimaryMailbox(userId);
+        mailboxId = primary ? primary.id : null;
+      }
+
+      const { serverFolder, destinationFolder, uidValidity, moved } =
+        await moveMessages(userEmail, accessToken, {
+          folder,
+          uids,
+          destination,
+        });
+
+      // Remember where trashed mail came from, so it can be restored there
+      const trashFolder = await getServerFolderName(
+        userEmail,
+        accessToken,
+        "trash"
+      );
+      const trashedFrom = destinationFolder === trashFolder ? folder : null;
+
+      for (const { uid, newUid } of moved) {
+        if (newUid) {
+          await moveSyncedEmail(userId, mailboxId, serverFolder, uid, {
+            imapFolder: destinationFolder,
+            folder: destination,
+            uid: newUid,
+            uidValidity,
+            trashedFrom,
+          });
+        } else {
+          await deleteSyncedEmails(userId, mailboxId, serverFolder, [uid]);
+        }
+      }
+
+      const result = {
+        folder,
+        serverFolder,
+        destination,
+        destinationFolder,
+        moved,
+      };
+      if (moved.length > 0) {
+        mailEventBus.publish(MAIL_EVENTS.MOVED, {
+          userId,
+          mailboxId,
+          ...result,
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error("Error moving messages:", error);
+      throw new Error(`Failed to move messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move messages out of the trash, back to the folder each was trashed from
+   * (as far as the stored copies know it) or to `destination`
+   * @param {number} userId - User ID
+   * @param {number} mailboxId - Mailbox the messages are in
+   * @param {string} userEmail - Mailbox address
+   * @param {string|Object} accessToken - OAuth2 access token or credentials
+   * @param {Object} options - uids in the trash, and optionally destination
+   * @returns {Promise<Object>} - `{ folder: "trash", moves }` with the result of
+   *   each move
+   */
+  async restoreFromTrash(
+    userId,
+    mailboxId,
+    userEmail,
+    accessToken,
+    options = {}
+  ) {
+    const { uids = [], destination = null } = options;
+    const groups = new Map();
+
+    if (destination) {
+      groups.set(destination, uids);
+    } else {
+      if (!mailboxId) {
+        const primary = await getPrimaryMailbox(userId);
+        mailboxId = primary ? primary.id : null;
+      }
+
+      const trashFolder = await getServerFolderName(
+        userEmail,
+        accessToken,
+        "trash"
+      );
+      const stored = await getSyncedEmailsByUid(
+        userId,
+        mailboxId,
+        trashFolder,
+        uids
+      );
+      const origins = new Map(stored.map((row) => [row.uid, row.trashed_from]));
+
+      uids.forEach((uid) => {
+        const origin = origins.get(uid) || "INBOX";
+        groups.set(origin, [...(groups.get(origin) || []), uid]);
+      });
+    }
+
+    const moves = [];
+    for (const [target, targetUids] of groups) {
+      moves.push(
+        await this.moveMessagesToFolder(
+          userId,
+          mailboxId,
+          userEmail,
+          accessToken,
+          { folder: "trash", uids: targetUids, destination: target }
+        )
+      );
+    }
+    return { folder: "trash", moves };
+  }
+
+  /**
+   * Set \\Answered on the message a reply was sent to. Failures are logged
+   * rather than thrown, since the reply itself has already gone out.
+   * @param {number} userId - User ID
+   * @param {number} mailboxId - Mailbox the original is in
+   * @param {string} userEmail - Mailbox address
+   * @param {string|Object} accessToken - OAuth2 access token or credentials
+   * @param {Object} original - folder (default INBOX), uid and the
+   *   uidValidity it belongs to, or messageId; a uid from before the folder
+   *   was renumbered is ignored
+   * @returns {Promise<Array<number>>} - UIDs marked as answered
+   */
+  async markAnswered(userId, mailboxId, userEmail, accessToken, original) {
+    const { folder, uid, uidValidity, messageId } = original;
+    if (!uid && !messageId) return [];
+
+    try {
+      const { messages } = await this.updateFlags(
+        userId,
+        mailboxId,
+        userEmail,
+        accessToken,
+        {
+          folder,
+          uids: uid ? [parseInt(uid)] : [],
+          uidValidity,
+          messageId,
+          add: ["answered"],
+        }
+      );
+      return messages.map((message) => message.uid);
+    } catch (error) {
+      console.error("Error marking original email as answered:", error);
+      return [];
     }
   }
 
@@ -297,9 +525,10 @@ class EmailService {
    * @param {string} subject - Email subject
    * @param {string} body - Email body
    * @param {Date} receivedAt - Date when email was received
-   * @param {string} folder - Folder name (e.g. "INBOX", "[Gmail]/Sent Mail")
+   * @param {string} folder - Folder name (e.g. "INBOX", "sent", "[Gmail]/Sent Mail")
    * @param {string} messageId - Email Message-ID header
    * @param {string} html - HTML content of the email
+   * @param {number} mailboxId - Linked mailbox the email came from (optional)
    * @returns {Promise<Object>} - Saved email object
    */
   async saveEmailToDb(
@@ -310,7 +539,8 @@ class EmailService {
     receivedAt = new Date(),
     folder = "INBOX",
     messageId = null,
-    html = null
+    html = null,
+    mailboxId = null
   ) {
     try {
       return await saveEmail(
@@ -321,7 +551,8 @@ class EmailService {
         receivedAt,
         folder,
         messageId,
-        html
+        html,
+        mailboxId
       );
     } catch (error) {
       console.error("Error saving email to database:", error);
@@ -352,6 +583,9 @@ class EmailService {
    * @param {string} searchOptions.startDate - Start date for date range filter (ISO format)
    * @param {string} searchOptions.endDate - End date for date range filter (ISO format)
    * @param {string} searchOptions.sender - Filter by sender email
+   * @param {string|Array<string>} searchOptions.flags - Only messages with these
+   *   flags, e.g. "unread,starred" (unread, read, starred/flagged, unstarred,
+   *   answered, unanswered); ignored by local searches
    * @param {string} searchOptions.folder - Folder to search in (default: INBOX)
    * @param {number} searchOptions.limit - Maximum number of results (default: 20)
    * @param {boolean} searchOptions.searchLocal - Whether to search in local DB (default: false)
@@ -389,381 +623,17 @@ class EmailService {
         });
       }
 
-      // For IMAP search, increase the fetch limit to ensure we get enough emails for filtering
-      console.log(`Fetching emails from folder: ${folder}`);
-
-      // Get a larger batch of emails to filter through - much larger than the final limit
-      const fetchLimit = Math.max(limit * 5, 100);
-      const emails = await fetchEmailsFromFolder(
-        userEmail,
-        accessToken,
+      // Let the server find the matches, so older messages are found too and
+      // only the matching ones are downloaded
+      console.log(`Searching folder ${folder} on the server`);
+      const emails = await searchMessages(userEmail, accessToken, {
+        ...searchOptions,
         folder,
-        fetchLimit
-      );
-
-      console.log(
-        `Fetched ${emails ? emails.length : 0} emails from folder ${folder}`
-      );
-
-      // If no emails were fetched, return empty array
-      if (!emails || !Array.isArray(emails) || emails.length === 0) {
-        console.log("No emails fetched from IMAP server");
-        return [];
-      }
-
-      // Apply client-side filtering
-      let filteredEmails = emails;
-      console.log(`Starting filtering with ${filteredEmails.length} emails`);
-
-      // Debug email structure
-      if (filteredEmails.length > 0) {
-        const sampleEmail = filteredEmails[0];
-        console.log(
-          "Sample email structure:",
-          JSON.stringify(
-            {
-              hasSubject: !!sampleEmail.subject,
-              hasBody: !!sampleEmail.body,
-              hasFrom: !!sampleEmail.from,
-              fromStructure: sampleEmail.from
-                ? Object.keys(sampleEmail.from)
-                : null,
-              hasText: sampleEmail.from ? !!sampleEmail.from.text : false,
-              hasSender: !!sampleEmail.sender,
-              hasDate: !!sampleEmail.date,
-              dateFormat: sampleEmail.date ? typeof sampleEmail.date : null,
-            },
-            null,
-            2
-          )
-        );
-      }
-
-      // Filter by keyword with more lenient matching
-      if (keyword) {
-        console.log(`Filtering by keyword: ${keyword}`);
-
-        // Check if this is a complex query with subject: or body: specifications
-        const isComplexQuery =
-          searchOptions.complexQuery ||
-          keyword.includes("subject:") ||
-          keyword.includes("body:");
-
-        if (isComplexQuery) {
-          console.log("Processing complex keyword query");
-
-          // Extract subject and body parts if they exist
-          const subjectMatch =
-            keyword.match(/subject:"([^"]+)"/i) ||
-            keyword.match(/subject:(\S+)/i);
-          const bodyMatch =
-            keyword.match(/body:"([^"]+)"/i) || keyword.match(/body:(\S+)/i);
-
-          // Get the actual search terms
-          const subjectTerm = subjectMatch
-            ? subjectMatch[1].toLowerCase()
-            : null;
-          const bodyTerm = bodyMatch ? bodyMatch[1].toLowerCase() : null;
-
-          console.log(
-            `Extracted specific terms - Subject: ${subjectTerm}, Body: ${bodyTerm}`
-          );
-
-          // If neither subject nor body specified but marked as complex, treat as general
-          if (!subjectTerm && !bodyTerm) {
-            const generalKeyword = keyword.toLowerCase();
-
-            const beforeCount = filteredEmails.length;
-            filteredEmails = filteredEmails.filter((email) => {
-              if (!email) return false;
-
-              // Check in subject
-              const subjectMatch =
-                email.subject &&
-                typeof email.subject === "string" &&
-                email.subject.toLowerCase().includes(generalKeyword);
-
-              // Check in body text
-              const bodyMatch =
-                email.body &&
-                typeof email.body === "string" &&
-                email.body.toLowerCase().includes(generalKeyword);
-
-              return subjectMatch || bodyMatch;
-            });
-
-            console.log(
-              `General keyword filtering: ${beforeCount} -> ${filteredEmails.length} emails`
-            );
-          } else {
-            // Apply specific filters for subject and/or body
-            const beforeCount = filteredEmails.length;
-
-            filteredEmails = filteredEmails.filter((email) => {
-              if (!email) return false;
-
-              let matches = true;
-
-              // Apply subject filter if specified
-              if (subjectTerm) {
-                const subjectMatches =
-                  email.subject &&
-                  typeof email.subject === "string" &&
-                  email.subject.toLowerCase().includes(subjectTerm);
-
-                if (!subjectMatches) matches = false;
-              }
-
-              // Apply body filter if specified
-              if (matches && bodyTerm) {
-                const bodyMatches =
-                  email.body &&
-                  typeof email.body === "string" &&
-                  email.body.toLowerCase().includes(bodyTerm);
-
-                if (!bodyMatches) matches = false;
-              }
-
-              return matches;
-            });
-
-            console.log(
-              `Complex keyword filtering: ${beforeCount} -> ${filteredEmails.length} emails`
-            );
-          }
-        } else {
-          // Standard keyword processing
-          const keywordLower = keyword.toLowerCase();
-
-          const beforeCount = filteredEmails.length;
-          filteredEmails = filteredEmails.filter((email) => {
-            if (!email) return false;
-
-            // Check in subject
-            const subjectMatch =
-              email.subject &&
-              typeof email.subject === "string" &&
-              email.subject.toLowerCase().includes(keywordLower);
-
-            // Check in body text
-            const bodyMatch =
-              email.body &&
-              typeof email.body === "string" &&
-              email.body.toLowerCase().includes(keywordLower);
-
-            // Check in snippet
-            const snippetMatch =
-              email.snippet &&
-              typeof email.snippet === "string" &&
-              email.snippet.toLowerCase().includes(keywordLower);
-
-            // Check in sender
-            const fromTextMatch =
-              email.from &&
-              email.from.text &&
-              typeof email.from.text === "string" &&
-              email.from.text.toLowerCase().includes(keywordLower);
-
-            // Check in sender address
-            const fromAddressMatch =
-              email.from &&
-              email.from.address &&
-              typeof email.from.address === "string" &&
-              email.from.address.toLowerCase().includes(keywordLower);
-
-            // Check in separate sender field
-            const senderMatch =
-              email.sender &&
-              typeof email.sender === "string" &&
-              email.sender.toLowerCase().includes(keywordLower);
-
-            // Check in separate subject field (some APIs use different fields)
-            const headerSubjectMatch =
-              email.headers &&
-              email.headers.subject &&
-              typeof email.headers.subject === "string" &&
-              email.headers.subject.toLowerCase().includes(keywordLower);
-
-            // Return true if any of the checks matched
-            return (
-              subjectMatch ||
-              bodyMatch ||
-              snippetMatch ||
-              fromTextMatch ||
-              fromAddressMatch ||
-              senderMatch ||
-              headerSubjectMatch
-            );
-          });
-          console.log(
-            `Keyword filtering: ${beforeCount} -> ${filteredEmails.length} emails`
-          );
-        }
-      }
-
-      // Filter by date range with better date handling
-      if (startDate) {
-        console.log(`Filtering by start date: ${startDate}`);
-        const startTimestamp = new Date(startDate).getTime();
-
-        if (!isNaN(startTimestamp)) {
-          const beforeCount = filteredEmails.length;
-          filteredEmails = filteredEmails.filter((email) => {
-            if (!email) return false;
-
-            // Try multiple possible date fields
-            let emailDate = null;
-            if (email.date) {
-              emailDate = new Date(email.date);
-            } else if (email.receivedAt) {
-              emailDate = new Date(email.receivedAt);
-            } else if (email.internalDate) {
-              emailDate = new Date(parseInt(email.internalDate));
-            } else if (email.headers && email.headers.date) {
-              emailDate = new Date(email.headers.date);
-            }
-
-            // Log some sample emails to help debug
-            if (
-              beforeCount > 0 &&
-              filteredEmails.length < 5 &&
-              !isNaN(emailDate?.getTime())
-            ) {
-              console.log(
-                `Email date check: ${emailDate?.toISOString()} >= ${new Date(
-                  startTimestamp
-                ).toISOString()} = ${emailDate?.getTime() >= startTimestamp}`
-              );
-            }
-
-            return (
-              emailDate &&
-              !isNaN(emailDate.getTime()) &&
-              emailDate.getTime() >= startTimestamp
-            );
-          });
-          console.log(
-            `Start date filtering: ${beforeCount} -> ${filteredEmails.length} emails`
-          );
-        } else {
-          console.log("Invalid start date format, skipping date filtering");
-        }
-      }
-
-      if (endDate) {
-        console.log(`Filtering by end date: ${endDate}`);
-        const endTimestamp = new Date(endDate).getTime();
-
-        if (!isNaN(endTimestamp)) {
-          const beforeCount = filteredEmails.length;
-          filteredEmails = filteredEmails.filter((email) => {
-            if (!email) return false;
-
-            // Try multiple possible date fields
-            let emailDate = null;
-            if (email.date) {
-              emailDate = new Date(email.date);
-            } else if (email.receivedAt) {
-              emailDate = new Date(email.receivedAt);
-            } else if (email.internalDate) {
-              emailDate = new Date(parseInt(email.internalDate));
-            } else if (email.headers && email.headers.date) {
-              emailDate = new Date(email.headers.date);
-            }
-
-            // Log some sample emails to help debug
-            if (
-              beforeCount > 0 &&
-              filteredEmails.length < 5 &&
-              !isNaN(emailDate?.getTime())
-            ) {
-              console.log(
-                `Email date check: ${emailDate?.toISOString()} <= ${new Date(
-                  endTimestamp
-                ).toISOString()} = ${emailDate?.getTime() <= endTimestamp}`
-              );
-            }
-
-            return (
-              emailDate &&
-              !isNaN(emailDate.getTime()) &&
-              emailDate.getTime() <= endTimestamp
-            );
-          });
-          console.log(
-            `End date filtering: ${beforeCount} -> ${filteredEmails.length} emails`
-          );
-        } else {
-          console.log("Invalid end date format, skipping date filtering");
-        }
-      }
-
-      // Filter by sender with more lenient matching
-      if (sender) {
-        console.log(`Filtering by sender: ${sender}`);
-        const senderLower = sender.toLowerCase();
-
-        const beforeCount = filteredEmails.length;
-        filteredEmails = filteredEmails.filter((email) => {
-          if (!email) return false;
-
-          // Check from.text field (common format)
-          const fromTextMatch =
-            email.from &&
-            email.from.text &&
-            typeof email.from.text === "string" &&
-            email.from.text.toLowerCase().includes(senderLower);
-
-          // Check from.address field
-          const fromAddressMatch =
-            email.from &&
-            email.from.address &&
-            typeof email.from.address === "string" &&
-            email.from.address.toLowerCase().includes(senderLower);
-
-          // Check from.name field
-          const fromNameMatch =
-            email.from &&
-            email.from.name &&
-            typeof email.from.name === "string" &&
-            email.from.name.toLowerCase().includes(senderLower);
-
-          // Check the separate sender field
-          const senderMatch =
-            email.sender &&
-            typeof email.sender === "string" &&
-            email.sender.toLowerCase().includes(senderLower);
-
-          // Check header fields
-          const headerFromMatch =
-            email.headers &&
-            email.headers.from &&
-            typeof email.headers.from === "string" &&
-            email.headers.from.toLowerCase().includes(senderLower);
-
-          return (
-            fromTextMatch ||
-            fromAddressMatch ||
-            fromNameMatch ||
-            senderMatch ||
-            headerFromMatch
-          );
-        });
-        console.log(
-          `Sender filtering: ${beforeCount} -> ${filteredEmails.length} emails`
-        );
-      }
-
-      // Ensure we have a valid results array
-      if (!filteredEmails || !Array.isArray(filteredEmails)) {
-        console.log("No valid filtered results, returning empty array");
-        return [];
-      }
+        limit,
+      });
 
-      // Limit and return results
-      const finalResults = filteredEmails.slice(0, limit);
-      console.log(`Returning ${finalResults.length} email results`);
-      return finalResults;
+      console.log(`Returning ${emails.length} email results`);
+      return emails;
     } catch (error) {
       console.error("Error searching emails:", error);
       throw new Error(`Failed to search emails: ${error.message}`);
@@ -773,89 +643,71 @@ class EmailService {
   /**
    * Get a list of available folders/mailboxes for a user
    * @param {string} userEmail - User's email address
-   * @param {string} accessToken - OAuth2 access token (not used in password auth)
+   * @param {string} accessToken - OAuth2 access token used for XOAUTH2 login
    * @returns {Promise<Object>} - Object containing folder structure
    */
   async getAvailableFolders(userEmail, accessToken) {
-    return new Promise((resolve, reject) => {
-      const imapConfig = {
-        user: process.env.EMAIL_USER || userEmail,
-        password: process.env.EMAIL_PASS,
-        host: "imap.gmail.com",
-        port: 993,
-        tls: true,
-        tlsOptions: { rejectUnauthorized: false },
-        authTimeout: 10000,
-      };
+    console.log("Listing folders for:", userEmail);
 
-      console.log("Connecting to IMAP to list folders for:", imapConfig.user);
+    // Helper function to simplify mailbox structure (remove circular references)
+    const simplifyMailboxes = (boxes) => {
+      const result = {};
 
-      const imap = new Imap(imapConfig);
+      Object.keys(boxes).forEach((boxName) => {
+        const box = boxes[boxName];
 
-      // Helper function to simplify mailbox structure (remove circular references)
-      const simplifyMailboxes = (boxes) => {
-        const result = {};
-
-        Object.keys(boxes).forEach((boxName) => {
-          const box = boxes[boxName];
-
-          result[boxName] = {
-            attribs: box.attribs,
-            delimiter: box.delimiter,
-          };
-
-          if (box.children && Object.keys(box.children).length > 0) {
-            result[boxName].children = simplifyMailboxes(box.children);
-          }
-        });
-
-        return result;
-      };
-
-      imap.once("ready", function () {
-        imap.getBoxes((err, boxes) => {
-          imap.end();
+        result[boxName] = {
+          attribs: box.attribs,
+          delimiter: box.delimiter,
+        };
 
-          if (err) {
-            console.error("Error fetching mailboxes:", err);
-            return reject(new Error(`Failed to fetch folders: ${err.message}`));
-          }
+        if (box.children && Object.keys(box.children).length > 0) {
+          result[boxName].children = simplifyMailboxes(box.children);
+        }
+      });
 
-          console.log("Retrieved folder list successfully");
+      return result;
+    };
 
-          // Create an array of folder paths for easier consumption
-          const folderPaths = [];
+    let boxes;
+    try {
+      // Always ask the server here; this also refreshes the pool's cached
+      // folder list used to resolve sent/trash/spam names
+      boxes = await withImapConnection(userEmail, accessToken, (imap, conn) =>
+        getMailboxList(conn, { refresh: true })
+      );
+    } catch (err) {
+      console.error("Error fetching mailboxes:", err);
+      throw new Error(`Failed to fetch folders: ${err.message}`);
+    }
 
-          // Helper function to flatten folder hierarchy into paths
-          const processFolders = (boxesObj, prefix = "") => {
-            Object.keys(boxesObj).forEach((name) => {
-              const fullPath = prefix ? `${prefix}${name}` : name;
-              folderPaths.push(fullPath);
+    console.log("Retrieved folder list successfully");
 
-              if (boxesObj[name].children) {
-                const newPrefix = `${fullPath}${boxesObj[name].delimiter}`;
-                processFolders(boxesObj[name].children, newPrefix);
-              }
-            });
-          };
+    // Create an array of folder paths for easier consumption
+    const folderPaths = [];
 
-          processFolders(boxes);
+    // Helper function to flatten folder hierarchy into paths
+    const processFolders = (boxesObj, prefix = "") => {
+      Object.keys(boxesObj).forEach((name) => {
+        const fullPath = prefix ? `${prefix}${name}` : name;
+        folderPaths.push(fullPath);
 
-          // Return both the simplified structure and the flat list
-          resolve({
-            structure: simplifyMailboxes(boxes),
-            folders: folderPaths,
-          });
-        });
+        if (boxesObj[name].children) {
+          const newPrefix = `${fullPath}${boxesObj[name].delimiter}`;
+          processFolders(boxesObj[name].children, newPrefix);
+        }
       });
+    };
 
-      imap.once("error", function (err) {
-        console.error("IMAP error while listing folders:", err);
-        reject(new Error(`IMAP connection error: ${err.message}`));
-      });
+    processFolders(boxes);
 
-      imap.connect();
-    });
+    // Return the simplified structure, the flat list and the
+    // folders the server marks as Sent, Trash, Junk, etc.
+    return {
+      structure: simplifyMailboxes(boxes),
+      folders: folderPaths,
+      specialUse: findSpecialUseFolders(boxes),
+    };
   }
 
   /**
@@ -917,38 +769,39 @@ class EmailService {
       console.log("Normalized query:", text);
 
       // Extract folder/mailbox information - expanded patterns
+      // Standard folder names are mapped to each server's own names by imapService
       if (
         text.includes("spam") ||
         text.includes("junk mail") ||
         text.includes("junk folder")
       ) {
-        searchParams.folder = "[Gmail]/Spam";
+        searchParams.folder = "spam";
       } else if (
         text.includes("sent") ||
         text.includes("outbox") ||
         text.includes("sent mail") ||
         text.includes("sent items")
       ) {
-        searchParams.folder = "[Gmail]/Sent Mail";
+        searchParams.folder = "sent";
       } else if (text.includes("draft") || text.includes("drafts folder")) {
-        searchParams.folder = "[Gmail]/Drafts";
+        searchParams.folder = "drafts";
       } else if (
         text.includes("trash") ||
         text.includes("deleted") ||
         text.includes("bin")
       ) {
-        searchParams.folder = "[Gmail]/Trash";
+        searchParams.folder = "trash";
       } else if (text.includes("important") || text.includes("priority")) {
-        searchParams.folder = "[Gmail]/Important";
+        searchParams.folder = "important";
       } else if (
         text.includes("all mail") ||
         text.includes("archive") ||
         text.includes("all emails") ||
         text.includes("everywhere")
       ) {
-        searchParams.folder = "[Gmail]/All Mail";
+        searchParams.folder = "all";
       } else if (text.includes("starred") || text.includes("flagged")) {
-        searchParams.folder = "[Gmail]/Starred";
+        searchParams.folder = "starred";
       }
 
       // Extract date information
@@ -2159,13 +2012,14 @@ class EmailService {
 
   /**
    * Move an email to a different folder
+   * @param {number} userId - ID of the user who owns the email
    * @param {number} emailId - Email ID
    * @param {string} folderName - Name of the folder to move the email to
    * @returns {Promise<Object>} - Updated email object
    */
-  async moveEmailToFolder(emailId, folderName) {
+  async moveEmailToFolder(userId, emailId, folderName) {
     try {
-      return await updateEmailFolder(emailId, folderName);
+      return await updateEmailFolder(userId, emailId, folderName);
     } catch (error) {
       console.error("Error moving email to folder:", error);
       throw new Error(`Failed to move email: ${error.message}`);
@@ -2192,13 +2046,14 @@ class EmailService {
 
   /**
    * Remove an email from a custom folder (move it back to INBOX)
+   * @param {number} userId - ID of the user who owns the email
    * @param {number} emailId - Email ID
    * @param {string} folder - Folder name
    * @returns {Promise<Object>} - Result of the operation
    */
-  async removeEmailFromFolder(emailId, folder) {
+  async removeEmailFromFolder(userId, emailId, folder) {
     try {
-      return await removeEmailFromFolderModel(emailId, folder);
+      return await removeEmailFromFolderModel(userId, emailId, folder);
     } catch (error) {
       console.error("Error removing email from folder:", error);
       throw new Error(`Failed to remove email from folder: ${error.message}`);
@@ -0,0 +1,191 @@
+import tar from "tar-stream";
+import zlib from "zlib";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import {
+  getEmailsAfterId,
+  getCustomFolderRecords,
+} from "../models/emailModel.js";
+import { getStyleProfile } from "../models/userStyleProfileModel.js";
+import { getMailboxesByUser } from "../models/mailboxModel.js";
+import { toPublicMailbox } from "./mailboxService.js";
+
+/**
+ * Account export: a gzipped tar archive with
+ *   profile.json        - user profile and linked mailboxes (no credentials)
+ *   emails/<id>.eml     - every saved email
+ *   folders.json        - custom folders and which folder each email is in
+ *   style-profile.json  - the user's writing style profile
+ *
+ * Emails are read from the database in batches and each entry is only added
+ * once the previous one has been consumed, so memory use doesn't grow with
+ * the size of the mailbox.
+ */
+
+// Emails read from the database per query
+const EXPORT_BATCH_SIZE = 100;
+
+/**
+ * Parse a stored date, ignoring values that aren't valid dates
+ * @param {string} value - Stored date
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Add a file to the archive, resolving once the archive has accepted it
+ * @param {Object} pack - tar-stream pack
+ * @param {string} name - Path inside the archive
+ * @param {Buffer|string} content - File content
+ * @param {Date} mtime - Modification time
+ * @returns {Promise<void>}
+ */
+const addEntry = (pack, name, content, mtime = new Date()) => {
+  return new Promise((resolve, reject) => {
+    pack.entry({ name, mtime }, content, (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+};
+
+/**
+ * Build an RFC 822 message from a stored email
+ * @param {Object} email - Email row
+ * @returns {Promise<Buffer>} - Message source
+ */
+const buildEml = (email) => {
+  const date = toDate(email.received_at);
+  const message = new MailComposer({
+    from: email.sender || undefined,
+    subject: email.subject || "",
+    text: email.body || "",
+    html: email.html || undefined,
+    date: date || undefined,
+    messageId: email.message_id || undefined,
+  });
+  return message.compile().build();
+};
+
+/**
+ * Write the archive contents
+ * @param {Object} pack - tar-stream pack
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} - Counts of exported records
+ */
+const writeArchive = async (pack, user) => {
+  const exportedAt = new Date();
+  const mailboxes = await getMailboxesByUser(user.id);
+
+  await addEntry(
+    pack,
+    "profile.json",
+    JSON.stringify(
+      {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        mailboxes: mailboxes.map(toPublicMailbox),
+        exportedAt: exportedAt.toISOString(),
+      },
+      null,
+      2
+    ),
+    exportedAt
+  );
+
+  // Folder assignments are collected while the emails are written and
+  // saved afterwards; they are small compared to the messages themselves
+  const assignments = [];
+  let afterId = 0;
+
+  while (true) {
+    const emails = await getEmailsAfterId(user.id, afterId, EXPORT_BATCH_SIZE);
+    if (emails.length === 0) break;
+
+    for (const email of emails) {
+      const file = `emails/${email.id}.eml`;
+      await addEntry(
+        pack,
+        file,
+        await buildEml(email),
+        toDate(email.received_at) || exportedAt
+      );
+      assignments.push({
+        emailId: email.id,
+        messageId: email.message_id,
+        mailboxId: email.mailbox_id,
+        folder: email.folder,
+        file,
+      });
+    }
+
+    afterId = emails[emails.length - 1].id;
+  }
+
+  const customFolders = await getCustomFolderRecords(user.id);
+  await addEntry(
+    pack,
+    "folders.json",
+    JSON.stringify(
+      {
+        customFolders: customFolders.map((folder) => ({
+          name: folder.folder_name,
+          createdAt: folder.created_at,
+        })),
+        assignments,
+      },
+      null,
+      2
+    ),
+    exportedAt
+  );
+
+  const styleProfile = await getStyleProfile(user.id);
+  await addEntry(
+    pack,
+    "style-profile.json",
+    JSON.stringify(styleProfile, null, 2),
+    exportedAt
+  );
+
+  return {
+    emails: assignments.length,
+    customFolders: customFolders.length,
+    styleProfile: Boolean(styleProfile),
+  };
+};
+
+/**
+ * Stream a user's account export to a writable stream (e.g. an HTTP response)
+ * @param {Object} user - User row
+ * @param {Object} output - Writable stream
+ * @returns {Promise<Object>} - Counts of exported records
+ */
+export const streamAccountExport = async (user, output) => {
+  const pack = tar.pack();
+  const gzip = zlib.createGzip();
+  pack.pipe(gzip).pipe(output);
+
+  try {
+    const summary = await writeArchive(pack, user);
+    pack.finalize();
+    return summary;
+  } catch (error) {
+    // Abort so the client gets a truncated download instead of a valid but
+    // incomplete archive
+    pack.destroy(error);
+    gzip.destroy(error);
+    output.destroy(error);
+    throw error;
+  }
+};
+
+/**
+ * File name for a user's export archive
+ * @param {Object} user - User row
+ * @returns {string}
+ */
+export const getExportFileName = (user) =>
+  `account-export-${user.id}-${new Date().toISOString().slice(0, 10)}.tar.gz`;
@@ -0,0 +1,421 @@
+import crypto from "crypto";
+import Imap from "imap";
+import config from "../config.js";
+import { getImapConfig } from "./mailAuthService.js";
+
+/**
+ * Keeps authenticated IMAP connections open between requests.
+ *
+ * Each mailbox account (user + server) gets a small pool of connections per
+ * set of credentials, so a connection is only ever handed to a caller that
+ * holds the secret (password or access token) it logged in with. When new
+ * credentials for an account log in (e.g. a refreshed access token), the
+ * account's pools for older credentials are retired: their idle connections
+ * are logged out and busy ones once they are returned.
+ * An operation borrows a connection, selects whatever mailbox it needs and
+ * hands the connection back, so the TLS handshake and login happen once
+ * rather than on every request. Connections that drop are discarded and
+ * replaced on the next request; connections left unused for
+ * `config.email.imapIdleTimeout` are logged out, and connections whose server
+ * goes quiet for `config.email.imapOperationTimeout` mid-operation are dropped.
+ *
+ * The server's folder list is cached per account, so callers that only need
+ * to map "sent" or "trash" to a folder name don't call LIST every time.
+ */
+
+// Pool key (account + credentials) -> pool
+const pools = new Map();
+
+/**
+ * Identify the account a connection is logged in to
+ * @param {Object} imapConfig - Options for the `imap` Connection constructor
+ * @returns {string} - Account name, for logs
+ */
+const getAccount = (imapConfig) =>
+  `${imapConfig.user}@${imapConfig.host}:${imapConfig.port}`;
+
+/**
+ * Identify the account and credentials a connection is logged in with
+ * @param {Object} imapConfig - Options for the `imap` Connection constructor
+ * @returns {string} - Pool key
+ */
+const getPoolKey = (imapConfig) => {
+  const secret = crypto
+    .createHash("sha256")
+    .update(imapConfig.password || imapConfig.xoauth2 || "")
+    .digest("hex");
+  return `${getAccount(imapConfig)}#${secret}`;
+};
+
+/**
+ * Get (or create) the pool for an account and its credentials
+ * @param {Object} imapConfig - Connection settings
+ * @returns {Object} - Pool
+ */
+const getPool = (imapConfig) => {
+  const key = getPoolKey(imapConfig);
+  let pool = pools.get(key);
+
+  if (!pool) {
+    pool = {
+      key,
+      account: getAccount(imapConfig),
+      imapConfig,
+      connections: new Set(),
+      waiters: [],
+      connecting: 0,
+      retired: false,
+      boxes: null,
+      boxesFetchedAt: 0,
+    };
+    pools.set(key, pool);
+  }
+
+  return pool;
+};
+
+/**
+ * Forget a pool once nothing uses it
+ * @param {Object} pool - Pool
+ */
+const removePoolIfUnused = (pool) => {
+  if (
+    pool.connections.size === 0 &&
+    pool.waiters.length === 0 &&
+    pool.connecting === 0 &&
+    pools.get(pool.key) === pool
+  ) {
+    pools.delete(pool.key);
+  }
+};
+
+/**
+ * Stop using a pool: no new borrowers get it, idle connections are logged
+ * out and busy ones are once they are returned
+ * @param {Object} pool - Pool
+ */
+const retirePool = (pool) => {
+  console.log(`Retiring IMAP connections for ${pool.account}`);
+  pool.retired = true;
+  if (pools.get(pool.key) === pool) pools.delete(pool.key);
+
+  pool.connections.forEach((connection) => {
+    if (!connection.busy) {
+      clearTimeout(connection.idleTimer);
+      connection.imap.end();
+    }
+  });
+};
+
+/**
+ * Retire an account's pools for other credentials, once a pool's
+ * credentials have logged in (so failed logins can't retire working pools)
+ * @param {Object} pool - Pool whose credentials just logged in
+ */
+const retireSupersededPools = (pool) => {
+  if (pool.retired) return;
+  pools.forEach((other) => {
+    if (other !== pool && other.account === pool.account) {
+      retirePool(other);
+    }
+  });
+};
+
+/**
+ * Open and log in a new connection for a pool
+ * @param {Object} pool - Pool
+ * @returns {Promise<Object>} - Pooled connection
+ */
+const openConnection = (pool) => {
+  return new Promise((resolve, reject) => {
+    const imap = new Imap(pool.imapConfig);
+    const connection = { imap, pool, busy: false, closed: false };
+
+    console.log(
+      `Opening IMAP connection to ${pool.imapConfig.host} for ${pool.imapConfig.user}`
+    );
+
+    const onConnectError = (err) => {
+      console.error("IMAP connection error details:", err);
+      reject(new Error(`IMAP connection error: ${err.message}`));
+    };
+
+    imap.once("error", onConnectError);
+
+    imap.once("ready", () => {
+      imap.removeListener("error", onConnectError);
+      imap.on("error", (err) => {
+        console.error(`IMAP error on connection for ${pool.account}:`, err);
+      });
+      retireSupersededPools(pool);
+      resolve(connection);
+    });
+
+    // Covers server logouts, network drops and idle timeouts alike
+    imap.once("close", () => {
+      connection.closed = true;
+      // No-op once the connection was ready
+      reject(new Error("IMAP connection ended unexpectedly"));
+      clearTimeout(connection.idleTimer);
+      if (pool.connections.delete(connection)) {
+        console.log(`IMAP connection for ${pool.account} closed`);
+        dispatch(pool);
+        removePoolIfUnused(pool);
+      }
+    });
+
+    try {
+      imap.connect();
+    } catch (err) {
+      reject(new Error(`Error connecting to IMAP server: ${err.message}`));
+    }
+  });
+};
+
+/**
+ * Hand idle connections to waiting operations, opening new connections while
+ * the pool has room
+ * @param {Object} pool - Pool
+ */
+const dispatch = (pool) => {
+  while (pool.waiters.length > 0) {
+    const idle = [...pool.connections].find(
+      (connection) => !connection.busy && !connection.closed
+    );
+
+    if (idle) {
+      clearTimeout(idle.idleTimer);
+      idle.busy = true;
+      pool.waiters.shift().resolve(idle);
+      continue;
+    }
+
+    if (pool.connections.size + pool.connecting >= config.email.imapPoolSize) {
+      return;
+    }
+
+    const waiter = pool.waiters.shift();
+    pool.connecting++;
+    openConnection(pool)
+      .then((connection) => {
+        connection.busy = true;
+        pool.connections.add(connection);
+        waiter.resolve(connection);
+      })
+      .catch(waiter.reject)
+      .finally(() => {
+        pool.connecting--;
+        dispatch(pool);
+        removePoolIfUnused(pool);
+      });
+  }
+};
+
+/**
+ * Borrow a connection from a pool
+ * @param {Object} pool - Pool
+ * @returns {Promise<Object>} - Pooled connection
+ */
+const acquire = (pool) => {
+  return new Promise((resolve, reject) => {
+    pool.waiters.push({ resolve, reject });
+    dispatch(pool);
+  });
+};
+
+/**
+ * Return a connection to its pool
+ * @param {Object} connection - Pooled connection
+ */
+const release = (connection) => {
+  const { pool } = connection;
+  connection.busy = false;
+
+  if (pool.retired) {
+    if (!connection.closed) connection.imap.end();
+  } else if (!connection.closed) {
+    connection.idleTimer = setTimeout(() => {
+      console.log(`Closing idle IMAP connection for ${pool.account}`);
+      connection.imap.end();
+    }, config.email.imapIdleTimeout);
+    // An idle connection alone shouldn't keep the process running
+    connection.idleTimer.unref();
+  }
+
+  dispatch(pool);
+};
+
+/**
+ * Drop a connection that can't be trusted any more (e.g. the server stopped
+ * answering mid-command), so it is never handed out again
+ * @param {Object} connection - Pooled connection
+ */
+const discard = (connection) => {
+  const { pool } = connection;
+  connection.closed = true;
+  clearTimeout(connection.idleTimer);
+  pool.connections.delete(connection);
+  connection.imap.destroy();
+  dispatch(pool);
+  removePoolIfUnused(pool);
+};
+
+/**
+ * Run an operation on a connection, failing it if the connection closes
+ * first (node-imap never calls back for commands cut off by a disconnect) or
+ * the server sends nothing for `config.email.imapOperationTimeout`. A timed
+ * out connection is discarded, since its reply may still arrive later.
+ * @param {Object} connection - Pooled connection
+ * @param {Function} operation - `(imap, connection) => Promise`
+ * @returns {Promise<*>} - Result of the operation
+ */
+const runOnConnection = (connection, operation) => {
+  return new Promise((resolve, reject) => {
+    const { imap, pool } = connection;
+    const timeout = config.email.imapOperationTimeout;
+    // node-imap keeps its socket here; it reads from it as replies arrive
+    const socket = imap._sock;
+    let timer = null;
+
+    const onClose = () => reject(new Error("IMAP connection closed"));
+    const onTimeout = () => {
+      console.error(
+        `IMAP server for ${pool.account} sent nothing for ${timeout}ms, dropping the connection`
+      );
+      connection.timedOut = true;
+      reject(new Error(`IMAP server did not respond within ${timeout}ms`));
+      discard(connection);
+    };
+    // Long fetches and downloads are fine as long as the server keeps sending
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(onTimeout, timeout);
+    };
+
+    imap.once("close", onClose);
+    if (timeout > 0) {
+      restartTimer();
+      socket.on("data", restartTimer);
+    }
+
+    Promise.resolve()
+      .then(() => operation(imap, connection))
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timer);
+        imap.removeListener("close", onClose);
+        socket.removeListener("data", restartTimer);
+      });
+  });
+};
+
+/**
+ * Run an operation with a pooled, logged-in IMAP connection.
+ * If the connection drops while the operation runs, it is retried once on a
+ * new connection; if the server stops responding, it fails.
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials (see mailAuthService)
+ * @param {Function} operation - `(imap, connection) => Promise`
+ * @returns {Promise<*>} - Result of the operation
+ */
+export const withImapConnection = async (email, accessToken, operation) => {
+  const pool = getPool(getImapConfig(email, accessToken));
+
+  for (let attempt = 1; ; attempt++) {
+    const connection = await acquire(pool);
+    try {
+      return await runOnConnection(connection, operation);
+    } catch (error) {
+      // A server that timed out is unlikely to do better on a new connection
+      if (connection.closed && !connection.timedOut && attempt === 1) {
+        console.log(
+          `IMAP connection for ${pool.account} dropped, retrying: ${error.message}`
+        );
+        continue;
+      }
+      throw error;
+    } finally {
+      release(connection);
+    }
+  }
+};
+
+/**
+ * Select a mailbox on a connection
+ * @param {Object} imap - Connection from withImapConnection
+ * @param {string} name - Mailbox name on the server
+ * @param {boolean} readOnly - Open with EXAMINE instead of SELECT
+ * @returns {Promise<Object>} - Mailbox info from node-imap
+ */
+export const openMailbox = (imap, name, readOnly = false) => {
+  return new Promise((resolve, reject) => {
+    imap.openBox(name, readOnly, (err, box) => {
+      if (err) reject(err);
+      else resolve(box);
+    });
+  });
+};
+
+/**
+ * Get the account's folder tree, reusing a recent copy when there is one
+ * @param {Object} connection - Pooled connection from withImapConnection
+ * @param {Object} options
+ * @param {boolean} options.refresh - Always ask the server
+ * @returns {Promise<Object>} - Mailbox tree as returned by imap.getBoxes
+ */
+export const getMailboxList = (connection, { refresh = false } = {}) => {
+  const { pool, imap } = connection;
+  const fresh =
+    pool.boxes &&
+    Date.now() - pool.boxesFetchedAt < config.email.imapFolderCacheTtl;
+
+  if (fresh && !refresh) return Promise.resolve(pool.boxes);
+
+  return new Promise((resolve, reject) => {
+    imap.getBoxes((err, boxes) => {
+      if (err) return reject(err);
+
+      pool.boxes = boxes;
+      pool.boxesFetchedAt = Date.now();
+      console.log(
+        `Folder list for ${pool.account}:`,
+        Object.keys(boxes).join(", ")
+      );
+      resolve(boxes);
+    });
+  });
+};
+
+/**
+ * Log out every pooled connection (e.g. on shutdown)
+ */
+export const closeAllConnections = () => {
+  pools.forEach((pool) => {
+    pool.connections.forEach((connection) => connection.imap.end());
+  });
+};
+
+/**
+ * Number of open connections per account, for diagnostics
+ * @returns {Object} - Account -> `{ open, busy, waiting }`
+ */
+export const getPoolStats = () => {
+  const stats = {};
+  pools.forEach((pool) => {
+    const entry = stats[pool.account] || { open: 0, busy: 0, waiting: 0 };
+    entry.open += pool.connections.size;
+    entry.busy += [...pool.connections].filter((c) => c.busy).length;
+    entry.waiting += pool.waiters.length;
+    stats[pool.account] = entry;
+  });
+  return stats;
+};
+
+export default {
+  withImapConnection,
+  openMailbox,
+  getMailboxList,
+  closeAllConnections,
+  getPoolStats,
+};
@@ -1,62 +1,179 @@
 import Imap from "imap";
 import { simpleParser } from "mailparser";
+import { PassThrough } from "stream";
+import libbase64 from "libbase64";
+import libqp from "libqp";
 import dotenv from "dotenv";
+import { getMailboxProvider } from "./mailAuthService.js";
+import {
+  withImapConnection,
+  openMailbox,
+  getMailboxList,
+} from "./imapPoolService.js";
+import {
+  SPECIAL_USE_FOLDERS,
+  FOLDER_ALIASES,
+  PROVIDERS,
+} from "../config/providers.js";
 
 dotenv.config();
 
-// Gmail mailbox name mapping
-const GMAIL_FOLDERS = {
-  inbox: "INBOX",
-  sent: "[Gmail]/Sent Mail",
-  drafts: "[Gmail]/Drafts",
-  trash: "[Gmail]/Trash",
-  spam: "[Gmail]/Spam",
-  starred: "[Gmail]/Starred",
-  important: "[Gmail]/Important",
-  all: "[Gmail]/All Mail",
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names accepted in the `flags` search option, as IMAP SEARCH keys
+const SEARCH_FLAGS = {
+  unread: "UNSEEN",
+  unseen: "UNSEEN",
+  read: "SEEN",
+  seen: "SEEN",
+  flagged: "FLAGGED",
+  starred: "FLAGGED",
+  unflagged: "UNFLAGGED",
+  unstarred: "UNFLAGGED",
+  answered: "ANSWERED",
+  unanswered: "UNANSWERED",
+};
+
+// Flags the API can set and clear, by the names clients use for them
+export const MESSAGE_FLAGS = {
+  seen: "\\Seen",
+  read: "\\Seen",
+  flagged: "\\Flagged",
+  starred: "\\Flagged",
+  answered: "\\Answered",
 };
 
 /**
- * Maps common folder names to Gmail's specific folder structure
- * @param {string} folder - Common folder name
- * @returns {string} - Gmail folder name
+ * Work out which standard folder (sent, trash, spam, ...) a name refers to.
+ * Accepts common names ("sent", "junk") as well as provider-specific paths
+ * such as "[Gmail]/Sent Mail", so clients written for one provider keep
+ * working against another.
+ * @param {string} folder - Folder name from the client
+ * @returns {string|null} - Key of SPECIAL_USE_FOLDERS, or null for other folders
  */
-const getGmailFolderName = (folder) => {
+const getSpecialUseKey = (folder) => {
   const lowercaseFolder = folder.toLowerCase();
-  return GMAIL_FOLDERS[lowercaseFolder] || folder;
+  if (SPECIAL_USE_FOLDERS[lowercaseFolder]) return lowercaseFolder;
+  if (FOLDER_ALIASES[lowercaseFolder]) return FOLDER_ALIASES[lowercaseFolder];
+
+  for (const profile of Object.values(PROVIDERS)) {
+    const key = Object.keys(profile.folders).find(
+      (name) => profile.folders[name].toLowerCase() === lowercaseFolder
+    );
+    if (key) return key;
+  }
+  return null;
 };
 
 /**
- * Helper function to safely convert mailbox structure to string without circular references
- * @param {Object} boxes - Mailbox structure from IMAP
- * @returns {Object} - Simplified mailbox structure
+ * Find the folders a server marks with RFC 6154 SPECIAL-USE attributes
+ * @param {Object} boxes - Mailbox tree from imap.getBoxes
+ * @returns {Object} - Map of standard folder key (sent, trash, ...) to path
  */
-const simplifyMailboxes = (boxes) => {
-  const result = {};
+export const findSpecialUseFolders = (boxes) => {
+  const found = {};
+
+  const visit = (boxesObj, prefix = "") => {
+    Object.keys(boxesObj).forEach((name) => {
+      const box = boxesObj[name];
+      const fullPath = `${prefix}${name}`;
+      const attribs = (box.attribs || []).map((a) => a.toLowerCase());
+
+      Object.entries(SPECIAL_USE_FOLDERS).forEach(([key, attrib]) => {
+        if (!found[key] && attribs.includes(attrib.toLowerCase())) {
+          found[key] = fullPath;
+        }
+      });
 
-  // Process each mailbox at this level
-  Object.keys(boxes).forEach((boxName) => {
-    const box = boxes[boxName];
+      if (box.children) {
+        visit(box.children, `${fullPath}${box.delimiter}`);
+      }
+    });
+  };
 
-    // Create simplified representation (without parent references)
-    result[boxName] = {
-      attribs: box.attribs,
-      delimiter: box.delimiter,
-    };
+  visit(boxes);
+  return found;
+};
+
+/**
+ * Map the folder a client asked for to the name used on this server.
+ * Standard folders are looked up by SPECIAL-USE attribute first, then by the
+ * provider profile's folder names; anything else is used as given.
+ * @param {string} folder - Folder name from the client
+ * @param {Object|null} boxes - Mailbox tree from imap.getBoxes, if available
+ * @param {Object} provider - Provider profile for the mailbox
+ * @returns {string} - Folder name to open
+ */
+export const resolveFolderName = (folder, boxes, provider) => {
+  if (folder.toUpperCase() === "INBOX") return "INBOX";
+
+  const key = getSpecialUseKey(folder);
+  if (!key) return folder;
+
+  const specialUse = boxes ? findSpecialUseFolders(boxes)[key] : null;
+  return specialUse || provider.folders[key] || folder;
+};
 
-    // Process children recursively if they exist
-    if (box.children && Object.keys(box.children).length > 0) {
-      result[boxName].children = simplifyMailboxes(box.children);
+/**
+ * Open a folder by the name the client uses, mapping sent/trash/spam etc. to
+ * this server's folder names. Falls back to the name as given if the mapped
+ * folder can't be opened.
+ * @param {Object} imap - Connection from withImapConnection
+ * @param {Object} connection - Pooled connection (for the cached folder list)
+ * @param {string} folder - Folder name from the client
+ * @param {Object} provider - Provider profile for the mailbox
+ * @param {boolean} readOnly - Open with EXAMINE instead of SELECT
+ * @returns {Promise<Object>} - `{ box, serverFolder }`
+ */
+export const openFolder = async (
+  imap,
+  connection,
+  folder,
+  provider,
+  readOnly = false
+) => {
+  // Only sent/trash/spam etc. need the folder list to find this server's
+  // names for them; INBOX and other folders are opened as given
+  let boxes = null;
+  if (folder.toUpperCase() !== "INBOX" && getSpecialUseKey(folder)) {
+    boxes = await getMailboxList(connection).catch((err) => {
+      console.error("Error fetching mailboxes:", err);
+      return null;
+    });
+  }
+
+  // Map sent/trash/spam etc. to this server's folder names
+  const serverFolder = resolveFolderName(folder, boxes, provider);
+  console.log("Trying to access mailbox:", serverFolder);
+
+  try {
+    const box = await openMailbox(imap, serverFolder, readOnly);
+    return { box, serverFolder };
+  } catch (err) {
+    console.error(`Error opening mailbox ${serverFolder}:`, err);
+
+    if (serverFolder === folder) {
+      throw new Error(`Error opening mailbox ${serverFolder}: ${err.message}`);
     }
-  });
 
-  return result;
+    // If we tried a mapped folder name and it failed, try the original name
+    console.log(`Trying original mailbox name: ${folder}`);
+    try {
+      const box = await openMailbox(imap, folder, readOnly);
+      return { box, serverFolder: folder };
+    } catch (err2) {
+      throw new Error(`Error opening mailbox ${folder}: ${err2.message}`);
+    }
+  }
 };
 
 /**
- * Connects to Gmail using IMAP and fetches recent emails.
+ * Connects to the mailbox's IMAP server and fetches recent emails.
+ * Uses a pooled connection, so repeated calls for the same account don't log
+ * in again.
  * @param {string} email - User's email address.
- * @param {string} accessToken - OAuth2 access token (not used in password auth mode).
+ * @param {string|Object} accessToken - OAuth2 access token used for XOAUTH2
+ *   login, or linked-mailbox credentials.
  * @param {number} limit - Number of emails to fetch (default 10)
  * @param {string} mailbox - Mailbox to fetch from (default INBOX)
  * @param {number} page - Page number for pagination (default 1)
@@ -69,134 +186,819 @@ export const fetchEmails = (
   mailbox = "INBOX",
   page = 1
 ) => {
-  return new Promise((resolve, reject) => {
-    // Map common folder names to Gmail's specific folders
-    const gmailMailbox = getGmailFolderName(mailbox);
-
-    // For testing, use direct password authentication instead of OAuth
-    // This should be replaced with proper OAuth flow in production
-    const imapConfig = {
-      user: process.env.EMAIL_USER || email,
-      password: process.env.EMAIL_PASS, // Use app password from .env
-      host: "imap.gmail.com",
-      port: 993,
-      tls: true,
-      tlsOptions: { rejectUnauthorized: false },
-      authTimeout: 10000,
-    };
+  const provider = getMailboxProvider(accessToken);
+
+  return withImapConnection(email, accessToken, async (imap, connection) => {
+    const { box, serverFolder } = await openFolder(
+      imap,
+      connection,
+      mailbox,
+      provider,
+      true
+    );
+
+    const emails = await new Promise((resolve, reject) =>
+      fetchEmailsFromBox(imap, box, limit, [], resolve, reject, page)
+    );
+    return withLocation(emails, serverFolder, box.uidvalidity);
+  });
+};
 
-    console.log("Connecting to IMAP with user:", imapConfig.user);
-    console.log("Trying to access mailbox:", gmailMailbox);
+/**
+ * Record where fetched messages live on the server, so they can be addressed
+ * by UID later (see messageRefService)
+ * @param {Array} emails - Fetched emails
+ * @param {string} serverFolder - Folder name on the server
+ * @param {number} uidValidity - The folder's UIDVALIDITY
+ * @returns {Array} - The emails, with imapFolder and uidValidity set
+ */
+const withLocation = (emails, serverFolder, uidValidity) =>
+  emails.map((email) => ({ ...email, imapFolder: serverFolder, uidValidity }));
 
-    const imap = new Imap(imapConfig);
+/**
+ * Fetch and parse messages by UID from the currently open mailbox
+ * @param {Object} imap - Connection with a mailbox open
+ * @param {Array<number>} uids - UIDs to fetch
+ * @returns {Promise<Array>} - Parsed emails, in the same shape as fetchEmails
+ */
+export const fetchMessagesByUid = (imap, uids) => {
+  return new Promise((resolve, reject) => {
+    if (uids.length === 0) return resolve([]);
 
     const emails = [];
-    let connected = false;
+    const parsing = [];
+    const fetch = imap.fetch(uids, {
+      bodies: "",
+      struct: true,
+      markSeen: false,
+    });
 
-    // Handle connection errors
-    imap.once("error", (err) => {
-      if (!connected) {
-        console.error("IMAP connection error details:", err);
-        reject(new Error(`IMAP connection error: ${err.message}`));
-      }
-      console.error("IMAP error:", err);
+    fetch.on("message", (msg, seqno) => {
+      const email = { seqno, uid: null, flags: [], internalDate: null };
+      const chunks = [];
+      let struct = null;
+
+      msg.on("body", (stream) => {
+        stream.on("data", (chunk) => chunks.push(chunk));
+      });
+
+      msg.once("attributes", (attrs) => {
+        email.uid = attrs.uid;
+        email.flags = attrs.flags;
+        email.internalDate = attrs.date;
+        // Gmail's thread ID; may be a string, as it can exceed 2^53
+        email.gmailThreadId = attrs["x-gm-thrid"]
+          ? String(attrs["x-gm-thrid"])
+          : null;
+        struct = attrs.struct;
+      });
+
+      msg.once("end", () => {
+        const raw = Buffer.concat(chunks);
+        parsing.push(
+          simpleParser(raw).then((parsed) => {
+            emails.push({
+              ...email,
+              headers: parseRawHeaders(raw),
+              messageId: parsed.messageId || null,
+              inReplyTo: parsed.inReplyTo || null,
+              references: [].concat(parsed.references || []),
+              from: parsed.from || null,
+              to: parsed.to || null,
+              cc: parsed.cc || null,
+              replyTo: parsed.replyTo || null,
+              subject: parsed.subject || null,
+              date: parsed.date || email.internalDate,
+              body: parsed.text || "",
+              html: parsed.html || null,
+              snippet: parsed.text
+                ? parsed.text.substring(0, 200).replace(/\n/g, " ")
+                : null,
+              attachments: describeAttachments(struct, parsed.attachments),
+            });
+          })
+        );
+      });
     });
 
-    // Handle connection end
-    imap.once("end", () => {
-      if (!connected) {
-        reject(new Error("IMAP connection ended unexpectedly"));
-      }
-      console.log("IMAP connection ended");
+    fetch.once("error", (err) => {
+      console.error("Fetch error:", err);
+      reject(new Error(`Error fetching emails: ${err.message}`));
     });
 
-    // Handle connection success
-    imap.once("ready", () => {
-      connected = true;
-      console.log("IMAP connection established successfully");
-
-      // List all available mailboxes for debugging
-      imap.getBoxes((err, boxes) => {
-        if (err) {
-          console.error("Error fetching mailboxes:", err);
-        } else {
-          // Use our safe function to display mailboxes without circular references
-          const simplifiedBoxes = simplifyMailboxes(boxes);
-          console.log(
-            "Available mailboxes:",
-            JSON.stringify(simplifiedBoxes, null, 2)
-          );
+    fetch.once("end", () => {
+      Promise.all(parsing)
+        .then(() => resolve(emails.sort((a, b) => a.uid - b.uid)))
+        .catch(reject);
+    });
+  });
+};
 
-          // Log just the top-level folder names for easy reference
-          console.log("Folder names:", Object.keys(boxes).join(", "));
-
-          // If there's a [Gmail] folder, also log its subfolders
-          if (boxes["[Gmail]"] && boxes["[Gmail]"].children) {
-            console.log(
-              "Gmail subfolders:",
-              Object.keys(boxes["[Gmail]"].children)
-                .map((name) => `[Gmail]/${name}`)
-                .join(", ")
-            );
-          }
+/**
+ * Fetch the current flags of messages in the open mailbox
+ * @param {Object} imap - Connection with a mailbox open
+ * @param {string|Array<number>} uids - UID range (e.g. "120:*") or UIDs
+ * @returns {Promise<Array>} - `{ uid, flags }` for each message
+ */
+export const fetchFlags = (imap, uids) => {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    const fetch = imap.fetch(uids, {});
+
+    fetch.on("message", (msg) => {
+      msg.once("attributes", (attrs) => {
+        results.push({ uid: attrs.uid, flags: attrs.flags });
+      });
+    });
+    fetch.once("error", (err) =>
+      reject(new Error(`Error fetching flags: ${err.message}`))
+    );
+    fetch.once("end", () => resolve(results));
+  });
+};
+
+/**
+ * Run UID SEARCH in the currently open mailbox
+ * @param {Object} imap - Connection with a mailbox open
+ * @param {Array} criteria - node-imap search criteria
+ * @returns {Promise<Array<number>>} - Matching UIDs in ascending order
+ */
+export const searchUids = (imap, criteria) => {
+  return new Promise((resolve, reject) => {
+    imap.search(criteria, (err, uids) => {
+      if (err) reject(new Error(`Error searching mailbox: ${err.message}`));
+      else resolve(uids.sort((a, b) => a - b));
+    });
+  });
+};
+
+/**
+ * List every UID in the currently open mailbox
+ * @param {Object} imap - Connection with a mailbox open
+ * @returns {Promise<Array<number>>} - UIDs in ascending order
+ */
+export const searchAllUids = (imap) => searchUids(imap, ["ALL"]);
+
+/**
+ * Fetch one message by its place on the server
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {Object} location - folder (name on the server), uid and uidValidity
+ * @returns {Promise<Object>} - Parsed email, in the same shape as
+ *   fetchMessagesByUid
+ */
+export const fetchMessageByUid = (email, accessToken, location) => {
+  const { folder, uid, uidValidity } = location;
+
+  return withImapConnection(email, accessToken, async (imap) => {
+    await openMessageFolder(imap, folder, uidValidity);
+
+    const [message] = await fetchMessagesByUid(imap, [uid]);
+    if (!message) {
+      throw new Error("Message not found");
+    }
+    return { ...message, imapFolder: folder, uidValidity };
+  });
+};
+
+/**
+ * Open the folder of a message addressed by UID, read-only
+ * @param {Object} imap - Connection
+ * @param {string} folder - Folder name on the server
+ * @param {number} uidValidity - UIDVALIDITY the UID belongs to
+ * @returns {Promise<Object>} - Mailbox info from node-imap
+ */
+const openMessageFolder = async (imap, folder, uidValidity) => {
+  let box;
+  try {
+    box = await openMailbox(imap, folder, true);
+  } catch (err) {
+    if (err.textCode === "NONEXISTENT" || /exist|no such/i.test(err.message)) {
+      throw new Error(`Folder ${folder} not found on the server`);
+    }
+    throw new Error(`Error opening mailbox ${folder}: ${err.message}`);
+  }
+
+  // A new UIDVALIDITY means the server renumbered the folder, so the UID
+  // may now belong to another message
+  if (box.uidvalidity !== uidValidity) {
+    throw new Error(
+      `Message not found: ${folder} has been renumbered since it was listed`
+    );
+  }
+  return box;
+};
+
+/**
+ * List the attachments in a message's BODYSTRUCTURE. Every part other than
+ * the message text counts, including inline images, the same as mailparser.
+ * @param {Array|null} struct - `struct` attribute from node-imap
+ * @returns {Array<Object>} - `{ partId, filename, contentType, size,
+ *   encoding, contentId, disposition }`; size is estimated from the encoded
+ *   size
+ */
+const getAttachmentParts = (struct) => {
+  const parts = [];
+
+  const visit = (node) => {
+    // A multipart node is [info, ...children]; a leaf is [part]
+    if (!Array.isArray(node)) return;
+    const [part, ...children] = node;
+    if (!part.partID) {
+      children.forEach(visit);
+      return;
+    }
+
+    const disposition = part.disposition
+      ? part.disposition.type.toLowerCase()
+      : null;
+    const filename =
+      (part.disposition &&
+        part.disposition.params &&
+        part.disposition.params.filename) ||
+      (part.params && part.params.name) ||
+      null;
+    const contentType = `${part.type}/${part.subtype}`.toLowerCase();
+    const isText = ["text/plain", "text/html"].includes(contentType);
+    if (disposition !== "attachment" && !filename && isText) return;
+
+    const encoding = (part.encoding || "").toLowerCase();
+    parts.push({
+      partId: part.partID,
+      filename,
+      contentType,
+      size: encoding === "base64" ? Math.floor((part.size * 3) / 4) : part.size,
+      encoding,
+      contentId: part.id ? part.id.replace(/^<|>$/g, "") : null,
+      disposition,
+    });
+  };
+
+  visit(struct || []);
+  return parts;
+};
+
+/**
+ * Describe a message's attachments, with part IDs from BODYSTRUCTURE (needed
+ * to download one) and exact sizes from mailparser where the two match up
+ * @param {Array|null} struct - `struct` attribute from node-imap
+ * @param {Array} parsedAttachments - Attachments found by mailparser
+ * @returns {Array<Object>} - See getAttachmentParts
+ */
+const describeAttachments = (struct, parsedAttachments = []) => {
+  const unmatched = [...parsedAttachments];
+
+  if (!struct) {
+    return unmatched.map((att) => ({
+      filename: att.filename,
+      contentType: att.contentType,
+      size: att.size,
+    }));
+  }
+
+  return getAttachmentParts(struct).map((part) => {
+    const index = unmatched.findIndex(
+      (att) =>
+        (att.filename || null) === part.filename &&
+        (att.contentType || "").toLowerCase() === part.contentType
+    );
+    if (index === -1) return part;
+    const [att] = unmatched.splice(index, 1);
+    return { ...part, size: att.size };
+  });
+};
+
+/**
+ * Decode a part's Content-Transfer-Encoding as it streams
+ * @param {string} encoding - Part encoding from BODYSTRUCTURE
+ * @returns {Object} - Transform stream
+ */
+const createPartDecoder = (encoding) => {
+  switch (encoding) {
+    case "base64":
+      return new libbase64.Decoder();
+    case "quoted-printable":
+      return new libqp.Decoder();
+    default:
+      return new PassThrough();
+  }
+};
+
+/**
+ * Stream one MIME part of a message from the server, decoded, without
+ * downloading the rest of the message
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {Object} location - folder (name on the server), uid and uidValidity
+ * @param {string} partId - MIME part ID (e.g. "2" or "1.2")
+ * @param {Function} consume - Called with (part, stream) once the part is
+ *   found; must return a promise that settles when it's done with the stream.
+ *   The connection goes back to the pool after that.
+ * @returns {Promise<Object>} - The part, see getAttachmentParts
+ */
+export const streamMessagePart = (
+  email,
+  accessToken,
+  location,
+  partId,
+  consume
+) => {
+  const { folder, uid, uidValidity } = location;
+
+  return withImapConnection(email, accessToken, async (imap) => {
+    await openMessageFolder(imap, folder, uidValidity);
+
+    const struct = await new Promise((resolve, reject) => {
+      let found = null;
+      const fetch = imap.fetch([uid], { struct: true });
+      fetch.on("message", (msg) => {
+        msg.once("attributes", (attrs) => (found = attrs.struct));
+      });
+      fetch.once("error", (err) =>
+        reject(new Error(`Error fetching message structure: ${err.message}`))
+      );
+      fetch.once("end", () => resolve(found));
+    });
+    if (!struct) {
+      throw new Error("Message not found");
+    }
+
+    const part = getAttachmentParts(struct).find(
+      (attachment) => attachment.partId === partId
+    );
+    if (!part) {
+      throw new Error(`Attachment ${partId} not found`);
+    }
+
+    await new Promise((resolve, reject) => {
+      let consumed = null;
+      const fetch = imap.fetch([uid], { bodies: [partId], markSeen: false });
+
+      fetch.on("message", (msg) => {
+        msg.on("body", (stream) => {
+          const decoded = stream.pipe(createPartDecoder(part.encoding));
+          consumed = Promise.resolve().then(() => consume(part, decoded));
+          // Keep reading if the consumer gives up, so the connection isn't
+          // left mid-response
+          consumed.catch(() => decoded.resume());
+        });
+      });
+      fetch.once("error", (err) =>
+        reject(new Error(`Error fetching attachment: ${err.message}`))
+      );
+      fetch.once("end", () => {
+        if (!consumed) {
+          return reject(new Error(`Attachment ${partId} not found`));
         }
+        consumed.then(resolve, reject);
+      });
+    });
 
-        // Continue with opening the requested mailbox
-        imap.openBox(gmailMailbox, false, (err, box) => {
-          if (err) {
-            console.error(`Error opening mailbox ${gmailMailbox}:`, err);
-
-            // If we tried a mapped folder name and it failed, try the original name
-            if (gmailMailbox !== mailbox) {
-              console.log(`Trying original mailbox name: ${mailbox}`);
-
-              imap.openBox(mailbox, false, (err2, box2) => {
-                if (err2) {
-                  imap.end();
-                  return reject(
-                    new Error(
-                      `Error opening mailbox ${mailbox}: ${err2.message}`
-                    )
-                  );
-                }
+    return part;
+  });
+};
 
-                fetchEmailsFromBox(
-                  imap,
-                  box2,
-                  limit,
-                  emails,
-                  resolve,
-                  reject,
-                  page
-                );
-              });
-              return;
-            }
+/**
+ * Stream the full RFC 822 source of a message from the server
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {Object} location - folder (name on the server), uid and uidValidity
+ * @param {Function} consume - Called with (stream, { size }) once the message
+ *   is found; must return a promise that settles when it's done with the
+ *   stream. The connection goes back to the pool after that.
+ * @returns {Promise<void>}
+ */
+export const streamMessageSource = (email, accessToken, location, consume) => {
+  const { folder, uid, uidValidity } = location;
 
-            imap.end();
-            return reject(
-              new Error(`Error opening mailbox ${gmailMailbox}: ${err.message}`)
-            );
-          }
+  return withImapConnection(email, accessToken, async (imap) => {
+    await openMessageFolder(imap, folder, uidValidity);
+
+    await new Promise((resolve, reject) => {
+      let consumed = null;
+      const fetch = imap.fetch([uid], { bodies: "", markSeen: false });
 
-          fetchEmailsFromBox(imap, box, limit, emails, resolve, reject, page);
+      fetch.on("message", (msg) => {
+        msg.on("body", (stream, info) => {
+          consumed = Promise.resolve().then(() =>
+            consume(stream, { size: info.size })
+          );
+          // Keep reading if the consumer gives up, so the connection isn't
+          // left mid-response
+          consumed.catch(() => stream.resume());
         });
       });
+      fetch.once("error", (err) =>
+        reject(new Error(`Error fetching message: ${err.message}`))
+      );
+      fetch.once("end", () => {
+        if (!consumed) {
+          return reject(new Error("Message not found"));
+        }
+        consumed.then(resolve, reject);
+      });
+    });
+  });
+};
+
+/**
+ * Map flag names from the API ("seen", "starred", "\\Answered", ...) to
+ * IMAP system flags
+ * @param {Array<string>} names - Flag names
+ * @returns {Array<string>} - IMAP flags
+ */
+const toImapFlags = (names = []) =>
+  names.map((name) => {
+    const flag = MESSAGE_FLAGS[String(name).replace(/^\\/, "").toLowerCase()];
+    if (!flag) {
+      throw new Error(
+        `Unsupported flag: ${name}. Use one of ${Object.keys(
+          MESSAGE_FLAGS
+        ).join(", ")}`
+      );
+    }
+    return flag;
+  });
+
+/**
+ * Add or remove flags on messages in the currently open mailbox
+ * @param {Object} imap - Connection with a mailbox open read-write
+ * @param {Array<number>} uids - Message UIDs
+ * @param {string} method - "addFlags" or "delFlags"
+ * @param {Array<string>} flags - IMAP flags
+ * @returns {Promise<void>}
+ */
+const storeFlags = (imap, uids, method, flags) => {
+  return new Promise((resolve, reject) => {
+    if (flags.length === 0) return resolve();
+
+    imap[method](uids, flags, (err) => {
+      if (err) reject(new Error(`Error updating flags: ${err.message}`));
+      else resolve();
+    });
+  });
+};
+
+/**
+ * Set and clear \\Seen, \\Flagged and \\Answered on messages. Messages are
+ * picked by UID, or by Message-ID when the UID isn't known.
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {Object} options - folder (default INBOX), uids or messageId, and
+ *   add/remove arrays of flag names ("seen", "flagged", "answered", ...).
+ *   With uidValidity, the uids are only used while the folder still has that
+ *   UIDVALIDITY; otherwise the message is found by messageId, if given.
+ * @returns {Promise<Object>} - `{ serverFolder, messages }` with the flags each
+ *   message has afterwards
+ */
+export const setMessageFlags = (email, accessToken, options = {}) => {
+  const { folder = "INBOX", messageId = null, uidValidity = null } = options;
+  const add = toImapFlags(options.add);
+  const remove = toImapFlags(options.remove);
+  const provider = getMailboxProvider(accessToken);
+
+  return withImapConnection(email, accessToken, async (imap, connection) => {
+    const { box, serverFolder } = await openFolder(
+      imap,
+      connection,
+      folder,
+      provider
+    );
+
+    // UIDs from before the folder was renumbered may name other messages
+    const renumbered = uidValidity && box.uidvalidity !== uidValidity;
+    const uids = renumbered ? [] : options.uids || [];
+    const targets =
+      uids.length > 0 || !messageId
+        ? uids
+        : await searchUids(imap, [["HEADER", "MESSAGE-ID", messageId]]);
+    if (targets.length === 0) {
+      return { serverFolder, messages: [] };
+    }
+
+    await storeFlags(imap, targets, "addFlags", add);
+    await storeFlags(imap, targets, "delFlags", remove);
+
+    const messages = await fetchFlags(imap, targets);
+    return { serverFolder, messages };
+  });
+};
+
+/**
+ * Work out a folder's name on the server without opening it. "archive" falls
+ * back to the all-mail folder on servers without an archive folder (Gmail),
+ * since moving a message there is how Gmail archives it.
+ * @param {Object} connection - Pooled connection
+ * @param {string} folder - Folder name from the client
+ * @param {Object} provider - Provider profile for the mailbox
+ * @returns {Promise<string>} - Folder name on the server
+ */
+const resolveServerFolderName = async (connection, folder, provider) => {
+  const key = getSpecialUseKey(folder);
+  if (folder.toUpperCase() === "INBOX" || !key) {
+    return resolveFolderName(folder, null, provider);
+  }
+
+  const boxes = await getMailboxList(connection).catch((err) => {
+    console.error("Error fetching mailboxes:", err);
+    return null;
+  });
+  const specialUse = boxes ? findSpecialUseFolders(boxes) : {};
+
+  if (key === "archive" && !specialUse.archive && !provider.folders.archive) {
+    return specialUse.all || provider.folders.all || folder;
+  }
+  return resolveFolderName(folder, boxes, provider);
+};
+
+/**
+ * Look up a folder's name on the server (e.g. "trash" -> "[Gmail]/Trash")
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {string} folder - Folder name from the client
+ * @returns {Promise<string>} - Folder name on the server
+ */
+export const getServerFolderName = (email, accessToken, folder) => {
+  const provider = getMailboxProvider(accessToken);
+  return withImapConnection(email, accessToken, (imap, connection) =>
+    resolveServerFolderName(connection, folder, provider)
+  );
+};
+
+/**
+ * Get UIDNEXT and UIDVALIDITY of a folder that isn't the open one
+ * @param {Object} imap - Connection
+ * @param {string} folder - Folder name on the server
+ * @returns {Promise<Object>} - Mailbox status from node-imap
+ */
+const getFolderStatus = (imap, folder) => {
+  return new Promise((resolve, reject) => {
+    imap.status(folder, (err, box) => {
+      if (!err) return resolve(box);
+      if (
+        ["TRYCREATE", "NONEXISTENT"].includes(err.textCode) ||
+        /exist|no such/i.test(err.message)
+      ) {
+        return reject(new Error(`Folder ${folder} not found on the server`));
+      }
+      reject(new Error(`Error reading folder ${folder}: ${err.message}`));
     });
+  });
+};
 
-    // Connect to server
+/**
+ * Move messages out of the open mailbox. node-imap uses the MOVE extension
+ * when the server has it, and otherwise copies, flags the originals \\Deleted
+ * and expunges only those (with UID EXPUNGE where UIDPLUS is available).
+ * @param {Object} imap - Connection with the source mailbox open read-write
+ * @param {Array<number>} uids - Message UIDs
+ * @param {string} destination - Folder name on the server
+ * @returns {Promise<void>}
+ */
+const moveUids = (imap, uids, destination) => {
+  return new Promise((resolve, reject) => {
+    console.log(
+      `Moving ${uids.length} messages to ${destination} with ${
+        imap.serverSupports("MOVE") ? "MOVE" : "COPY and EXPUNGE"
+      }`
+    );
     try {
-      console.log("Initiating IMAP connection...");
-      imap.connect();
+      imap.move(uids, destination, (err) => {
+        if (err) reject(new Error(`Error moving messages: ${err.message}`));
+        else resolve();
+      });
     } catch (err) {
-      console.error("Connection attempt error:", err);
-      reject(new Error(`Error connecting to IMAP server: ${err.message}`));
+      reject(new Error(`Error moving messages: ${err.message}`));
     }
   });
 };
 
+/**
+ * Move messages between folders on the server
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {Object} options - folder (source, default INBOX), uids and
+ *   destination (e.g. "archive", "trash" or a folder name)
+ * @returns {Promise<Object>} - `{ serverFolder, destinationFolder,
+ *   uidValidity, moved }`, where `moved` pairs each moved UID with its UID in
+ *   the destination (`newUid`, null if the server's numbering couldn't be
+ *   followed)
+ */
+export const moveMessages = (email, accessToken, options = {}) => {
+  const { folder = "INBOX", uids = [], destination } = options;
+  const provider = getMailboxProvider(accessToken);
+
+  return withImapConnection(email, accessToken, async (imap, connection) => {
+    const destinationFolder = await resolveServerFolderName(
+      connection,
+      destination,
+      provider
+    );
+    const { serverFolder } = await openFolder(
+      imap,
+      connection,
+      folder,
+      provider
+    );
+    if (serverFolder === destinationFolder) {
+      throw new Error(`Messages are already in ${destinationFolder}`);
+    }
+
+    // Skip UIDs that don't exist (any more)
+    const existing = await searchUids(imap, [["UID", ...uids]]);
+    if (existing.length === 0) {
+      return { serverFolder, destinationFolder, uidValidity: null, moved: [] };
+    }
+
+    // Moved messages get the destination's next UIDs, in source UID order
+    const before = await getFolderStatus(imap, destinationFolder);
+    await moveUids(imap, existing, destinationFolder);
+
+    const box = await openMailbox(imap, destinationFolder, true);
+    const added = (
+      await searchUids(imap, [["UID", `${before.uidnext}:*`]])
+    ).filter((uid) => uid >= before.uidnext);
+    const numbered =
+      box.uidvalidity === before.uidvalidity &&
+      added.length === existing.length;
+
+    return {
+      serverFolder,
+      destinationFolder,
+      uidValidity: box.uidvalidity,
+      moved: existing.map((uid, i) => ({
+        uid,
+        newUid: numbered ? added[i] : null,
+      })),
+    };
+  });
+};
+
+/**
+ * Split a search keyword into the parts to look for. Keywords may use
+ * `subject:` and `body:` (optionally quoted) to restrict where a term matches.
+ * @param {string} keyword - Search keyword
+ * @param {boolean} complexQuery - Treat the keyword as a subject/body query
+ * @returns {Object} - `{ text }`, `{ subjectOrBody }` or `{ subject, body }`
+ */
+const parseKeyword = (keyword, complexQuery) => {
+  if (!complexQuery && !/subject:|body:/.test(keyword)) {
+    return { text: keyword };
+  }
+
+  const subjectMatch =
+    keyword.match(/subject:"([^"]+)"/i) || keyword.match(/subject:(\S+)/i);
+  const bodyMatch =
+    keyword.match(/body:"([^"]+)"/i) || keyword.match(/body:(\S+)/i);
+
+  if (!subjectMatch && !bodyMatch) {
+    return { subjectOrBody: keyword };
+  }
+  return {
+    subject: subjectMatch ? subjectMatch[1] : null,
+    body: bodyMatch ? bodyMatch[1] : null,
+  };
+};
+
+/**
+ * Build a Gmail search query (as typed in the Gmail search box) for keyword
+ * terms
+ * @param {Object} terms - Result of parseKeyword
+ * @returns {string} - Query for X-GM-RAW
+ */
+const toGmailQuery = ({ text, subjectOrBody, subject, body }) => {
+  const phrase = (term) => `"${term.replace(/"/g, "")}"`;
+
+  if (text || subjectOrBody) return phrase(text || subjectOrBody);
+  return [subject && `subject:${phrase(subject)}`, body && phrase(body)]
+    .filter(Boolean)
+    .join(" ");
+};
+
+/**
+ * Parse a date search option, ignoring invalid values
+ * @param {string} value - Date string
+ * @param {string} name - Option name, for logging
+ * @returns {Date|null}
+ */
+const parseSearchDate = (value, name) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    console.log(`Invalid ${name} format, skipping date filtering`);
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Translate search options into IMAP SEARCH criteria. IMAP compares dates by
+ * day, so startDate and endDate are inclusive whole days.
+ * @param {Object} options - keyword, sender, startDate, endDate, flags
+ *   (array or comma-separated names such as "unread,starred"), complexQuery
+ * @param {boolean} gmail - Search keywords with Gmail's X-GM-RAW
+ * @returns {Array} - node-imap search criteria
+ */
+export const buildSearchCriteria = (options = {}, gmail = false) => {
+  const { keyword, sender, startDate, endDate, flags, complexQuery } = options;
+  const criteria = [];
+
+  if (keyword) {
+    const terms = parseKeyword(keyword, complexQuery);
+
+    if (gmail) {
+      criteria.push(["X-GM-RAW", toGmailQuery(terms)]);
+    } else if (terms.text) {
+      criteria.push(["TEXT", terms.text]);
+    } else if (terms.subjectOrBody) {
+      criteria.push([
+        "OR",
+        ["SUBJECT", terms.subjectOrBody],
+        ["BODY", terms.subjectOrBody],
+      ]);
+    } else {
+      if (terms.subject) criteria.push(["SUBJECT", terms.subject]);
+      if (terms.body) criteria.push(["BODY", terms.body]);
+    }
+  }
+
+  if (sender) {
+    criteria.push(["FROM", sender]);
+  }
+
+  const since = parseSearchDate(startDate, "start date");
+  if (since) {
+    criteria.push(["SINCE", since]);
+  }
+
+  const until = parseSearchDate(endDate, "end date");
+  if (until) {
+    criteria.push(["BEFORE", new Date(until.getTime() + DAY_MS)]);
+  }
+
+  const flagNames = Array.isArray(flags)
+    ? flags
+    : (flags || "").split(",").filter((name) => name.trim());
+  flagNames.forEach((name) => {
+    const key = SEARCH_FLAGS[name.trim().toLowerCase()];
+    if (key) criteria.push(key);
+    else console.log(`Unknown search flag ${name}, ignoring it`);
+  });
+
+  return criteria.length > 0 ? criteria : ["ALL"];
+};
+
+/**
+ * Search a folder on the server and fetch only the matching messages
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {Object} options - Search options (see buildSearchCriteria), plus
+ *   folder (default INBOX) and limit (default 20)
+ * @returns {Promise<Array>} - Newest matching emails first, in the same shape
+ *   as fetchEmails
+ */
+export const searchMessages = (email, accessToken, options = {}) => {
+  const { folder = "INBOX", limit = 20 } = options;
+  const provider = getMailboxProvider(accessToken);
+
+  return withImapConnection(email, accessToken, async (imap, connection) => {
+    const { box, serverFolder } = await openFolder(
+      imap,
+      connection,
+      folder,
+      provider,
+      true
+    );
+
+    const criteria = buildSearchCriteria(
+      options,
+      imap.serverSupports("X-GM-EXT-1")
+    );
+    console.log("IMAP search criteria:", JSON.stringify(criteria));
+
+    // Higher UIDs were added to the folder later, so take the newest matches
+    const uids = await searchUids(imap, criteria);
+    const emails = await fetchMessagesByUid(imap, uids.slice(-limit));
+
+    const timestamp = (message) =>
+      new Date(message.date || message.internalDate || 0).getTime() || 0;
+    return withLocation(emails, serverFolder, box.uidvalidity).sort(
+      (a, b) => timestamp(b) - timestamp(a)
+    );
+  });
+};
+
 /**
  * Helper function to fetch emails from an open mailbox
+ * The connection is left open; it belongs to the pool.
  */
 function fetchEmailsFromBox(
   imap,
@@ -211,7 +1013,6 @@ function fetchEmailsFromBox(
 
   // If no messages, return empty array
   if (box.messages.total === 0) {
-    imap.end();
     return resolve([]);
   }
 
@@ -230,7 +1031,6 @@ function fetchEmailsFromBox(
   // Edge case handling
   if (start > end) {
     // We're beyond the available messages, return empty array
-    imap.end();
     return resolve([]);
   }
 
@@ -248,6 +1048,7 @@ function fetchEmailsFromBox(
   try {
     const fetch = imap.seq.fetch(range, fetchOptions);
     const emailMap = new Map(); // Use a map to combine parts by sequence number
+    const structs = new Map(); // BODYSTRUCTURE by sequence number
 
     fetch.on("message", (msg, seqno) => {
       console.log(`Processing message #${seqno}`);
@@ -364,12 +1165,12 @@ function fetchEmailsFromBox(
         email.uid = attrs.uid;
         email.internalDate = attrs.date;
         email.flags = attrs.flags;
+        structs.set(seqno, attrs.struct);
       });
     });
 
     fetch.once("error", (err) => {
       console.error("Fetch error:", err);
-      imap.end();
       reject(new Error(`Error fetching emails: ${err.message}`));
     });
 
@@ -407,6 +1208,12 @@ function fetchEmailsFromBox(
             }
           }
 
+          // Add part IDs, so attachments can be downloaded one at a time
+          email.attachments = describeAttachments(
+            structs.get(email.seqno),
+            email.attachments
+          );
+
           // Return the potentially enhanced email
           return email;
         });
@@ -437,17 +1244,28 @@ function fetchEmailsFromBox(
           `Returning the ${limitedEmails.length} most recent emails by date`
         );
 
-        imap.end();
         resolve(limitedEmails);
       }, 1000); // Give it 1 second for parsing to complete
     });
   } catch (err) {
     console.error("Fetch setup error:", err);
-    imap.end();
     reject(new Error(`Error setting up fetch: ${err.message}`));
   }
 }
 
+/**
+ * Parse the header block of a raw message the way imap.parseHeader does for
+ * fetched HEADER parts
+ * @param {Buffer} raw - Full message source
+ * @returns {Object} - Header name -> array of values
+ */
+function parseRawHeaders(raw) {
+  const end = raw.indexOf("\r\n\r\n");
+  return Imap.parseHeader(
+    raw.slice(0, end === -1 ? raw.length : end).toString("utf8")
+  );
+}
+
 /**
  * Helper function to extract email address from a string like "Name <email@example.com>"
  */
@@ -484,7 +1302,7 @@ function extractDisplayName(emailString) {
 /**
  * Fetches emails from a specific folder
  * @param {string} email - User's email address.
- * @param {string} accessToken - OAuth2 access token (not used in password auth mode).
+ * @param {string} accessToken - OAuth2 access token used for XOAUTH2 login.
  * @param {string} folder - Folder name to fetch from
  * @param {number} limit - Number of emails to fetch (default 10)
  * @param {number} page - Page number for pagination (default 1)
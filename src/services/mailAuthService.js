@@ -0,0 +1,239 @@
+import config from "../config.js";
+import { PROVIDERS, getProviderProfile } from "../config/providers.js";
+
+/**
+ * Builds the authentication settings shared by the IMAP and SMTP services.
+ *
+ * By default every mailbox connection authenticates with XOAUTH2, using the
+ * Google access token stored for the user at login. Setting
+ * EMAIL_AUTH_MODE=password switches to app-password mode, which logs in with
+ * EMAIL_USER/EMAIL_PASS from the environment instead.
+ *
+ * Wherever an access token is accepted, a credentials object built by
+ * mailboxService for a linked mailbox may be passed instead:
+ * `{ accessToken, password, provider, imap: { host, port, tls }, smtp: { host, port, secure }, allowSelfSigned }`
+ *
+ * Server certificates are always checked, unless the mailbox was linked with
+ * allowSelfSigned. Password logins to SMTP without implicit TLS must upgrade
+ * with STARTTLS, so the password is never sent in the clear.
+ *
+ * Server settings come from, in order of precedence: the mailbox's own
+ * host/port settings, its provider profile, then IMAP_SERVER/SMTP_SERVER.
+ */
+
+/**
+ * Whether the explicit app-password fallback is enabled
+ * @returns {boolean}
+ */
+export const isPasswordAuthMode = () => config.email.authMode === "password";
+
+/**
+ * Build the base64-encoded SASL XOAUTH2 string expected by IMAP servers
+ * @param {string} email - Mailbox address
+ * @param {string} accessToken - OAuth2 access token
+ * @returns {string} - Encoded XOAUTH2 token
+ */
+export const buildXOAuth2Token = (email, accessToken) => {
+  return Buffer.from(
+    `user=${email}\x01auth=Bearer ${accessToken}\x01\x01`,
+    "utf8"
+  ).toString("base64");
+};
+
+/**
+ * Normalise an access token or credentials object into a credentials object
+ * @param {string|Object} credentials - Access token or mailbox credentials
+ * @returns {Object} - Credentials object
+ */
+const toCredentials = (credentials) => {
+  if (credentials && typeof credentials === "object") return credentials;
+  return { accessToken: credentials };
+};
+
+/**
+ * Drop unset values so they don't override lower-precedence settings
+ * @param {Object} settings - Server settings
+ * @returns {Object} - Settings without null/undefined values
+ */
+const withoutEmpty = (settings = {}) =>
+  Object.fromEntries(
+    Object.entries(settings).filter(
+      ([, value]) => value !== null && value !== undefined
+    )
+  );
+
+/**
+ * Get the provider profile for a mailbox
+ * @param {string|Object} accessToken - Access token or mailbox credentials
+ * @returns {Object} - Provider profile (falls back to the custom profile)
+ */
+export const getMailboxProvider = (accessToken = null) => {
+  const { provider } = toCredentials(accessToken);
+  return (
+    getProviderProfile(provider || config.email.provider) || PROVIDERS.custom
+  );
+};
+
+/**
+ * Resolve the IMAP and SMTP servers for a mailbox
+ * @param {string|Object} accessToken - Access token or mailbox credentials
+ * @returns {Object} - `{ imap: { host, port, tls }, smtp: { host, port, secure } }`
+ */
+export const getServerSettings = (accessToken = null) => {
+  const credentials = toCredentials(accessToken);
+  const profile = getProviderProfile(credentials.provider) || {};
+
+  return {
+    imap: {
+      host: config.email.imapServer,
+      port: config.email.imapPort,
+      tls: config.email.imapTls,
+      ...withoutEmpty(profile.imap),
+      ...withoutEmpty(credentials.imap),
+    },
+    smtp: {
+      host: config.email.smtpServer,
+      port: config.email.smtpPort,
+      secure: config.email.smtpSecure,
+      ...withoutEmpty(profile.smtp),
+      ...withoutEmpty(credentials.smtp),
+    },
+  };
+};
+
+/**
+ * Ensure we have what we need to log in for the current auth mode
+ * @param {string} email - Mailbox address
+ * @param {Object} credentials - Mailbox credentials
+ */
+const assertCredentials = (email, { accessToken, password }) => {
+  // Mailboxes linked with a host and password carry their own login
+  if (password) return;
+
+  if (isPasswordAuthMode()) {
+    if (!config.email.defaultUser || !config.email.defaultPassword) {
+      throw new Error(
+        "EMAIL_USER and EMAIL_PASS are required when EMAIL_AUTH_MODE=password"
+      );
+    }
+    return;
+  }
+
+  if (!email) {
+    throw new Error("Email address is required for XOAUTH2 authentication");
+  }
+  if (!accessToken) {
+    throw new Error(
+      `No OAuth access token available for ${email}. Please sign in with Google again.`
+    );
+  }
+};
+
+/**
+ * Get the IMAP connection settings for a mailbox
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token (ignored in
+ *   password mode) or linked-mailbox credentials
+ * @returns {Object} - Options for the `imap` Connection constructor
+ */
+export const getImapConfig = (email, accessToken) => {
+  const credentials = toCredentials(accessToken);
+  assertCredentials(email, credentials);
+
+  const { imap: server } = getServerSettings(credentials);
+  const imapConfig = {
+    host: server.host,
+    port: server.port,
+    tls: server.tls,
+    authTimeout: 10000,
+  };
+  if (credentials.allowSelfSigned) {
+    imapConfig.tlsOptions = { rejectUnauthorized: false };
+  }
+
+  if (credentials.password) {
+    imapConfig.user = email;
+    imapConfig.password = credentials.password;
+  } else if (isPasswordAuthMode()) {
+    imapConfig.user = config.email.defaultUser;
+    imapConfig.password = config.email.defaultPassword;
+  } else {
+    imapConfig.user = email;
+    imapConfig.xoauth2 = buildXOAuth2Token(email, credentials.accessToken);
+  }
+
+  return imapConfig;
+};
+
+/**
+ * Get the nodemailer transport settings for a mailbox
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token (ignored in
+ *   password mode) or linked-mailbox credentials
+ * @returns {Object} - Options for nodemailer.createTransport
+ */
+export const getSmtpConfig = (email, accessToken) => {
+  const credentials = toCredentials(accessToken);
+  assertCredentials(email, credentials);
+
+  const { smtp: server } = getServerSettings(credentials);
+  const transport = {
+    host: server.host,
+    port: server.port,
+    secure: server.secure,
+  };
+  if (credentials.allowSelfSigned) {
+    transport.tls = { rejectUnauthorized: false };
+  }
+
+  if (credentials.password) {
+    return {
+      ...transport,
+      requireTLS: !server.secure,
+      auth: {
+        user: email,
+        pass: credentials.password,
+      },
+    };
+  }
+
+  if (isPasswordAuthMode()) {
+    return {
+      ...transport,
+      auth: {
+        user: config.email.defaultUser,
+        pass: config.email.defaultPassword,
+      },
+    };
+  }
+
+  return {
+    ...transport,
+    auth: {
+      type: "OAuth2",
+      user: email,
+      accessToken: credentials.accessToken,
+    },
+  };
+};
+
+/**
+ * Get the address messages should be sent from
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - Access token or mailbox credentials
+ * @returns {string} - Sender address
+ */
+export const getSenderAddress = (email, accessToken = null) => {
+  if (toCredentials(accessToken).password) return email;
+  return isPasswordAuthMode() ? config.email.defaultUser : email;
+};
+
+export default {
+  isPasswordAuthMode,
+  buildXOAuth2Token,
+  getMailboxProvider,
+  getServerSettings,
+  getImapConfig,
+  getSmtpConfig,
+  getSenderAddress,
+};
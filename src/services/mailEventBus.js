@@ -0,0 +1,46 @@
+import { EventEmitter } from "events";
+
+/**
+ * In-process event bus for mailbox changes.
+ *
+ * Message events are published whenever a sync (manual, scheduled or pushed
+ * by an IDLE watcher) finds a change or an API call changes messages on the
+ * server, after the local database has been updated. Payloads:
+ *   message:new       { userId, mailboxId, folder, serverFolder, uids }
+ *   message:flags     { userId, mailboxId, folder, serverFolder, changes: [{ uid, flags }] }
+ *   message:expunged  { userId, mailboxId, folder, serverFolder, uids }
+ *   message:moved     { userId, mailboxId, folder, serverFolder, destination,
+ *                       destinationFolder, moved: [{ uid, newUid }] }
+ *
+ * Mailbox lifecycle events let long-running services (e.g. the IDLE
+ * watchers) follow mailboxes being linked and removed:
+ *   mailbox:linked    { userId, mailboxId }
+ *   mailbox:unlinked  { userId, mailboxId }
+ *   account:deleted   { userId }
+ */
+export const MAIL_EVENTS = {
+  NEW_MESSAGES: "message:new",
+  FLAGS_CHANGED: "message:flags",
+  EXPUNGED: "message:expunged",
+  MOVED: "message:moved",
+  MAILBOX_LINKED: "mailbox:linked",
+  MAILBOX_UNLINKED: "mailbox:unlinked",
+  ACCOUNT_DELETED: "account:deleted",
+};
+
+class MailEventBus extends EventEmitter {
+  /**
+   * Emit an event without letting a failing listener break the publisher
+   * @param {string} event - One of MAIL_EVENTS
+   * @param {Object} payload - Event data
+   */
+  publish(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      console.error(`Error in ${event} listener:`, error);
+    }
+  }
+}
+
+export default new MailEventBus();
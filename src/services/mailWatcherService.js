@@ -0,0 +1,350 @@
+import Imap from "imap";
+import config from "../config.js";
+import { getImapConfig } from "./mailAuthService.js";
+import { withMailbox } from "./mailboxService.js";
+import { syncFolder } from "./syncService.js";
+import { getUserById } from "../models/userModel.js";
+import { getAllMailboxes } from "../models/mailboxModel.js";
+import mailEventBus, { MAIL_EVENTS } from "./mailEventBus.js";
+
+/**
+ * Picks up mailbox changes as they happen instead of waiting for the next
+ * request or scheduled job.
+ *
+ * Every mailbox gets its own IMAP connection (outside the pool, since it stays
+ * busy) with the INBOX selected read-only. While the server supports IDLE it
+ * tells us about new, expunged and re-flagged messages and we run an
+ * incremental sync, which updates the emails table and publishes the changes
+ * on the mail event bus. Servers without IDLE are polled every
+ * `config.email.mailPollInterval` instead. Dropped connections are reopened
+ * with exponential backoff.
+ */
+
+const WATCHED_FOLDER = "INBOX";
+
+// Servers often send several untagged responses for one change
+const SYNC_DEBOUNCE_MS = 500;
+
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// Mailbox ID -> watcher
+const watchers = new Map();
+
+let subscribed = false;
+
+/**
+ * Run an operation with the credentials of a watcher's mailbox
+ * @param {Object} watcher - Watcher
+ * @param {Function} operation - Called with (mailbox, credentials)
+ * @returns {Promise<*>} - Result of the operation
+ */
+const withWatchedMailbox = async (watcher, operation) => {
+  const user = await getUserById(watcher.userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  return withMailbox(user, watcher.mailboxId, operation);
+};
+
+/**
+ * Sync the watched folder, running again afterwards if another change came in
+ * while the sync was in progress
+ * @param {Object} watcher - Watcher
+ */
+const runSync = async (watcher) => {
+  if (watcher.syncing) {
+    watcher.syncPending = true;
+    return;
+  }
+
+  watcher.syncing = true;
+  try {
+    await withWatchedMailbox(watcher, (mailbox, credentials) =>
+      syncFolder(
+        watcher.userId,
+        mailbox.id,
+        mailbox.email,
+        credentials,
+        WATCHED_FOLDER
+      )
+    );
+    watcher.lastSyncedAt = new Date().toISOString();
+    watcher.lastError = null;
+  } catch (error) {
+    console.error(`Error syncing watched mailbox ${watcher.mailboxId}:`, error);
+    watcher.lastError = error.message;
+  } finally {
+    watcher.syncing = false;
+  }
+
+  if (watcher.syncPending && !watcher.stopped) {
+    watcher.syncPending = false;
+    scheduleSync(watcher);
+  }
+};
+
+/**
+ * Sync shortly, coalescing bursts of notifications into one sync
+ * @param {Object} watcher - Watcher
+ */
+const scheduleSync = (watcher) => {
+  clearTimeout(watcher.syncTimer);
+  watcher.syncTimer = setTimeout(() => {
+    if (!watcher.stopped) runSync(watcher);
+  }, SYNC_DEBOUNCE_MS);
+};
+
+/**
+ * Try connecting again later, waiting longer after each failure
+ * @param {Object} watcher - Watcher
+ */
+const scheduleReconnect = (watcher) => {
+  if (watcher.stopped) return;
+
+  const delay = Math.min(
+    RECONNECT_BASE_DELAY_MS * 2 ** watcher.failures,
+    RECONNECT_MAX_DELAY_MS
+  );
+  watcher.failures++;
+  watcher.mode = "reconnecting";
+
+  clearTimeout(watcher.reconnectTimer);
+  watcher.reconnectTimer = setTimeout(() => connect(watcher), delay);
+};
+
+/**
+ * Open a connection with the watched folder selected
+ * @param {Object} imapConfig - Options for the `imap` Connection constructor
+ * @returns {Promise<Object>} - Ready connection
+ */
+const openWatchConnection = (imapConfig) => {
+  return new Promise((resolve, reject) => {
+    const imap = new Imap(imapConfig);
+
+    const onConnectError = (err) => {
+      reject(new Error(`IMAP connection error: ${err.message}`));
+    };
+
+    imap.once("error", onConnectError);
+    imap.once("close", () =>
+      reject(new Error("IMAP connection ended unexpectedly"))
+    );
+
+    imap.once("ready", () => {
+      imap.openBox(WATCHED_FOLDER, true, (err) => {
+        if (err) {
+          imap.end();
+          return reject(new Error(`Error opening mailbox: ${err.message}`));
+        }
+        imap.removeListener("error", onConnectError);
+        resolve(imap);
+      });
+    });
+
+    try {
+      imap.connect();
+    } catch (err) {
+      reject(new Error(`Error connecting to IMAP server: ${err.message}`));
+    }
+  });
+};
+
+/**
+ * Start polling a mailbox whose server can't push changes
+ * @param {Object} watcher - Watcher
+ */
+const startPolling = (watcher) => {
+  watcher.mode = "polling";
+  clearInterval(watcher.pollTimer);
+  watcher.pollTimer = setInterval(
+    () => runSync(watcher),
+    config.email.mailPollInterval
+  );
+};
+
+/**
+ * Connect a watcher and listen for changes
+ * @param {Object} watcher - Watcher
+ */
+const connect = async (watcher) => {
+  if (watcher.stopped) return;
+  watcher.mode = "connecting";
+
+  let imap;
+  try {
+    const imapConfig = await withWatchedMailbox(
+      watcher,
+      (mailbox, credentials) => getImapConfig(mailbox.email, credentials)
+    );
+    imap = await openWatchConnection(imapConfig);
+  } catch (error) {
+    console.error(
+      `Error watching mailbox ${watcher.mailboxId}: ${error.message}`
+    );
+    watcher.lastError = error.message;
+    scheduleReconnect(watcher);
+    return;
+  }
+
+  if (watcher.stopped) {
+    imap.end();
+    return;
+  }
+
+  watcher.failures = 0;
+
+  if (!imap.serverSupports("IDLE")) {
+    console.log(
+      `Server for mailbox ${watcher.mailboxId} doesn't support IDLE, polling every ${config.email.mailPollInterval}ms`
+    );
+    imap.end();
+    startPolling(watcher);
+    runSync(watcher);
+    return;
+  }
+
+  watcher.imap = imap;
+  watcher.mode = "idle";
+
+  // node-imap IDLEs between commands and reports what the server pushes
+  const onChange = () => scheduleSync(watcher);
+  imap.on("mail", onChange);
+  imap.on("expunge", onChange);
+  imap.on("update", onChange);
+  imap.on("uidvalidity", onChange);
+
+  imap.on("error", (err) => {
+    console.error(
+      `IMAP error on watcher for mailbox ${watcher.mailboxId}:`,
+      err
+    );
+    watcher.lastError = err.message;
+  });
+
+  imap.once("close", () => {
+    watcher.imap = null;
+    if (watcher.stopped) return;
+    console.log(`Watcher connection for mailbox ${watcher.mailboxId} closed`);
+    scheduleReconnect(watcher);
+  });
+
+  // Catch up on whatever changed while we weren't connected
+  runSync(watcher);
+};
+
+/**
+ * Stop watching a mailbox
+ * @param {number} mailboxId - Mailbox ID
+ * @returns {boolean} - Whether the mailbox was being watched
+ */
+export const stopWatching = (mailboxId) => {
+  const watcher = watchers.get(mailboxId);
+  if (!watcher) return false;
+
+  watcher.stopped = true;
+  clearTimeout(watcher.syncTimer);
+  clearTimeout(watcher.reconnectTimer);
+  clearInterval(watcher.pollTimer);
+  if (watcher.imap) watcher.imap.end();
+
+  watchers.delete(mailboxId);
+  return true;
+};
+
+/**
+ * Start (or restart) watching a mailbox
+ * @param {number} userId - Owning user ID
+ * @param {number} mailboxId - Mailbox ID
+ */
+export const startWatching = (userId, mailboxId) => {
+  stopWatching(mailboxId);
+
+  const watcher = {
+    userId,
+    mailboxId,
+    mode: "connecting",
+    imap: null,
+    stopped: false,
+    failures: 0,
+    syncing: false,
+    syncPending: false,
+    lastSyncedAt: null,
+    lastError: null,
+  };
+  watchers.set(mailboxId, watcher);
+  connect(watcher);
+};
+
+/**
+ * Stop watching every mailbox of a user
+ * @param {number} userId - User ID
+ * @returns {number} - Number of watchers stopped
+ */
+export const stopUserWatchers = (userId) => {
+  let stopped = 0;
+  for (const watcher of [...watchers.values()]) {
+    if (watcher.userId === userId && stopWatching(watcher.mailboxId)) {
+      stopped++;
+    }
+  }
+  return stopped;
+};
+
+/**
+ * Describe the watchers of a user's mailboxes
+ * @param {number} userId - User ID
+ * @returns {Array<Object>} - `{ mailboxId, mode, lastSyncedAt, lastError }`
+ */
+export const getWatcherStatus = (userId) =>
+  [...watchers.values()]
+    .filter((watcher) => watcher.userId === userId)
+    .map(({ mailboxId, mode, lastSyncedAt, lastError }) => ({
+      mailboxId,
+      mode,
+      lastSyncedAt,
+      lastError,
+    }));
+
+/**
+ * Watch every mailbox in the database, and follow mailboxes being linked and
+ * removed from now on
+ * @returns {Promise<number>} - Number of mailboxes watched
+ */
+export const startMailWatchers = async () => {
+  if (!subscribed) {
+    subscribed = true;
+    mailEventBus.on(MAIL_EVENTS.MAILBOX_LINKED, ({ userId, mailboxId }) =>
+      startWatching(userId, mailboxId)
+    );
+    mailEventBus.on(MAIL_EVENTS.MAILBOX_UNLINKED, ({ mailboxId }) =>
+      stopWatching(mailboxId)
+    );
+    mailEventBus.on(MAIL_EVENTS.ACCOUNT_DELETED, ({ userId }) =>
+      stopUserWatchers(userId)
+    );
+  }
+
+  const mailboxes = await getAllMailboxes();
+  mailboxes.forEach((mailbox) => startWatching(mailbox.user_id, mailbox.id));
+  console.log(`Watching ${mailboxes.length} mailboxes for new mail`);
+  return mailboxes.length;
+};
+
+/**
+ * Stop every watcher, e.g. on shutdown
+ */
+export const stopMailWatchers = () => {
+  for (const mailboxId of [...watchers.keys()]) {
+    stopWatching(mailboxId);
+  }
+};
+
+export default {
+  startWatching,
+  stopWatching,
+  stopUserWatchers,
+  getWatcherStatus,
+  startMailWatchers,
+  stopMailWatchers,
+};
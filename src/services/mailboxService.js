@@ -0,0 +1,345 @@
+import crypto from "crypto";
+import { getProviderProfile } from "../config/providers.js";
+import {
+  saveMailbox,
+  getMailboxById,
+  getPrimaryMailbox,
+  getMailboxesByUser,
+  deleteMailbox,
+} from "../models/mailboxModel.js";
+import {
+  withAccessToken,
+  userTokenStore,
+  mailboxTokenStore,
+} from "./tokenService.js";
+import { withImapConnection } from "./imapPoolService.js";
+import { readFlag } from "../utils/flags.js";
+import mailEventBus, { MAIL_EVENTS } from "./mailEventBus.js";
+
+/**
+ * Mailboxes let one login work with several email accounts. The primary
+ * mailbox is the Google account the user signed in with; further accounts are
+ * linked either through Google OAuth or with an IMAP/SMTP host and password.
+ */
+
+// How long a "link another Google account" request stays valid
+const LINK_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Pending OAuth link requests: state nonce -> { userId, expiresAt }
+const pendingLinks = new Map();
+
+/**
+ * Announce a newly linked mailbox
+ * @param {Object} mailbox - Saved mailbox row
+ * @returns {Object} - The same mailbox row
+ */
+const announceLinked = (mailbox) => {
+  mailEventBus.publish(MAIL_EVENTS.MAILBOX_LINKED, {
+    userId: mailbox.user_id,
+    mailboxId: mailbox.id,
+  });
+  return mailbox;
+};
+
+/**
+ * Strip credentials from a mailbox row before returning it from the API
+ * @param {Object} mailbox - Mailbox row
+ * @returns {Object} - Mailbox without tokens or password
+ */
+export const toPublicMailbox = (mailbox) => {
+  const {
+    access_token,
+    refresh_token,
+    token_expires_at,
+    password,
+    ...publicFields
+  } = mailbox;
+  return publicFields;
+};
+
+/**
+ * Make sure the user's sign-in account exists as their primary mailbox
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} - Primary mailbox row
+ */
+export const ensurePrimaryMailbox = async (user) => {
+  const primary = await getPrimaryMailbox(user.id);
+  if (primary) return primary;
+
+  return saveMailbox(user.id, {
+    email: user.email,
+    displayName: user.name,
+    isPrimary: true,
+  }).then(announceLinked);
+};
+
+/**
+ * Get every mailbox linked to a user, primary first
+ * @param {Object} user - User row
+ * @returns {Promise<Array>} - Mailbox rows
+ */
+export const getUserMailboxes = async (user) => {
+  await ensurePrimaryMailbox(user);
+  return getMailboxesByUser(user.id);
+};
+
+/**
+ * Find the mailbox a request should use
+ * @param {Object} user - User row
+ * @param {number|string|null} mailboxId - Requested mailbox, or null for primary
+ * @returns {Promise<Object>} - Mailbox row
+ */
+export const resolveMailbox = async (user, mailboxId = null) => {
+  if (mailboxId === null || mailboxId === undefined || mailboxId === "") {
+    return ensurePrimaryMailbox(user);
+  }
+
+  const mailbox = await getMailboxById(user.id, parseInt(mailboxId));
+  if (!mailbox) {
+    throw new Error(`Mailbox ${mailboxId} not found`);
+  }
+  return mailbox;
+};
+
+/**
+ * Build the credentials object understood by mailAuthService
+ * @param {Object} mailbox - Mailbox row
+ * @param {string} accessToken - OAuth access token, if the mailbox uses OAuth
+ * @returns {Object} - Mailbox credentials
+ */
+export const buildCredentials = (mailbox, accessToken = null) => ({
+  accessToken,
+  password: mailbox.auth_type === "password" ? mailbox.password : null,
+  provider: mailbox.provider,
+  // Mailboxes without their own hosts use their provider profile's servers
+  imap: mailbox.imap_host
+    ? {
+        host: mailbox.imap_host,
+        port: mailbox.imap_port,
+        tls: mailbox.imap_tls !== 0,
+      }
+    : {},
+  smtp: mailbox.smtp_host
+    ? {
+        host: mailbox.smtp_host,
+        port: mailbox.smtp_port,
+        secure: mailbox.smtp_secure !== 0,
+      }
+    : {},
+  allowSelfSigned: mailbox.allow_self_signed === 1,
+});
+
+/**
+ * Run an IMAP/SMTP operation against one of the user's mailboxes, taking care
+ * of token refresh for OAuth mailboxes
+ * @param {Object} user - User row
+ * @param {number|string|null} mailboxId - Mailbox to use, or null for primary
+ * @param {Function} operation - Called with (mailbox, credentials)
+ * @returns {Promise<*>} - Result of the operation
+ */
+export const withMailbox = async (user, mailboxId, operation) => {
+  const mailbox = await resolveMailbox(user, mailboxId);
+
+  if (mailbox.auth_type === "password") {
+    return operation(mailbox, buildCredentials(mailbox));
+  }
+
+  // The primary mailbox uses the tokens on the users row
+  const [tokenOwner, store] = mailbox.is_primary
+    ? [user, userTokenStore]
+    : [mailbox, mailboxTokenStore];
+
+  return withAccessToken(
+    tokenOwner,
+    (accessToken) => operation(mailbox, buildCredentials(mailbox, accessToken)),
+    store
+  );
+};
+
+/**
+ * Run an operation against every mailbox a user has linked. One mailbox
+ * failing doesn't fail the others; its error is reported alongside the results.
+ * @param {Object} user - User row
+ * @param {Function} operation - Called with (mailbox, credentials); must
+ *   resolve to an array of emails
+ * @returns {Promise<Object>} - `{ emails, errors }` with emails newest first
+ */
+export const collectFromMailboxes = async (user, operation) => {
+  const mailboxes = await getUserMailboxes(user);
+
+  const results = await Promise.allSettled(
+    mailboxes.map((mailbox) => withMailbox(user, mailbox.id, operation))
+  );
+
+  const emails = [];
+  const errors = [];
+
+  results.forEach((result, index) => {
+    const mailbox = mailboxes[index];
+    if (result.status === "fulfilled") {
+      (result.value || []).forEach((email) =>
+        emails.push({ ...email, mailboxId: mailbox.id, mailbox: mailbox.email })
+      );
+    } else {
+      console.error(
+        `Error reading mailbox ${mailbox.email}:`,
+        result.reason.message
+      );
+      errors.push({
+        mailboxId: mailbox.id,
+        mailbox: mailbox.email,
+        error: result.reason.message,
+      });
+    }
+  });
+
+  const timestamp = (email) =>
+    new Date(email.date || email.received_at || 0).getTime() || 0;
+  emails.sort((a, b) => timestamp(b) - timestamp(a));
+
+  return { emails, errors };
+};
+
+/**
+ * Link a mailbox that logs in with a password (or app password). Either a
+ * known provider or explicit IMAP/SMTP hosts must be given; explicit hosts
+ * override the provider's. The password is checked by logging in to the
+ * IMAP server before the mailbox is saved. The password only ever travels
+ * over TLS, with the server's certificate checked unless allowSelfSigned is
+ * set.
+ * @param {number} userId - Owning user ID
+ * @param {Object} settings - email, password, provider, imapHost, imapPort,
+ *   imapTls, smtpHost, smtpPort, smtpSecure, allowSelfSigned, displayName
+ * @returns {Promise<Object>} - Saved mailbox row
+ */
+export const linkPasswordMailbox = async (userId, settings) => {
+  const { email, password, imapHost, smtpHost } = settings;
+  const provider = settings.provider ? settings.provider.toLowerCase() : null;
+  const profile = getProviderProfile(provider);
+
+  if (!email || !password) {
+    throw new Error("email and password are required");
+  }
+  if (provider && !profile) {
+    throw new Error(`Unknown mail provider: ${settings.provider}`);
+  }
+  if (!(profile && profile.imap.host) && !(imapHost && smtpHost)) {
+    throw new Error("imapHost and smtpHost are required for this provider");
+  }
+
+  const mailbox = {
+    email,
+    displayName: settings.displayName,
+    authType: "password",
+    provider: provider || "custom",
+    password,
+    imapHost: imapHost || null,
+    imapPort: parseInt(settings.imapPort) || 993,
+    imapTls: readFlag(settings.imapTls, true),
+    smtpHost: smtpHost || null,
+    smtpPort: parseInt(settings.smtpPort) || 465,
+    smtpSecure: readFlag(settings.smtpSecure, true),
+    allowSelfSigned: readFlag(settings.allowSelfSigned, false),
+  };
+
+  // SMTP without smtpSecure is upgraded with STARTTLS (see mailAuthService)
+  if (!mailbox.imapTls) {
+    throw new Error("imapTls is required for password logins");
+  }
+
+  // Only link a mailbox the caller can actually log in to
+  try {
+    await withImapConnection(
+      email,
+      buildCredentials({
+        auth_type: mailbox.authType,
+        password,
+        provider: mailbox.provider,
+        imap_host: mailbox.imapHost,
+        imap_port: mailbox.imapPort,
+        imap_tls: 1,
+        allow_self_signed: mailbox.allowSelfSigned ? 1 : 0,
+      }),
+      () => null
+    );
+  } catch (error) {
+    throw new Error(`Could not log in to ${email}: ${error.message}`);
+  }
+
+  return saveMailbox(userId, mailbox).then(announceLinked);
+};
+
+/**
+ * Link a Google account authorised through the /auth/google/link flow
+ * @param {number} userId - Owning user ID
+ * @param {Object} account - email, name, accessToken, refreshToken, tokenExpiresAt
+ * @returns {Promise<Object>} - Saved mailbox row
+ */
+export const linkOAuthMailbox = (userId, account) => {
+  return saveMailbox(userId, {
+    email: account.email,
+    displayName: account.name,
+    authType: "oauth2",
+    provider: "gmail",
+    accessToken: account.accessToken,
+    refreshToken: account.refreshToken,
+    tokenExpiresAt: account.tokenExpiresAt,
+  }).then(announceLinked);
+};
+
+/**
+ * Unlink a mailbox from a user
+ * @param {number} userId - Owning user ID
+ * @param {number} mailboxId - Mailbox ID
+ * @returns {Promise<Object>} - Result of the operation
+ */
+export const unlinkMailbox = async (userId, mailboxId) => {
+  const result = await deleteMailbox(userId, mailboxId);
+  mailEventBus.publish(MAIL_EVENTS.MAILBOX_UNLINKED, { userId, mailboxId });
+  return result;
+};
+
+/**
+ * Start linking another Google account. The returned state must be passed to
+ * /auth/google/link, which the user opens in a browser.
+ * @param {number} userId - User linking the account
+ * @returns {string} - One-time state value
+ */
+export const createLinkState = (userId) => {
+  const now = Date.now();
+  for (const [state, link] of pendingLinks) {
+    if (link.expiresAt <= now) pendingLinks.delete(state);
+  }
+
+  const state = crypto.randomBytes(24).toString("base64url");
+  pendingLinks.set(state, { userId, expiresAt: now + LINK_STATE_TTL_MS });
+  return state;
+};
+
+/**
+ * Look up and invalidate a link state
+ * @param {string} state - State value from the OAuth callback
+ * @returns {number|null} - User ID that started the link, or null if unknown
+ */
+export const consumeLinkState = (state) => {
+  const link = state && pendingLinks.get(state);
+  if (!link) return null;
+
+  pendingLinks.delete(state);
+  return link.expiresAt > Date.now() ? link.userId : null;
+};
+
+export default {
+  toPublicMailbox,
+  ensurePrimaryMailbox,
+  getUserMailboxes,
+  resolveMailbox,
+  buildCredentials,
+  withMailbox,
+  collectFromMailboxes,
+  linkPasswordMailbox,
+  linkOAuthMailbox,
+  unlinkMailbox,
+  createLinkState,
+  consumeLinkState,
+};
@@ -0,0 +1,219 @@
+import { fetchMessageByUid } from "./imapService.js";
+import { withMailbox } from "./mailboxService.js";
+import { getEmailById, getSyncedEmailsByUid } from "../models/emailModel.js";
+import { getAttachmentsByEmail } from "../models/attachmentModel.js";
+
+/**
+ * Durable references to messages, for addressing one message across requests.
+ *
+ * Sequence numbers shift whenever mail arrives or is expunged, so a message
+ * on the server is identified by its mailbox, server folder, the folder's
+ * UIDVALIDITY and its UID. That is encoded as an opaque URL-safe string
+ * (base64url of "mailboxId:uidValidity:uid:folder"). A message stored in the
+ * emails table can also be referred to by its row id, given as plain digits.
+ *
+ * Listings (inbox, folders, search) include a `ref` for every message.
+ */
+
+/**
+ * Build the reference of a message on the server
+ * @param {Object} location - mailboxId, folder (name on the server),
+ *   uidValidity and uid
+ * @returns {string|null} - Reference, or null if the location is incomplete
+ */
+export const formatMessageRef = ({ mailboxId, folder, uidValidity, uid }) => {
+  if (!mailboxId || !folder || !uidValidity || !uid) return null;
+  return Buffer.from(`${mailboxId}:${uidValidity}:${uid}:${folder}`).toString(
+    "base64url"
+  );
+};
+
+/**
+ * Parse a message reference
+ * @param {string|number} ref - Reference from formatMessageRef, or a local
+ *   email id
+ * @returns {Object} - `{ emailId }` for a local email, otherwise
+ *   `{ mailboxId, folder, uidValidity, uid }`
+ */
+export const parseMessageRef = (ref) => {
+  const value = String(ref || "").trim();
+
+  if (/^\d+$/.test(value)) {
+    return { emailId: parseInt(value) };
+  }
+
+  const match = /^(\d+):(\d+):(\d+):(.+)$/s.exec(
+    Buffer.from(value, "base64url").toString("utf8")
+  );
+  if (!match) {
+    throw new Error("Invalid message reference");
+  }
+
+  return {
+    mailboxId: parseInt(match[1]),
+    uidValidity: parseInt(match[2]),
+    uid: parseInt(match[3]),
+    folder: match[4],
+  };
+};
+
+/**
+ * Add a `ref` to listed messages: a server reference for emails fetched from
+ * the server, the row id for rows of the emails table
+ * @param {Array} emails - Emails from fetchEmails/searchMessages, or rows
+ * @param {number} mailboxId - Mailbox they were fetched from (defaults to
+ *   each email's own mailboxId)
+ * @returns {Array} - The emails, with `ref` set where possible
+ */
+export const addMessageRefs = (emails, mailboxId = null) =>
+  emails.map((email) => ({
+    ...email,
+    ref: email.imapFolder
+      ? formatMessageRef({
+          mailboxId: mailboxId || email.mailboxId,
+          folder: email.imapFolder,
+          uidValidity: email.uidValidity,
+          uid: email.uid,
+        })
+      : email.id
+      ? String(email.id)
+      : null,
+  }));
+
+/**
+ * Find the local copy of a message on the server
+ * @param {number} userId - User ID
+ * @param {Object} location - mailboxId, folder, uidValidity and uid
+ * @returns {Promise<number|null>} - emails row id
+ */
+const findLocalCopy = async (userId, location) => {
+  const { mailboxId, folder, uidValidity, uid } = location;
+  const [stored] = await getSyncedEmailsByUid(userId, mailboxId, folder, [uid]);
+  return stored && stored.uid_validity === uidValidity ? stored.id : null;
+};
+
+/**
+ * Find where a referenced message lives on the server
+ * @param {Object} user - User row
+ * @param {string|number} ref - Message reference
+ * @returns {Promise<Object>} - `{ mailboxId, folder, uidValidity, uid,
+ *   emailId }`, where emailId is the local copy's id, if there is one
+ */
+export const locateMessage = async (user, ref) => {
+  const location = parseMessageRef(ref);
+
+  if (location.emailId) {
+    const row = await getEmailById(user.id, location.emailId);
+    if (!row) {
+      throw new Error("Message not found");
+    }
+    // Emails saved by hand rather than synced have no place on the server
+    if (!row.mailbox_id || !row.imap_folder || !row.uid) {
+      throw new Error("Message not found on the server");
+    }
+    return {
+      mailboxId: row.mailbox_id,
+      folder: row.imap_folder,
+      uidValidity: row.uid_validity,
+      uid: row.uid,
+      emailId: row.id,
+    };
+  }
+
+  return { ...location, emailId: await findLocalCopy(user.id, location) };
+};
+
+/**
+ * Bring an attachments row into the shape fetched messages use
+ * @param {Object} row - attachments row
+ * @returns {Object} - Attachment
+ */
+const fromStoredAttachment = (row) => ({
+  partId: row.part_id,
+  filename: row.filename,
+  contentType: row.content_type,
+  size: row.size,
+  encoding: row.encoding,
+  contentId: row.content_id,
+  disposition: row.disposition,
+  contentHash: row.content_hash,
+});
+
+/**
+ * Bring a row of the emails table into the shape resolveMessage returns
+ * @param {Object} row - emails row
+ * @param {Array} attachments - attachments rows of the email
+ * @returns {Object} - Message
+ */
+const fromLocalEmail = (row, attachments) => ({
+  ref: String(row.id),
+  emailId: row.id,
+  mailboxId: row.mailbox_id,
+  imapFolder: row.imap_folder,
+  uidValidity: row.uid_validity,
+  uid: row.uid,
+  folder: row.folder,
+  messageId: row.message_id,
+  inReplyTo: row.in_reply_to,
+  references: row.reference_ids ? row.reference_ids.split(" ") : [],
+  from: row.sender,
+  to: null,
+  cc: null,
+  replyTo: null,
+  subject: row.subject,
+  date: row.received_at,
+  body: row.body || "",
+  html: row.html,
+  flags: row.flags ? JSON.parse(row.flags) : [],
+  headers: {},
+  attachments: attachments.map(fromStoredAttachment),
+  source: "local",
+});
+
+/**
+ * Load the message a reference points to. Server references are fetched from
+ * the server by UID; local ids are read from the emails table.
+ * @param {Object} user - User row
+ * @param {string|number} ref - Message reference
+ * @returns {Promise<Object>} - `{ ref, emailId, mailboxId, imapFolder,
+ *   uidValidity, uid, messageId, inReplyTo, references, from, to, cc,
+ *   replyTo, subject, date, body, html, flags, headers, attachments, source }`;
+ *   from, to, cc and replyTo
+ *   are address strings and emailId is the local copy's id, if there is one
+ */
+export const resolveMessage = async (user, ref) => {
+  const location = parseMessageRef(ref);
+
+  if (location.emailId) {
+    const row = await getEmailById(user.id, location.emailId);
+    if (!row) {
+      throw new Error("Message not found");
+    }
+    return fromLocalEmail(row, await getAttachmentsByEmail(user.id, row.id));
+  }
+
+  const { mailboxId, folder, uidValidity, uid } = location;
+  const message = await withMailbox(user, mailboxId, (mailbox, credentials) =>
+    fetchMessageByUid(mailbox.email, credentials, { folder, uid, uidValidity })
+  );
+
+  return {
+    ...message,
+    ref: formatMessageRef(location),
+    emailId: await findLocalCopy(user.id, location),
+    mailboxId,
+    from: message.from ? message.from.text : null,
+    to: message.to ? message.to.text : null,
+    cc: message.cc ? message.cc.text : null,
+    replyTo: message.replyTo ? message.replyTo.text : null,
+    source: "server",
+  };
+};
+
+export default {
+  formatMessageRef,
+  parseMessageRef,
+  addMessageRefs,
+  locateMessage,
+  resolveMessage,
+};
@@ -0,0 +1,304 @@
+import { simpleParser } from "mailparser";
+import config from "../config.js";
+import { streamMessageSource } from "./imapService.js";
+import { withMailbox } from "./mailboxService.js";
+import {
+  formatMessageRef,
+  parseMessageRef,
+  locateMessage,
+} from "./messageRefService.js";
+import { recordParsedAttachments } from "./attachmentService.js";
+import { parseMessageIds } from "./threadService.js";
+import {
+  saveImportedEmail,
+  hasEmailWithMessageId,
+} from "../models/emailModel.js";
+import { saveEmailSource, getEmailSource } from "../models/emailSourceModel.js";
+
+/**
+ * Original RFC 822 source of messages.
+ *
+ * Raw downloads stream the source of a message from its IMAP server. Imported
+ * messages (.eml files and mbox archives) exist nowhere else, so their source
+ * is stored with them and served from the database.
+ *
+ * Imports are read as they are uploaded, one message at a time, so an mbox
+ * archive never has to fit in memory. Messages larger than
+ * `config.imports.maxMessageSize` are skipped, and so are messages whose
+ * Message-ID is already stored in the target folder, so an archive can be
+ * imported again after an interruption.
+ */
+
+const LF = 0x0a;
+
+// Envelope line starting a message in an mbox archive: "From " followed by
+// the sender and an asctime date ("From bob@example.com Mon Oct  5 10:00:00
+// 2026"), which body text starting with "From " rarely resembles
+const MBOX_SEPARATOR = /^From \S+\s+\w{3} \w{3}\s+\d{1,2} \d{1,2}:\d{2}/;
+
+/**
+ * Whether a line starts a message in an mbox archive
+ * @param {Buffer} line - Line, with its line ending
+ * @returns {boolean}
+ */
+const isMboxSeparator = (line) =>
+  line[0] === 0x46 &&
+  MBOX_SEPARATOR.test(line.subarray(0, 200).toString("latin1"));
+
+/**
+ * Whether a line is empty apart from its line ending
+ * @param {Buffer} line - Line
+ * @returns {boolean}
+ */
+const isBlankLine = (line) =>
+  line.length === 0 || (line.length <= 2 && line.toString().trim() === "");
+
+/**
+ * Undo mbox quoting of body lines that start with "From " (">From ",
+ * ">>From ", ...)
+ * @param {Buffer} line - Line
+ * @returns {Buffer}
+ */
+const unquoteMboxLine = (line) =>
+  line[0] === 0x3e && /^>+From /.test(line.subarray(0, 80).toString("latin1"))
+    ? line.subarray(1)
+    : line;
+
+/**
+ * Split an mbox archive into messages as it is read. A message starts at an
+ * envelope line at the start of the archive or after an empty line.
+ * @param {Object} stream - Readable stream of the archive
+ * @yields {Object} - `{ source }` for each message; source is null when the
+ *   message is larger than the import limit
+ */
+async function* splitMbox(stream) {
+  let lines = [];
+  let size = 0;
+  let started = false;
+  let previousBlank = true;
+  let pending = Buffer.alloc(0);
+
+  const takeMessage = () => {
+    const message = {
+      source:
+        size > config.imports.maxMessageSize ? null : Buffer.concat(lines),
+    };
+    lines = [];
+    size = 0;
+    return message;
+  };
+
+  const addLine = (line) => {
+    size += line.length;
+    if (size <= config.imports.maxMessageSize) {
+      lines.push(unquoteMboxLine(line));
+    } else {
+      lines = [];
+    }
+  };
+
+  for await (const chunk of stream) {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+    let start = 0;
+    let end;
+    const messages = [];
+    while ((end = pending.indexOf(LF, start)) !== -1) {
+      const line = pending.subarray(start, end + 1);
+      start = end + 1;
+
+      if (previousBlank && isMboxSeparator(line)) {
+        if (started) messages.push(takeMessage());
+        started = true;
+      } else if (started) {
+        addLine(line);
+      }
+      previousBlank = isBlankLine(line);
+    }
+    pending = pending.subarray(start);
+
+    yield* messages;
+  }
+
+  if (pending.length > 0 && started) addLine(pending);
+  if (started) yield takeMessage();
+}
+
+/**
+ * Read a single message (an .eml file)
+ * @param {Object} stream - Readable stream of the message
+ * @yields {Object} - `{ source }`; source is null when the message is larger
+ *   than the import limit
+ */
+async function* readMessage(stream) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size <= config.imports.maxMessageSize) chunks.push(chunk);
+  }
+  yield {
+    source: size > config.imports.maxMessageSize ? null : Buffer.concat(chunks),
+  };
+}
+
+/**
+ * Store one imported message with its source and attachments
+ * @param {number} userId - Owning user ID
+ * @param {Buffer} source - RFC 822 source
+ * @param {string} folder - Folder to put it in
+ * @returns {Promise<Object|null>} - `{ emailId, ref, messageId, subject }`,
+ *   or null if the message is stored in the folder already
+ */
+const importMessage = async (userId, source, folder) => {
+  const parsed = await simpleParser(source);
+  const messageId = parsed.messageId || null;
+
+  if (messageId && (await hasEmailWithMessageId(userId, messageId, folder))) {
+    return null;
+  }
+
+  const emailId = await saveImportedEmail(userId, {
+    sender: parsed.from ? parsed.from.text : "Unknown Sender",
+    subject: parsed.subject || "",
+    body: parsed.text || "",
+    receivedAt: parsed.date || new Date(),
+    folder,
+    messageId,
+    html: parsed.html || null,
+    inReplyTo: parseMessageIds(parsed.inReplyTo)[0] || null,
+    referenceIds: parseMessageIds(parsed.references),
+  });
+  await saveEmailSource(userId, emailId, source);
+  await recordParsedAttachments(userId, emailId, parsed.attachments);
+
+  return {
+    emailId,
+    ref: String(emailId),
+    messageId,
+    subject: parsed.subject || "",
+  };
+};
+
+/**
+ * Import messages from an .eml file or an mbox archive into the emails table
+ * @param {number} userId - Owning user ID
+ * @param {Object} stream - Readable stream of the upload
+ * @param {Object} options - format ("eml" or "mbox") and folder (default
+ *   INBOX)
+ * @returns {Promise<Object>} - `{ format, folder, imported, duplicates,
+ *   failed, emails, errors }`; emails lists the imported messages and errors
+ *   the messages that couldn't be imported, by position in the upload
+ */
+export const importMessages = async (
+  userId,
+  stream,
+  { format = "eml", folder = "INBOX" } = {}
+) => {
+  if (!["eml", "mbox"].includes(format)) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  const result = {
+    format,
+    folder,
+    imported: 0,
+    duplicates: 0,
+    failed: 0,
+    emails: [],
+    errors: [],
+  };
+
+  const messages = format === "mbox" ? splitMbox(stream) : readMessage(stream);
+  let index = 0;
+  for await (const { source } of messages) {
+    index++;
+    try {
+      if (!source) {
+        throw new Error(
+          `Message is larger than the import limit of ${config.imports.maxMessageSize} bytes`
+        );
+      }
+      if (source.length === 0) {
+        throw new Error("Message is empty");
+      }
+
+      const email = await importMessage(userId, source, folder);
+      if (email) {
+        result.imported++;
+        result.emails.push(email);
+      } else {
+        result.duplicates++;
+      }
+    } catch (error) {
+      result.failed++;
+      result.errors.push({ index, error: error.message });
+    }
+  }
+
+  console.log(
+    `Imported ${result.imported} messages into ${folder} for user ${userId} (${result.duplicates} duplicates, ${result.failed} failed)`
+  );
+  return result;
+};
+
+/**
+ * Stream the original source of a message: the stored source of an imported
+ * email, otherwise the message on the IMAP server
+ * @param {Object} user - User row
+ * @param {string|number} ref - Message reference (see messageRefService)
+ * @param {Function} open - Called with `{ ref, size }` before any content is
+ *   sent; returns the writable stream to send the source to
+ * @returns {Promise<Object>} - `{ ref, size, source }`, where source is
+ *   "import" or "server"
+ */
+export const streamRawMessage = async (user, ref, open) => {
+  const { emailId } = parseMessageRef(ref);
+  const stored = emailId ? await getEmailSource(user.id, emailId) : null;
+  if (stored) {
+    open({ ref: String(emailId), size: stored.size }).end(stored.source);
+    return { ref: String(emailId), size: stored.size, source: "import" };
+  }
+
+  const location = await locateMessage(user, ref);
+  const serverRef = formatMessageRef(location);
+  let size = null;
+
+  await withMailbox(user, location.mailboxId, (mailbox, credentials) =>
+    streamMessageSource(
+      mailbox.email,
+      credentials,
+      location,
+      (stream, info) => {
+        size = info.size;
+        const output = open({ ref: serverRef, size });
+
+        return new Promise((resolve, reject) => {
+          // If the client goes away the message is still read to the end, so
+          // the IMAP connection can be reused
+          output.once("close", () => stream.resume());
+          stream.on("data", (chunk) => {
+            if (!output.destroyed && !output.write(chunk)) {
+              stream.pause();
+              output.once("drain", () => stream.resume());
+            }
+          });
+          stream.once("error", (err) =>
+            reject(new Error(`Error reading message: ${err.message}`))
+          );
+          stream.once("end", () => {
+            if (!output.destroyed) output.end();
+            resolve();
+          });
+        });
+      }
+    )
+  );
+
+  return { ref: serverRef, size, source: "server" };
+};
+
+export default {
+  importMessages,
+  streamRawMessage,
+};
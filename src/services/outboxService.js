@@ -0,0 +1,576 @@
+import config from "../config.js";
+import emailService from "./emailService.js";
+import { resolveMailbox, withMailbox } from "./mailboxService.js";
+import { getUserById } from "../models/userModel.js";
+import { getMailboxById } from "../models/mailboxModel.js";
+import {
+  parseSendAt,
+  validateTimeZone,
+  formatLocalTime,
+} from "../utils/sendTime.js";
+import { formatAddressList } from "../utils/addressList.js";
+import {
+  createOutboxItem,
+  getOutboxItem,
+  getOutboxItemsByUser,
+  getScheduledOutboxItems,
+  getDueOutboxItems,
+  claimOutboxItem,
+  finishOutboxAttempt,
+  requeueOutboxItem,
+  rescheduleOutboxItem,
+  cancelOutboxItem,
+  undoOutboxItem,
+  requeueInterruptedSends,
+} from "../models/outboxModel.js";
+
+/**
+ * Outgoing mail goes through the outbox.
+ *
+ * Every message is stored in the outbox table before it is sent, and the
+ * first attempt is made straight away. If it fails the worker tries again
+ * after `config.outbox.retryBaseDelay`, doubling the delay after every
+ * further failure, until the message is sent or has used
+ * `config.outbox.maxAttempts` attempts. SMTP rejections (5xx responses) are
+ * not retried. The outcome and the SMTP server's response are recorded, and
+ * failed messages can be queued again or cancelled.
+ *
+ * A message can be held for `config.outbox.undoWindow` (or a hold the
+ * request asks for) before its first attempt. It is "pending" until then and
+ * can be undone, which cancels it; afterwards it is released to SMTP.
+ *
+ * Messages can also be scheduled for later ("send later"). They wait in the
+ * outbox with status "scheduled" until their send time, and the worker sends
+ * them like any other due message, so they survive restarts; one that fell
+ * due while the server was down is sent once it is back.
+ *
+ * Messages that were being sent when the server stopped are queued again at
+ * start-up, so a message may in rare cases be sent twice, but never lost.
+ */
+
+// Due messages picked up per database query
+const WORKER_BATCH_SIZE = 20;
+
+let workerTimer = null;
+let workerRunning = false;
+let workerPending = false;
+
+/**
+ * An error that retrying won't fix
+ * @param {string} message - Error message
+ * @returns {Error} - Error with `permanent` set
+ */
+const permanentError = (message) =>
+  Object.assign(new Error(message), { permanent: true });
+
+/**
+ * Errors that retrying won't fix: the SMTP server rejected the message (5xx),
+ * or the user or mailbox it was to be sent from is gone (see sendItem)
+ * @param {Error} error - Send error
+ * @returns {boolean}
+ */
+const isPermanentFailure = (error) => {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.permanent) return true;
+    if (cause.responseCode >= 500 && cause.responseCode < 600) return true;
+  }
+  return false;
+};
+
+/**
+ * Find the SMTP server's response to a failed send
+ * @param {Error} error - Send error
+ * @returns {string|null}
+ */
+const getSmtpResponse = (error) => {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.response) return cause.response;
+  }
+  return null;
+};
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(
+    config.outbox.retryBaseDelay * 2 ** (attempts - 1),
+    config.outbox.retryMaxDelay
+  );
+
+/**
+ * Read and check the send time of a message to be scheduled
+ * @param {string|number} sendAt - Timestamp or wall-clock time (see
+ *   utils/sendTime.js)
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Object} - `{ sendAt, timeZone }`, sendAt in epoch milliseconds
+ */
+const resolveSendTime = (sendAt, timeZone) => {
+  const zone = timeZone ? validateTimeZone(timeZone) : null;
+  const ms = parseSendAt(sendAt, zone);
+  if (ms <= Date.now()) {
+    throw new Error("sendAt must be in the future");
+  }
+  return { sendAt: ms, timeZone: zone };
+};
+
+/**
+ * Read and check how long a message is held for undo
+ * @param {number} [undoWindow] - Requested hold in milliseconds (default
+ *   `config.outbox.undoWindow`)
+ * @returns {number} - Milliseconds
+ */
+const resolveUndoWindow = (undoWindow) => {
+  if (undoWindow === undefined || undoWindow === null) {
+    return config.outbox.undoWindow;
+  }
+  const ms = Number(undoWindow);
+  if (!Number.isFinite(ms) || ms < 0 || ms > config.outbox.maxUndoWindow) {
+    throw new Error(
+      `undoWindow must be between 0 and ${
+        config.outbox.maxUndoWindow / 1000
+      } seconds`
+    );
+  }
+  return ms;
+};
+
+/**
+ * Mark the message a reply was sent to as answered (by UID, or found by its
+ * Message-ID), in the mailbox it is in. Failures are logged, since the reply
+ * itself has already gone out.
+ * @param {Object} user - User row
+ * @param {Object} mailbox - Mailbox the reply was sent from
+ * @param {Object} credentials - Credentials of that mailbox
+ * @param {Object} original - mailboxId (default: the sending mailbox),
+ *   folder, uidValidity and uid, or messageId
+ * @returns {Promise<Array<number>>} - UIDs marked as answered
+ */
+const markOriginalAnswered = async (user, mailbox, credentials, original) => {
+  if (!original.mailboxId || original.mailboxId === mailbox.id) {
+    return emailService.markAnswered(
+      user.id,
+      mailbox.id,
+      mailbox.email,
+      credentials,
+      original
+    );
+  }
+
+  try {
+    return await withMailbox(
+      user,
+      original.mailboxId,
+      (other, otherCredentials) =>
+        emailService.markAnswered(
+          user.id,
+          other.id,
+          other.email,
+          otherCredentials,
+          original
+        )
+    );
+  } catch (error) {
+    console.error("Error marking original email as answered:", error);
+    return [];
+  }
+};
+
+/**
+ * Send a message with the mailbox it was queued for
+ * @param {Object} item - outbox row
+ * @returns {Promise<Object>} - Send result
+ */
+const sendItem = async (item) => {
+  const user = await getUserById(item.user_id);
+  if (!user) {
+    throw permanentError("User not found");
+  }
+  // The mailbox may have been unlinked since the message was queued
+  if (item.mailbox_id && !(await getMailboxById(user.id, item.mailbox_id))) {
+    throw permanentError(`Mailbox ${item.mailbox_id} not found`);
+  }
+  const payload = JSON.parse(item.payload);
+  const addresses = {
+    cc: payload.cc,
+    bcc: payload.bcc,
+    replyTo: payload.replyTo,
+  };
+
+  return withMailbox(user, item.mailbox_id, async (mailbox, credentials) => {
+    if (item.kind === "reply") {
+      const sent = await emailService.replyToEmail(
+        mailbox.email,
+        credentials,
+        payload.recipient,
+        payload.subject,
+        payload.body,
+        payload.htmlBody,
+        payload.inReplyTo,
+        payload.references,
+        addresses
+      );
+
+      const answered = payload.original
+        ? await markOriginalAnswered(
+            user,
+            mailbox,
+            credentials,
+            payload.original
+          )
+        : [];
+      return { ...sent, answeredUids: answered };
+    }
+
+    return emailService.sendEmail(
+      mailbox.email,
+      credentials,
+      payload.recipient,
+      payload.subject,
+      payload.body,
+      payload.htmlBody,
+      payload.attachments,
+      addresses
+    );
+  });
+};
+
+/**
+ * Make one send attempt for a queued message and record the outcome
+ * @param {Object} item - outbox row
+ * @returns {Promise<Object|null>} - `{ result }` when sent, `{ error }` when
+ *   not, or null if the message wasn't queued any more
+ */
+const attemptDelivery = async (item) => {
+  if (!(await claimOutboxItem(item.id))) return null;
+  const attempts = item.attempts + 1;
+
+  try {
+    const result = await sendItem(item);
+    await finishOutboxAttempt(item.id, {
+      status: "sent",
+      smtpResponse: result.response,
+      messageId: result.messageId,
+      sentAt: Date.now(),
+    });
+    console.log(`Sent outbox message ${item.id} (attempt ${attempts})`);
+    return { result };
+  } catch (error) {
+    const retry = attempts < item.max_attempts && !isPermanentFailure(error);
+    await finishOutboxAttempt(item.id, {
+      status: retry ? "queued" : "failed",
+      nextAttemptAt: retry ? Date.now() + getRetryDelay(attempts) : null,
+      lastError: error.message,
+      smtpResponse: getSmtpResponse(error),
+    });
+    console.error(
+      `Outbox message ${item.id} failed (attempt ${attempts}), ${
+        retry ? "will retry" : "giving up"
+      }:`,
+      error.message
+    );
+    return { error };
+  }
+};
+
+/**
+ * Send every message that is due, one at a time. Runs again afterwards if
+ * it was asked to while it was busy.
+ */
+const processOutbox = async () => {
+  if (workerRunning) {
+    workerPending = true;
+    return;
+  }
+
+  workerRunning = true;
+  try {
+    let items;
+    do {
+      items = await getDueOutboxItems(Date.now(), WORKER_BATCH_SIZE);
+      for (const item of items) {
+        await attemptDelivery(item);
+      }
+    } while (items.length === WORKER_BATCH_SIZE);
+  } catch (error) {
+    console.error("Error processing the outbox:", error);
+  } finally {
+    workerRunning = false;
+  }
+
+  if (workerPending) {
+    workerPending = false;
+    await processOutbox();
+  }
+};
+
+/**
+ * Bring an outbox row into the shape the API returns. The message content
+ * itself is left out.
+ * @param {Object} item - outbox row
+ * @returns {Object} - Outbox entry
+ */
+const toOutboxEntry = (item) => {
+  const payload = JSON.parse(item.payload);
+  const toDate = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const toAddresses = (list) => formatAddressList(list) || null;
+
+  return {
+    id: item.id,
+    mailboxId: item.mailbox_id,
+    kind: item.kind,
+    status: item.status,
+    recipient: toAddresses(payload.recipient),
+    cc: toAddresses(payload.cc),
+    bcc: toAddresses(payload.bcc),
+    replyTo: toAddresses(payload.replyTo),
+    subject: payload.subject,
+    attachmentCount: (payload.attachments || []).length,
+    attempts: item.attempts,
+    maxAttempts: item.max_attempts,
+    nextAttemptAt: ["pending", "queued", "scheduled"].includes(item.status)
+      ? toDate(item.next_attempt_at)
+      : null,
+    undoUntil: item.status === "pending" ? toDate(item.next_attempt_at) : null,
+    sendAt: toDate(item.send_at),
+    timeZone: item.time_zone,
+    localSendAt:
+      item.send_at && item.time_zone
+        ? formatLocalTime(item.send_at, item.time_zone)
+        : null,
+    lastError: item.last_error,
+    smtpResponse: item.smtp_response,
+    messageId: item.message_id,
+    sentAt: toDate(item.sent_at),
+    createdAt: item.created_at,
+    updatedAt: item.updated_at,
+  };
+};
+
+/**
+ * Store a message in the outbox and make the first attempt to send it, hold
+ * it for undo first, or schedule it for later
+ * @param {Object} user - User row
+ * @param {number} mailboxId - Mailbox to send from (defaults to the primary
+ *   one)
+ * @param {Object} message - kind ("email" or "reply") and payload: recipient
+ *   (the to addresses), cc, bcc, replyTo, subject, body, htmlBody, and
+ *   attachments (email) or inReplyTo, references
+ *   and original (reply; the `{ folder, uid, messageId }` of the message
+ *   replied to, marked answered once the reply is sent). With sendAt (and
+ *   optionally timeZone) the message is scheduled instead of sent now;
+ *   otherwise undoWindow (ms) overrides how long it is held for undo.
+ * @returns {Promise<Object>} - `{ entry, result, error }`: the outbox entry,
+ *   and the send result or the error of the first attempt (neither for held
+ *   and scheduled messages)
+ */
+export const queueMessage = async (user, mailboxId, message) => {
+  const schedule =
+    message.sendAt !== undefined && message.sendAt !== null
+      ? resolveSendTime(message.sendAt, message.timeZone)
+      : null;
+  const hold = schedule ? 0 : resolveUndoWindow(message.undoWindow);
+  const mailbox = await resolveMailbox(user, mailboxId);
+  const id = await createOutboxItem(user.id, mailbox.id, {
+    kind: message.kind,
+    payload: message.payload,
+    maxAttempts: config.outbox.maxAttempts,
+    nextAttemptAt: schedule ? schedule.sendAt : Date.now() + hold,
+    ...(schedule && { status: "scheduled", ...schedule }),
+    ...(hold > 0 && { status: "pending" }),
+  });
+
+  if (hold > 0) {
+    // Released by the worker too, should the server restart in between
+    setTimeout(processOutbox, hold).unref();
+    return { entry: toOutboxEntry(await getOutboxItem(user.id, id)) };
+  }
+
+  if (schedule) {
+    console.log(
+      `Scheduled outbox message ${id} for ${new Date(
+        schedule.sendAt
+      ).toISOString()}`
+    );
+    return { entry: toOutboxEntry(await getOutboxItem(user.id, id)) };
+  }
+
+  const outcome = await attemptDelivery(await getOutboxItem(user.id, id));
+  return {
+    entry: toOutboxEntry(await getOutboxItem(user.id, id)),
+    result: outcome && outcome.result,
+    error: outcome && outcome.error,
+  };
+};
+
+/**
+ * List a user's outbox, newest first
+ * @param {number} userId - User ID
+ * @param {Array<string>} statuses - Only entries with these statuses
+ *   (pending, scheduled, queued, sending, sent, failed, cancelled); all when
+ *   empty
+ * @returns {Promise<Array>} - Outbox entries
+ */
+export const getOutbox = async (userId, statuses = []) => {
+  const items = await getOutboxItemsByUser(userId, statuses);
+  return items.map(toOutboxEntry);
+};
+
+/**
+ * List a user's scheduled messages, the next one to be sent first
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Outbox entries
+ */
+export const getScheduledMessages = async (userId) => {
+  const items = await getScheduledOutboxItems(userId);
+  return items.map(toOutboxEntry);
+};
+
+/**
+ * Look up an outbox entry, failing if it doesn't exist
+ * @param {number} userId - User ID
+ * @param {number} id - Outbox entry ID
+ * @returns {Promise<Object>} - outbox row
+ */
+const findItem = async (userId, id) => {
+  const item = await getOutboxItem(userId, id);
+  if (!item) {
+    throw new Error("Outbox message not found");
+  }
+  return item;
+};
+
+/**
+ * Queue a failed message again, with a fresh set of attempts
+ * @param {number} userId - User ID
+ * @param {number} id - Outbox entry ID
+ * @returns {Promise<Object>} - Outbox entry after the first new attempt
+ */
+export const retryOutboxMessage = async (userId, id) => {
+  const item = await findItem(userId, id);
+  if (!(await requeueOutboxItem(userId, id, Date.now()))) {
+    throw new Error(
+      `Only failed messages can be retried; this one is ${item.status}`
+    );
+  }
+
+  await attemptDelivery(await getOutboxItem(userId, id));
+  return toOutboxEntry(await getOutboxItem(userId, id));
+};
+
+/**
+ * Change the send time of a scheduled message
+ * @param {number} userId - User ID
+ * @param {number} id - Outbox entry ID
+ * @param {Object} schedule - sendAt, and timeZone (defaults to the one the
+ *   message was scheduled with)
+ * @returns {Promise<Object>} - Outbox entry
+ */
+export const rescheduleMessage = async (userId, id, { sendAt, timeZone }) => {
+  const item = await findItem(userId, id);
+  const schedule = resolveSendTime(sendAt, timeZone || item.time_zone);
+  if (
+    !(await rescheduleOutboxItem(
+      userId,
+      id,
+      schedule.sendAt,
+      schedule.timeZone
+    ))
+  ) {
+    throw new Error(
+      `Only scheduled messages can be rescheduled; this one is ${item.status}`
+    );
+  }
+  return toOutboxEntry(await getOutboxItem(userId, id));
+};
+
+/**
+ * Undo sending a message while it is held
+ * @param {number} userId - User ID
+ * @param {number} id - Outbox entry ID
+ * @returns {Promise<Object>} - Outbox entry, now cancelled
+ */
+export const undoSend = async (userId, id) => {
+  const item = await findItem(userId, id);
+  if (!(await undoOutboxItem(userId, id, Date.now()))) {
+    throw new Error(
+      item.status === "pending"
+        ? "Too late to undo; the message is being sent"
+        : `Message can't be undone; it is ${item.status}`
+    );
+  }
+  console.log(`Undid sending outbox message ${id}`);
+  return toOutboxEntry(await getOutboxItem(userId, id));
+};
+
+/**
+ * Cancel a message that is held, scheduled, waiting for a retry or has
+ * failed
+ * @param {number} userId - User ID
+ * @param {number} id - Outbox entry ID
+ * @returns {Promise<Object>} - Outbox entry
+ */
+export const cancelOutboxMessage = async (userId, id) => {
+  const item = await findItem(userId, id);
+  if (!(await cancelOutboxItem(userId, id))) {
+    throw new Error(`Message can't be cancelled; it is ${item.status}`);
+  }
+  return toOutboxEntry(await getOutboxItem(userId, id));
+};
+
+/**
+ * Cancel a scheduled message before its send time
+ * @param {number} userId - User ID
+ * @param {number} id - Outbox entry ID
+ * @returns {Promise<Object>} - Outbox entry
+ */
+export const cancelScheduledMessage = async (userId, id) => {
+  const item = await findItem(userId, id);
+  if (!(await cancelOutboxItem(userId, id, ["scheduled"]))) {
+    throw new Error(`Message isn't scheduled; it is ${item.status}`);
+  }
+  return toOutboxEntry(await getOutboxItem(userId, id));
+};
+
+/**
+ * Start the outbox worker
+ * @returns {Promise<void>}
+ */
+export const startOutboxWorker = async () => {
+  if (workerTimer) return;
+
+  const interrupted = await requeueInterruptedSends(Date.now());
+  if (interrupted > 0) {
+    console.log(`Queued ${interrupted} interrupted outbox messages again`);
+  }
+
+  workerTimer = setInterval(processOutbox, config.outbox.pollInterval);
+  processOutbox();
+  console.log(
+    `Outbox worker started, checking every ${config.outbox.pollInterval} ms`
+  );
+};
+
+/**
+ * Stop the outbox worker
+ */
+export const stopOutboxWorker = () => {
+  if (!workerTimer) return;
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+export default {
+  queueMessage,
+  getOutbox,
+  getScheduledMessages,
+  retryOutboxMessage,
+  rescheduleMessage,
+  cancelOutboxMessage,
+  cancelScheduledMessage,
+  undoSend,
+  startOutboxWorker,
+  stopOutboxWorker,
+};
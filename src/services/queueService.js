@@ -1,48 +1,39 @@
 import dotenv from "dotenv";
 import emailService from "./emailService.js";
-import { saveEmail } from "../models/emailModel.js";
+import { withAccessToken } from "./tokenService.js";
+import { queueMessage } from "./outboxService.js";
 
 dotenv.config();
 
-// In-memory storage for scheduled jobs
+// In-memory storage for recurring fetch jobs (scheduled sends are stored in
+// the outbox, see outboxService)
 const scheduledJobs = new Map();
 let jobIdCounter = 1;
 
 /**
- * Process emails directly without using a queue
+ * Sync new emails from the user's primary inbox into the database
+ * Only messages not stored yet are downloaded (see syncService)
  * @param {number} userId - The user's ID
  * @param {string} userEmail - The user's email address
  * @param {string} accessToken - OAuth2 access token
- * @returns {Promise<Object>} - Result of the email processing
+ * @returns {Promise<Object>} - Sync summary (`added`, `removed`, ...)
  */
 export const processEmails = async (userId, userEmail, accessToken) => {
   try {
     console.log(`Processing email fetch for user: ${userEmail}`);
 
-    // Fetch emails
-    const emails = await emailService.getInbox(userEmail, accessToken, 20);
-
-    // Save new emails to database
-    const savedEmails = [];
-    for (const email of emails) {
-      try {
-        const savedEmail = await saveEmail(
-          userId,
-          email.from,
-          email.subject,
-          email.body,
-          email.date
-        );
-        savedEmails.push(savedEmail);
-      } catch (error) {
-        console.error(`Error saving email: ${error.message}`);
-      }
-    }
+    const result = await emailService.syncFolderToDb(
+      userId,
+      null,
+      userEmail,
+      accessToken,
+      "INBOX"
+    );
 
     console.log(
-      `Processed ${emails.length} emails, saved ${savedEmails.length}.`
+      `Synced inbox for ${userEmail}: ${result.added} new, ${result.removed} removed.`
     );
-    return { processed: emails.length, saved: savedEmails.length };
+    return result;
   } catch (error) {
     console.error(`Error processing emails: ${error.message}`);
     throw error;
@@ -99,12 +90,20 @@ export const scheduleEmailFetch = async (userId, userEmail, accessToken) => {
 };
 
 /**
- * Add a job to send an email (simplified without queue)
- * @param {Object} emailData - Data for sending an email
- * @returns {Promise<Object>} - Result of the send operation
+ * Send an email through the outbox, so it is retried if sending fails
+ * @param {Object} emailData - user (row), mailboxId, recipient, subject, body,
+ *   htmlBody and attachments, and sendAt and timeZone to send it later
+ * @returns {Promise<Object>} - `{ entry, result, error }` (see
+ *   outboxService.queueMessage)
  */
 export const scheduleSendEmail = async (emailData) => {
-  return sendEmailDirectly(emailData);
+  const { user, mailboxId, sendAt, timeZone, ...payload } = emailData;
+  return queueMessage(user, mailboxId, {
+    kind: "email",
+    payload,
+    sendAt,
+    timeZone,
+  });
 };
 
 /**
@@ -119,7 +118,9 @@ export const scheduleRecurringEmailFetch = (users, interval = 10) => {
   // Schedule for each user
   users.forEach((user) => {
     const intervalId = setInterval(() => {
-      processEmails(user.id, user.email, user.access_token).catch((error) =>
+      withAccessToken(user, (accessToken) =>
+        processEmails(user.id, user.email, accessToken)
+      ).catch((error) =>
         console.error(`Scheduled job error for ${user.email}:`, error)
       );
     }, intervalMs);
@@ -154,10 +155,24 @@ export const stopRecurringJob = (jobId) => {
   return false;
 };
 
+/**
+ * Stop every recurring job belonging to a user (e.g. when the account is deleted)
+ * @param {number} userId - The user's ID
+ * @returns {number} - Number of jobs stopped
+ */
+export const stopUserJobs = (userId) => {
+  let stopped = 0;
+  for (const [jobId, job] of scheduledJobs) {
+    if (job.userId === userId && stopRecurringJob(jobId)) stopped++;
+  }
+  return stopped;
+};
+
 export default {
   scheduleEmailFetch,
   scheduleSendEmail,
   scheduleRecurringEmailFetch,
   stopRecurringJob,
+  stopUserJobs,
   getScheduledJobs: () => Array.from(scheduledJobs.entries()),
 };
@@ -0,0 +1,231 @@
+import { simpleParser } from "mailparser";
+import {
+  formatMessageRef,
+  parseMessageRef,
+  locateMessage,
+  resolveMessage,
+} from "./messageRefService.js";
+import { parseMessageIds } from "./threadService.js";
+import { getEmailSource } from "../models/emailSourceModel.js";
+import { parseAddresses, withoutAddresses } from "../utils/addressList.js";
+
+/**
+ * Replies to stored and server messages.
+ *
+ * Replying needs the headers of the original message, which the emails table
+ * doesn't keep in full, so the original is read from where its headers are:
+ * the IMAP server for synced mail, the stored source for imported mail, and
+ * the emails row only for mail saved by hand.
+ *
+ * A reply names the original's Message-ID in In-Reply-To, and the original's
+ * References followed by its Message-ID in References (RFC 5322 3.6.4), which
+ * is what Gmail and other clients group conversations by.
+ */
+
+// Most Message-IDs kept in a reply's References; the oldest one and the
+// newest ones are kept when a long thread has more
+const MAX_REFERENCES = 20;
+
+const REPLY_PREFIX = /^\s*re\s*:/i;
+
+/**
+ * Bring a parsed stored source into the shape resolveMessage returns
+ * @param {number} emailId - emails row id
+ * @param {Object} parsed - mailparser result
+ * @returns {Object} - Message
+ */
+const fromParsedSource = (emailId, parsed) => ({
+  ref: String(emailId),
+  emailId,
+  mailboxId: null,
+  imapFolder: null,
+  uidValidity: null,
+  uid: null,
+  messageId: parsed.messageId || null,
+  inReplyTo: parsed.inReplyTo || null,
+  references: [].concat(parsed.references || []),
+  from: parsed.from ? parsed.from.text : null,
+  to: parsed.to ? parsed.to.text : null,
+  cc: parsed.cc ? parsed.cc.text : null,
+  replyTo: parsed.replyTo ? parsed.replyTo.text : null,
+  subject: parsed.subject || null,
+  date: parsed.date || null,
+  body: parsed.text || "",
+  html: parsed.html || null,
+  source: "import",
+});
+
+/**
+ * Load the message being replied to with its headers
+ * @param {Object} user - User row
+ * @param {string|number} ref - Message reference (see messageRefService)
+ * @returns {Promise<Object>} - Message, in the shape resolveMessage returns
+ */
+export const loadOriginal = async (user, ref) => {
+  const { emailId } = parseMessageRef(ref);
+  if (!emailId) {
+    return resolveMessage(user, ref);
+  }
+
+  const stored = await getEmailSource(user.id, emailId);
+  if (stored) {
+    return fromParsedSource(emailId, await simpleParser(stored.source));
+  }
+
+  // A synced email is read from the server, where its headers are
+  let serverRef = null;
+  try {
+    serverRef = formatMessageRef(await locateMessage(user, ref));
+  } catch (error) {
+    if (!error.message.includes("not found on the server")) throw error;
+  }
+  return resolveMessage(user, serverRef || ref);
+};
+
+/**
+ * Work out who a reply-all goes to: the original's sender (or its Reply-To),
+ * with everyone else it was sent to in cc. The user's own addresses are left
+ * out. Replying to one's own message goes to its recipients instead.
+ * @param {Object} original - Message from loadOriginal
+ * @param {Array<string>} ownAddresses - The user's addresses
+ * @returns {Object} - `{ to, cc }`, each an array of `{ name, address }`
+ */
+export const getReplyAllRecipients = (original, ownAddresses) => {
+  const own = new Set(
+    ownAddresses.filter(Boolean).map((address) => address.toLowerCase())
+  );
+  const sender = parseAddresses(original.replyTo || original.from);
+  const fromSelf =
+    sender.length > 0 &&
+    sender.every((entry) => own.has(entry.address.toLowerCase()));
+
+  const seen = new Set(own);
+  const to = withoutAddresses(
+    fromSelf ? parseAddresses(original.to) : sender,
+    seen
+  );
+  const cc = withoutAddresses(
+    parseAddresses(fromSelf ? original.cc : [original.to, original.cc]),
+    seen
+  );
+  return { to, cc };
+};
+
+/**
+ * Read a header from a message's raw headers (lower-cased names, as node-imap
+ * parses them), for messages fetched without mailparser
+ * @param {Object} message - Message
+ * @param {string} name - Header name, lower case
+ * @returns {Array<string>|null}
+ */
+const getRawHeader = (message, name) =>
+  (message.headers && message.headers[name]) || null;
+
+/**
+ * Work out the threading headers of a reply to a message
+ * @param {Object} original - Message replied to (from loadOriginal,
+ *   resolveMessage or a listing)
+ * @returns {Object} - `{ inReplyTo, references }`: the original's
+ *   Message-ID, and the Message-IDs of the thread up to and including it
+ *   (null when there are none)
+ */
+export const getReplyHeaders = (original) => {
+  const messageId = parseMessageIds(original.messageId)[0] || null;
+
+  let ancestors = parseMessageIds(
+    original.references || getRawHeader(original, "references")
+  );
+  // Without References the message it replied to is the only known ancestor
+  if (ancestors.length === 0) {
+    ancestors = parseMessageIds(
+      original.inReplyTo || getRawHeader(original, "in-reply-to")
+    ).slice(0, 1);
+  }
+
+  let references = [...new Set([...ancestors, messageId].filter(Boolean))];
+  if (references.length > MAX_REFERENCES) {
+    references = [
+      references[0],
+      ...references.slice(references.length - MAX_REFERENCES + 1),
+    ];
+  }
+
+  return {
+    inReplyTo: messageId,
+    references: references.length > 0 ? references : null,
+  };
+};
+
+/**
+ * Subject of a reply: the original's with "Re: " in front, unless it has it
+ * @param {string|null} subject - Original subject
+ * @returns {string}
+ */
+export const getReplySubject = (subject) => {
+  const base = (subject || "").trim() || "No Subject";
+  return REPLY_PREFIX.test(base) ? base : `Re: ${base}`;
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+
+/**
+ * Attribution line above a quoted message
+ * @param {Object} original - Message replied to
+ * @returns {string} - "On <date>, <sender> wrote:"
+ */
+const getAttribution = (original) => {
+  const date = original.date ? new Date(original.date) : null;
+  const sender = original.from || "Unknown Sender";
+  return date && !isNaN(date)
+    ? `On ${date.toUTCString()}, ${sender} wrote:`
+    : `${sender} wrote:`;
+};
+
+/**
+ * Add the original message, quoted, below a reply
+ * @param {Object} original - Message replied to
+ * @param {Object} reply - body and htmlBody of the reply; the HTML version is
+ *   only quoted into when there is one
+ * @returns {Object} - `{ body, htmlBody }`
+ */
+export const quoteOriginal = (original, { body, htmlBody }) => {
+  const attribution = getAttribution(original);
+  const originalText = (original.body || "").replace(/\s+$/, "");
+  const quotedText = originalText
+    .split(/\r?\n/)
+    .map((line) => (line.startsWith(">") ? `>${line}` : `> ${line}`))
+    .join("\n");
+
+  const quotedHtml = original.html
+    ? original.html
+    : escapeHtml(originalText).replace(/\r?\n/g, "<br>");
+
+  return {
+    body: `${body || ""}\n\n${attribution}\n${quotedText}\n`,
+    htmlBody: htmlBody
+      ? `${htmlBody}<br><div class="reply-quote"><p>${escapeHtml(
+          attribution
+        )}</p><blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${quotedHtml}</blockquote></div>`
+      : htmlBody,
+  };
+};
+
+export default {
+  loadOriginal,
+  getReplyAllRecipients,
+  getReplyHeaders,
+  getReplySubject,
+  quoteOriginal,
+};
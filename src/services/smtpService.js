@@ -1,17 +1,32 @@
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { getSmtpConfig, getSenderAddress } from "./mailAuthService.js";
+import { formatAddressList } from "../utils/addressList.js";
 
 dotenv.config();
 
 /**
- * Sends an email using Gmail's SMTP with direct password auth for testing.
+ * Add the cc, bcc and reply-to addresses of a message to its mail options
+ * @param {Object} mailOptions - nodemailer mail options
+ * @param {Object} addresses - cc, bcc and replyTo address lists
+ */
+const addAddresses = (mailOptions, { cc, bcc, replyTo } = {}) => {
+  for (const [key, value] of Object.entries({ cc, bcc, replyTo })) {
+    if (value && value.length > 0) mailOptions[key] = value;
+  }
+};
+
+/**
+ * Sends an email using Gmail's SMTP, authenticating with XOAUTH2.
  * @param {string} senderEmail - Sender's email.
- * @param {string} accessToken - OAuth2 access token (not used in password mode).
- * @param {string} recipient - Recipient's email.
+ * @param {string} accessToken - OAuth2 access token used for XOAUTH2 login.
+ * @param {string|Array} recipient - Recipient's email, or a list of
+ *   addresses (see utils/addressList.js).
  * @param {string} subject - Email subject.
  * @param {string} body - Email body (plain text).
  * @param {string} htmlBody - HTML version of the email body (optional).
  * @param {Array} attachments - Array of attachment objects (optional).
+ * @param {Object} addresses - cc, bcc and replyTo address lists (optional).
  * @returns {Promise<Object>} - Promise with the email sending result.
  */
 export const sendEmail = async (
@@ -21,18 +36,14 @@ export const sendEmail = async (
   subject,
   body,
   htmlBody = null,
-  attachments = []
+  attachments = [],
+  addresses = {}
 ) => {
   try {
-    console.log(`Preparing to send email to ${recipient}`);
-    // Create reusable transporter with password auth (for testing)
-    // In production, use OAuth2 auth
+    console.log(`Preparing to send email to ${formatAddressList(recipient)}`);
+    // Create transporter authenticated as the sending user
     const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER || senderEmail,
-        pass: process.env.EMAIL_PASS,
-      },
+      ...getSmtpConfig(senderEmail, accessToken),
       // Add some options for better reliability
       pool: true, // Use connection pooling
       maxConnections: 5,
@@ -41,12 +52,14 @@ export const sendEmail = async (
 
     // Setup email options
     const mailOptions = {
-      from: process.env.EMAIL_USER || senderEmail,
+      from: getSenderAddress(senderEmail, accessToken),
       to: recipient,
       subject,
       text: body, // Plain text body
     };
 
+    addAddresses(mailOptions, addresses);
+
     // Add HTML version if provided
     if (htmlBody) {
       mailOptions.html = htmlBody;
@@ -69,7 +82,7 @@ export const sendEmail = async (
     };
   } catch (error) {
     console.error("Error sending email:", error);
-    throw new Error(`Failed to send email: ${error.message}`);
+    throw new Error(`Failed to send email: ${error.message}`, { cause: error });
   }
 };
 
@@ -100,13 +113,15 @@ export const sendHtmlEmail = async (
 /**
  * Sends a reply to an email.
  * @param {string} senderEmail - Sender's email.
- * @param {string} accessToken - OAuth2 access token (not used in password mode).
- * @param {string} recipient - Recipient's email.
+ * @param {string} accessToken - OAuth2 access token used for XOAUTH2 login.
+ * @param {string|Array} recipient - Recipient's email, or a list of
+ *   addresses.
  * @param {string} subject - Email subject (usually "Re: Original Subject").
  * @param {string} body - Email body.
  * @param {string} htmlBody - HTML version of the body (optional).
  * @param {string} inReplyTo - Message ID being replied to.
  * @param {string} references - References header for threading.
+ * @param {Object} addresses - cc, bcc and replyTo address lists (optional).
  * @returns {Promise<Object>} - Promise with the email sending result.
  */
 export const sendReply = async (
@@ -117,24 +132,23 @@ export const sendReply = async (
   body,
   htmlBody = null,
   inReplyTo = null,
-  references = null
+  references = null,
+  addresses = {}
 ) => {
   try {
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER || senderEmail,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+    const transporter = nodemailer.createTransport(
+      getSmtpConfig(senderEmail, accessToken)
+    );
 
     const mailOptions = {
-      from: process.env.EMAIL_USER || senderEmail,
+      from: getSenderAddress(senderEmail, accessToken),
       to: recipient,
-      subject: subject.startsWith("Re:") ? subject : `Re: ${subject}`,
+      subject: /^\s*re\s*:/i.test(subject) ? subject : `Re: ${subject}`,
       text: body,
     };
 
+    addAddresses(mailOptions, addresses);
+
     if (htmlBody) {
       mailOptions.html = htmlBody;
     }
@@ -156,6 +170,6 @@ export const sendReply = async (
     };
   } catch (error) {
     console.error("Error sending reply:", error);
-    throw new Error(`Failed to send reply: ${error.message}`);
+    throw new Error(`Failed to send reply: ${error.message}`, { cause: error });
   }
 };
@@ -1,11 +1,13 @@
 import { HfInference } from "@huggingface/inference";
 import { split } from "sentence-splitter";
 import { getEmailsByUser } from "../models/emailModel.js";
+import { getUserById } from "../models/userModel.js";
 import {
   getStyleProfile,
   saveStyleProfile,
 } from "../models/userStyleProfileModel.js";
 import emailService from "./emailService.js";
+import { withAccessToken } from "./tokenService.js";
 import dotenv from "dotenv";
 
 dotenv.config();
@@ -49,15 +51,12 @@ class StyleAnalyzerService {
       try {
         // First try to get emails from the sent folder via IMAP
         console.log("Attempting to fetch emails from sent folder...");
-        const userEmail = await this.getUserEmailFromId(userId);
+        const user = await this.getUserFromId(userId);
 
-        if (userEmail) {
+        if (user) {
           // Fetch emails from the sent folder
-          const sentEmails = await emailService.getFolder(
-            userEmail,
-            "dummy-token",
-            "[Gmail]/Sent Mail",
-            20
+          const sentEmails = await withAccessToken(user, (accessToken) =>
+            emailService.getFolder(user.email, accessToken, "sent", 20)
           );
           if (sentEmails && sentEmails.length > 0) {
             console.log(
@@ -96,17 +95,15 @@ class StyleAnalyzerService {
   }
 
   /**
-   * Helper function to get a user's email address from their ID
+   * Helper function to get a user's record (email and tokens) from their ID
    * @param {number} userId - User ID
-   * @returns {Promise<string|null>} - User's email address or null
+   * @returns {Promise<Object|null>} - User row or null
    */
-  async getUserEmailFromId(userId) {
+  async getUserFromId(userId) {
     try {
-      // Simplified mock implementation - in a real app, this would query the users table
-      // For now, just use the EMAIL_USER from environment variables
-      return process.env.EMAIL_USER || null;
+      return (await getUserById(userId)) || null;
     } catch (error) {
-      console.error("Error getting user email:", error);
+      console.error("Error getting user:", error);
       return null;
     }
   }
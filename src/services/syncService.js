@@ -0,0 +1,297 @@
+import config from "../config.js";
+import {
+  openFolder,
+  fetchMessagesByUid,
+  fetchFlags,
+  searchAllUids,
+} from "./imapService.js";
+import { withImapConnection } from "./imapPoolService.js";
+import { getMailboxProvider } from "./mailAuthService.js";
+import {
+  upsertSyncedEmail,
+  getSyncedMessages,
+  getSyncedEmailsByUid,
+  updateSyncedFlags,
+  deleteSyncedEmails,
+} from "../models/emailModel.js";
+import { recordAttachments } from "./attachmentService.js";
+import { threadEmails, parseMessageIds } from "./threadService.js";
+import { getSyncState, saveSyncState } from "../models/syncStateModel.js";
+import mailEventBus, { MAIL_EVENTS } from "./mailEventBus.js";
+
+/**
+ * Mirrors mailbox folders into the emails table.
+ *
+ * For every folder we remember the server's UIDVALIDITY and the highest UID
+ * stored locally (folder_sync_state). A sync then only downloads messages
+ * with a higher UID, removes local copies of messages that are gone from the
+ * server, and upserts by (user, mailbox, folder, UID) so running it again
+ * never creates duplicates. If UIDVALIDITY changes the server has renumbered
+ * the folder, so its local copies are dropped and it is synced from scratch.
+ * Flags of stored messages are refreshed on every sync. New messages are
+ * added to conversation threads and their attachments recorded by MIME part.
+ *
+ * Changes found by a sync are published on the mail event bus.
+ */
+
+// Messages downloaded per FETCH, and UIDs per DELETE statement
+const SYNC_BATCH_SIZE = 50;
+const DELETE_BATCH_SIZE = 500;
+
+// Syncs in progress, so concurrent requests for one folder share a run
+const runningSyncs = new Map();
+
+/**
+ * Format a parsed From address for the emails.sender column
+ * @param {Object|null} from - Address object from mailparser
+ * @returns {string} - Sender
+ */
+const formatSender = (from) => {
+  if (!from) return "Unknown Sender";
+  if (from.text) return from.text;
+
+  const address = from.value && from.value[0];
+  if (!address) return "Unknown Sender";
+  return address.name
+    ? `${address.name} <${address.address}>`
+    : address.address;
+};
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>}
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Compare two flag lists regardless of order
+ * @param {Array<string>} a - Flags
+ * @param {Array<string>} b - Flags
+ * @returns {boolean}
+ */
+const sameFlags = (a, b) =>
+  a.length === b.length && [...a].sort().join(" ") === [...b].sort().join(" ");
+
+/**
+ * Sync one folder on an open connection
+ * @returns {Promise<Object>} - Sync summary
+ */
+const runFolderSync = async (
+  imap,
+  connection,
+  { userId, mailboxId, folder, provider }
+) => {
+  const { box, serverFolder } = await openFolder(
+    imap,
+    connection,
+    folder,
+    provider,
+    true
+  );
+  const uidValidity = box.uidvalidity;
+  const state = await getSyncState(mailboxId, serverFolder);
+
+  const removedUids = [];
+  let highestUid = 0;
+  const fullResync = Boolean(state && state.uid_validity !== uidValidity);
+
+  if (fullResync) {
+    console.log(
+      `UIDVALIDITY of ${serverFolder} changed (${state.uid_validity} -> ${uidValidity}), resyncing`
+    );
+    const stale = await getSyncedMessages(userId, mailboxId, serverFolder);
+    removedUids.push(...stale.map((message) => message.uid));
+    await deleteSyncedEmails(userId, mailboxId, serverFolder, null);
+  } else if (state) {
+    highestUid = state.highest_uid;
+  }
+
+  const serverUids = await searchAllUids(imap);
+
+  // Messages deleted on the server since the last sync
+  const serverUidSet = new Set(serverUids);
+  const localMessages = await getSyncedMessages(
+    userId,
+    mailboxId,
+    serverFolder
+  );
+  const expunged = localMessages
+    .map((message) => message.uid)
+    .filter((uid) => !serverUidSet.has(uid));
+  for (const uids of chunk(expunged, DELETE_BATCH_SIZE)) {
+    await deleteSyncedEmails(userId, mailboxId, serverFolder, uids);
+    removedUids.push(...uids);
+  }
+
+  // Flags changed on the server (read elsewhere, starred, ...)
+  const flagChanges = [];
+  const kept = localMessages.filter((message) => serverUidSet.has(message.uid));
+  if (kept.length > 0) {
+    const localFlags = new Map(kept.map((message) => [message.uid, message]));
+    const serverFlags = await fetchFlags(
+      imap,
+      `${kept[0].uid}:${kept[kept.length - 1].uid}`
+    );
+
+    for (const { uid, flags } of serverFlags) {
+      const local = localFlags.get(uid);
+      if (local && !sameFlags(local.flags, flags)) {
+        await updateSyncedFlags(userId, mailboxId, serverFolder, uid, flags);
+        flagChanges.push({ uid, flags });
+      }
+    }
+  }
+
+  // New messages; the first sync of a folder only takes the newest ones.
+  // Messages moved here through the API are stored already.
+  const localUidSet = new Set(localMessages.map((message) => message.uid));
+  let newUids = serverUids.filter(
+    (uid) => uid > highestUid && !localUidSet.has(uid)
+  );
+  if (!state || fullResync) {
+    newUids = newUids.slice(-config.email.syncInitialLimit);
+  }
+
+  const addedUids = [];
+  for (const uids of chunk(newUids, SYNC_BATCH_SIZE)) {
+    const emails = await fetchMessagesByUid(imap, uids);
+
+    for (const email of emails) {
+      await upsertSyncedEmail(userId, mailboxId, serverFolder, {
+        uid: email.uid,
+        uidValidity,
+        sender: formatSender(email.from),
+        subject: email.subject || "",
+        body: email.body || email.snippet || "",
+        receivedAt: email.date || new Date(),
+        folder,
+        messageId: email.messageId,
+        html: email.html,
+        flags: email.flags,
+        inReplyTo: parseMessageIds(email.inReplyTo)[0] || null,
+        referenceIds: parseMessageIds(email.references),
+        gmailThreadId: email.gmailThreadId,
+      });
+      addedUids.push(email.uid);
+    }
+
+    const stored = await getSyncedEmailsByUid(
+      userId,
+      mailboxId,
+      serverFolder,
+      emails.map((email) => email.uid)
+    );
+
+    // Record attachments by MIME part, so they can be downloaded one by one
+    const ids = new Map(stored.map((row) => [row.uid, row.id]));
+    for (const email of emails) {
+      if (email.attachments.length > 0) {
+        await recordAttachments(userId, ids.get(email.uid), email.attachments);
+      }
+    }
+
+    await threadEmails(
+      userId,
+      stored.sort((a, b) => a.uid - b.uid)
+    );
+
+    // Save progress after each batch so an interrupted sync resumes here
+    highestUid = Math.max(highestUid, ...uids);
+    await saveSyncState(
+      userId,
+      mailboxId,
+      serverFolder,
+      uidValidity,
+      highestUid
+    );
+  }
+
+  if (newUids.length === 0) {
+    highestUid = Math.max(highestUid, serverUids[serverUids.length - 1] || 0);
+    await saveSyncState(
+      userId,
+      mailboxId,
+      serverFolder,
+      uidValidity,
+      highestUid
+    );
+  }
+
+  console.log(
+    `Synced ${serverFolder} for mailbox ${mailboxId}: ${addedUids.length} new, ${removedUids.length} removed, ${flagChanges.length} flag changes`
+  );
+
+  const event = { userId, mailboxId, folder, serverFolder };
+  if (removedUids.length > 0) {
+    mailEventBus.publish(MAIL_EVENTS.EXPUNGED, { ...event, uids: removedUids });
+  }
+  if (addedUids.length > 0) {
+    mailEventBus.publish(MAIL_EVENTS.NEW_MESSAGES, {
+      ...event,
+      uids: addedUids,
+    });
+  }
+  if (flagChanges.length > 0) {
+    mailEventBus.publish(MAIL_EVENTS.FLAGS_CHANGED, {
+      ...event,
+      changes: flagChanges,
+    });
+  }
+
+  return {
+    folder,
+    serverFolder,
+    uidValidity,
+    highestUid,
+    added: addedUids.length,
+    removed: removedUids.length,
+    flagsChanged: flagChanges.length,
+    fullResync,
+  };
+};
+
+/**
+ * Bring the local copy of a mailbox folder up to date with the server
+ * @param {number} userId - Owning user ID
+ * @param {number} mailboxId - Mailbox ID
+ * @param {string} email - Mailbox address
+ * @param {string|Object} accessToken - OAuth2 access token or linked-mailbox
+ *   credentials
+ * @param {string} folder - Folder name (e.g. "INBOX", "sent")
+ * @returns {Promise<Object>} - `{ folder, serverFolder, uidValidity,
+ *   highestUid, added, removed, flagsChanged, fullResync }`
+ */
+export const syncFolder = (
+  userId,
+  mailboxId,
+  email,
+  accessToken,
+  folder = "INBOX"
+) => {
+  if (!mailboxId) {
+    return Promise.reject(new Error("A mailbox is required to sync emails"));
+  }
+
+  const key = `${mailboxId}:${folder.toLowerCase()}`;
+  if (runningSyncs.has(key)) return runningSyncs.get(key);
+
+  const provider = getMailboxProvider(accessToken);
+  const sync = withImapConnection(email, accessToken, (imap, connection) =>
+    runFolderSync(imap, connection, { userId, mailboxId, folder, provider })
+  ).finally(() => runningSyncs.delete(key));
+
+  runningSyncs.set(key, sync);
+  return sync;
+};
+
+export default {
+  syncFolder,
+};
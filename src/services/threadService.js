@@ -0,0 +1,388 @@
+import {
+  createThread,
+  findThreadsByMessageIds,
+  findThreadsReferencing,
+  addEmailReferences,
+  findThreadByGmailId,
+  findThreadBySubject,
+  setEmailThread,
+  mergeThreads,
+  getThreadsByUser,
+  countThreadsByUser,
+  getThreadById,
+  getThreadEmails,
+  getUnthreadedEmails,
+} from "../models/threadModel.js";
+import { addMessageRefs } from "./messageRefService.js";
+
+/**
+ * Conversation threads over the emails table.
+ *
+ * Emails are grouped the way JWZ's threading algorithm does: an email joins
+ * the thread of any email it names in In-Reply-To or References, and of any
+ * email that names it (a reply can be stored before what it replies to). If
+ * that links threads that were separate so far, they are merged. Gmail
+ * already threads its mail, so emails with an X-GM-THRID join the thread of
+ * the other emails of that conversation first. Replies without usable
+ * headers fall back to the most recent thread with the same base subject
+ * (the subject without "Re:" and "Fwd:" prefixes), as long as that thread
+ * was active recently.
+ *
+ * Synced emails are threaded as they are stored; any other email (saved by
+ * hand, or stored before threading existed) is threaded the next time the
+ * user's threads are read.
+ */
+
+// How far apart a reply and a thread may be to be grouped by subject alone
+const SUBJECT_THREAD_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Unthreaded emails read per query when catching up
+const PENDING_BATCH_SIZE = 100;
+
+// Reply and forward prefixes, including localized ones (Aw, Sv, Antw, Wg)
+// and counted ones ("Re[2]:")
+const SUBJECT_PREFIX = /^\s*(re|fw|fwd|aw|sv|antw|wg)(\[\d+\])?\s*:\s*/i;
+const REPLY_PREFIX = /^\s*(re|aw|sv|antw)(\[\d+\])?\s*:/i;
+
+// Threading work in progress per user, so concurrent syncs and reads never
+// thread the same email twice
+const threadingQueues = new Map();
+
+/**
+ * Run threading work for a user after any work already queued for them
+ * @param {number} userId - User ID
+ * @param {Function} task - Work to run
+ * @returns {Promise<*>} - Result of the task
+ */
+const runExclusive = (userId, task) => {
+  const previous = threadingQueues.get(userId) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+
+  threadingQueues.set(userId, tail);
+  tail.then(() => {
+    if (threadingQueues.get(userId) === tail) threadingQueues.delete(userId);
+  });
+  return run;
+};
+
+/**
+ * Strip reply and forward prefixes from a subject
+ * @param {string|null} subject - Subject
+ * @returns {string} - Base subject
+ */
+export const getBaseSubject = (subject) => {
+  let base = (subject || "").replace(/\s+/g, " ").trim();
+  while (SUBJECT_PREFIX.test(base)) {
+    base = base.replace(SUBJECT_PREFIX, "");
+  }
+  return base.trim();
+};
+
+/**
+ * Read the Message-IDs from an In-Reply-To or References value
+ * @param {string|Array|null} value - Header value(s)
+ * @returns {Array<string>} - Message-IDs, angle brackets included
+ */
+export const parseMessageIds = (value) => {
+  const text = [].concat(value || []).join(" ");
+  const bracketed = text.match(/<[^<>\s]+>/g);
+  if (bracketed) return bracketed;
+  return text.split(/\s+/).filter((id) => id.includes("@"));
+};
+
+/**
+ * Message-IDs an email names as its ancestors, oldest first
+ * @param {Object} row - emails row
+ * @returns {Array<string>}
+ */
+const getAncestorIds = (row) => {
+  const ids = parseMessageIds(row.reference_ids);
+  for (const id of parseMessageIds(row.in_reply_to)) {
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+};
+
+/**
+ * Put one email in a thread
+ * @param {number} userId - Owning user ID
+ * @param {Object} row - emails row
+ * @returns {Promise<number>} - Thread ID
+ */
+const attachToThread = async (userId, row) => {
+  const ancestorIds = getAncestorIds(row);
+  // Lets later emails find this one when they are what it replies to
+  await addEmailReferences(userId, row.id, ancestorIds);
+
+  if (row.gm_thread_id && row.mailbox_id) {
+    const threadId = await findThreadByGmailId(
+      userId,
+      row.mailbox_id,
+      row.gm_thread_id
+    );
+    if (threadId) {
+      await setEmailThread(userId, row.id, threadId);
+      return threadId;
+    }
+  }
+
+  // Threads of the email's ancestors, of other copies of it, and of replies
+  // to it stored before it
+  const linked = new Set(
+    await findThreadsByMessageIds(
+      userId,
+      [...ancestorIds, row.message_id].filter(Boolean)
+    )
+  );
+  if (row.message_id) {
+    for (const threadId of await findThreadsReferencing(
+      userId,
+      row.message_id
+    )) {
+      linked.add(threadId);
+    }
+  }
+
+  if (linked.size > 0) {
+    const [threadId, ...merged] = [...linked].sort((a, b) => a - b);
+    await mergeThreads(userId, threadId, merged);
+    await setEmailThread(userId, row.id, threadId);
+    return threadId;
+  }
+
+  const subject = getBaseSubject(row.subject);
+
+  // Gmail has already decided this email starts a conversation
+  if (subject && !row.gm_thread_id && REPLY_PREFIX.test(row.subject || "")) {
+    const match = await findThreadBySubject(userId, subject);
+    const distance = match
+      ? Math.abs(new Date(row.received_at) - new Date(match.last_received_at))
+      : NaN;
+    if (distance <= SUBJECT_THREAD_WINDOW_MS) {
+      await setEmailThread(userId, row.id, match.id);
+      return match.id;
+    }
+  }
+
+  const threadId = await createThread(userId, subject);
+  await setEmailThread(userId, row.id, threadId);
+  return threadId;
+};
+
+/**
+ * Thread newly stored emails
+ * @param {number} userId - Owning user ID
+ * @param {Array} rows - emails rows; rows already in a thread are skipped
+ * @returns {Promise<number>} - Emails threaded
+ */
+export const threadEmails = (userId, rows) =>
+  runExclusive(userId, async () => {
+    let threaded = 0;
+    for (const row of rows.filter((row) => !row.thread_id)) {
+      await attachToThread(userId, row);
+      threaded++;
+    }
+    return threaded;
+  });
+
+/**
+ * Thread every email of a user that is in no thread yet
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} - Emails threaded
+ */
+export const threadPendingEmails = (userId) =>
+  runExclusive(userId, async () => {
+    let threaded = 0;
+    let rows;
+    do {
+      rows = await getUnthreadedEmails(userId, PENDING_BATCH_SIZE);
+      for (const row of rows) {
+        await attachToThread(userId, row);
+        threaded++;
+      }
+    } while (rows.length === PENDING_BATCH_SIZE);
+
+    if (threaded > 0) {
+      console.log(`Threaded ${threaded} emails for user ${userId}`);
+    }
+    return threaded;
+  });
+
+/**
+ * Split a sender ("Name <address>") into name and address
+ * @param {string|null} sender - emails.sender
+ * @returns {Object|null} - `{ name, address }`
+ */
+const parseSender = (sender) => {
+  if (!sender) return null;
+  const match = /^\s*"?(.*?)"?\s*<([^>]+)>\s*$/.exec(sender);
+  if (match) return { name: match[1] || null, address: match[2].trim() };
+  return { name: null, address: sender.trim() };
+};
+
+/**
+ * Distinct senders of a thread's emails, in order of first appearance
+ * @param {Array} rows - emails rows
+ * @returns {Array<Object>} - `{ name, address }`
+ */
+const getParticipants = (rows) => {
+  const participants = new Map();
+  for (const row of rows) {
+    const sender = parseSender(row.sender);
+    const key = sender && sender.address.toLowerCase();
+    if (key && !participants.has(key)) participants.set(key, sender);
+  }
+  return [...participants.values()];
+};
+
+/**
+ * Drop extra copies of a message (the same Message-ID stored from several
+ * folders), keeping the first
+ * @param {Array} rows - emails rows
+ * @returns {Array} - Rows with distinct Message-IDs
+ */
+const distinctMessages = (rows) => {
+  const seen = new Set();
+  return rows.filter((row) => {
+    if (!row.message_id) return true;
+    if (seen.has(row.message_id)) return false;
+    seen.add(row.message_id);
+    return true;
+  });
+};
+
+/**
+ * @param {Object} row - emails row
+ * @returns {boolean} - Whether the email is synced and unread
+ */
+const isUnread = (row) =>
+  Boolean(row.flags) && !JSON.parse(row.flags).includes("\\Seen");
+
+/**
+ * Bring a thread's emails into message order with their reply parents
+ * @param {Array} rows - emails rows of one thread, oldest first
+ * @returns {Array<Object>} - Messages
+ */
+const toThreadMessages = (rows) => {
+  const byMessageId = new Map(
+    rows.filter((row) => row.message_id).map((row) => [row.message_id, row.id])
+  );
+
+  const messages = rows.map((row) => {
+    // The closest ancestor that is part of the thread
+    const parentId =
+      getAncestorIds(row)
+        .reverse()
+        .map((id) => byMessageId.get(id))
+        .find((id) => id && id !== row.id) || null;
+
+    return {
+      id: row.id,
+      emailId: row.id,
+      mailboxId: row.mailbox_id,
+      imapFolder: row.imap_folder,
+      uidValidity: row.uid_validity,
+      uid: row.uid,
+      folder: row.folder,
+      messageId: row.message_id,
+      inReplyTo: parseMessageIds(row.in_reply_to)[0] || null,
+      parentId,
+      from: row.sender,
+      subject: row.subject,
+      date: row.received_at,
+      body: row.body || "",
+      html: row.html,
+      flags: row.flags ? JSON.parse(row.flags) : [],
+    };
+  });
+
+  return addMessageRefs(messages).map(({ id, ...message }) => message);
+};
+
+/**
+ * List a user's threads, most recently active first
+ * @param {number} userId - User ID
+ * @param {Object} options - limit, page, and mailboxId to only list threads
+ *   with emails in that mailbox
+ * @returns {Promise<Object>} - `{ threads, total }`; each thread has id,
+ *   subject, messageCount, unreadCount, participants, firstMessageAt,
+ *   lastMessageAt and snippet (of its latest message)
+ */
+export const listThreads = async (
+  userId,
+  { limit = 20, page = 1, mailboxId = null } = {}
+) => {
+  await threadPendingEmails(userId);
+
+  const [threads, total] = await Promise.all([
+    getThreadsByUser(userId, {
+      limit,
+      offset: (page - 1) * limit,
+      mailboxId,
+    }),
+    countThreadsByUser(userId, mailboxId),
+  ]);
+
+  const rows = await getThreadEmails(
+    userId,
+    threads.map((thread) => thread.id)
+  );
+
+  return {
+    total,
+    threads: threads.map((thread) => {
+      const messages = distinctMessages(
+        rows.filter((row) => row.thread_id === thread.id)
+      );
+      const latest = messages[messages.length - 1];
+      return {
+        id: thread.id,
+        subject: thread.subject,
+        messageCount: messages.length,
+        unreadCount: messages.filter(isUnread).length,
+        participants: getParticipants(messages),
+        firstMessageAt: thread.first_received_at,
+        lastMessageAt: thread.last_received_at,
+        snippet: latest
+          ? (latest.body || "").substring(0, 200).replace(/\s+/g, " ")
+          : "",
+      };
+    }),
+  };
+};
+
+/**
+ * Get one thread with its messages in the order they were received
+ * @param {number} userId - User ID
+ * @param {number} threadId - Thread ID
+ * @returns {Promise<Object>} - `{ id, subject, messageCount, participants,
+ *   messages }`; each message has its ref, messageId, inReplyTo and the
+ *   emailId of the message it replies to (parentId), where that is known
+ */
+export const getThread = async (userId, threadId) => {
+  await threadPendingEmails(userId);
+
+  const thread = await getThreadById(userId, threadId);
+  if (!thread) {
+    throw new Error("Thread not found");
+  }
+
+  const rows = distinctMessages(await getThreadEmails(userId, [thread.id]));
+  return {
+    id: thread.id,
+    subject: thread.subject,
+    messageCount: rows.length,
+    participants: getParticipants(rows),
+    messages: toThreadMessages(rows),
+  };
+};
+
+export default {
+  getBaseSubject,
+  parseMessageIds,
+  threadEmails,
+  threadPendingEmails,
+  listThreads,
+  getThread,
+};
@@ -0,0 +1,186 @@
+import config from "../config.js";
+import { getUserById, updateUserTokens } from "../models/userModel.js";
+import { getMailboxById, updateMailboxTokens } from "../models/mailboxModel.js";
+import { isPasswordAuthMode } from "./mailAuthService.js";
+
+// Refreshes currently in flight, keyed by store and record ID, so concurrent
+// requests for the same account share a single call to Google
+const pendingRefreshes = new Map();
+
+// Where OAuth tokens live. Users keep the tokens of the Google account they
+// signed in with; linked mailboxes keep their own.
+export const userTokenStore = {
+  name: "user",
+  load: (user) => getUserById(user.id),
+  save: (user, accessToken, refreshToken, tokenExpiresAt) =>
+    updateUserTokens(user.id, accessToken, refreshToken, tokenExpiresAt),
+};
+
+export const mailboxTokenStore = {
+  name: "mailbox",
+  load: (mailbox) => getMailboxById(mailbox.user_id, mailbox.id),
+  save: (mailbox, accessToken, refreshToken, tokenExpiresAt) =>
+    updateMailboxTokens(mailbox.id, accessToken, refreshToken, tokenExpiresAt),
+};
+
+/**
+ * Check whether an error from IMAP/SMTP looks like a rejected login
+ * @param {Error} error - Error thrown by the mail operation
+ * @returns {boolean}
+ */
+export const isAuthError = (error) => {
+  const message = (error && error.message) || "";
+  return /invalid credentials|authenticationfailed|invalid login|authentication failed|username and password not accepted|\b535\b|xoauth2/i.test(
+    message
+  );
+};
+
+/**
+ * Check whether a user's access token is expired or about to expire
+ * @param {Object} user - User or mailbox row
+ * @returns {boolean}
+ */
+export const isTokenExpired = (user) => {
+  if (!user.access_token) return true;
+
+  // Rows saved before expiry tracking have no expiry; treat them as stale
+  if (!user.token_expires_at) return true;
+
+  const expiresAt = new Date(user.token_expires_at).getTime();
+  const skewMs = config.oauth.refreshSkewSeconds * 1000;
+  return isNaN(expiresAt) || expiresAt - skewMs <= Date.now();
+};
+
+/**
+ * Exchange the user's refresh token for a new access token and store it
+ * @param {Object} user - User or mailbox row (must include id and refresh_token)
+ * @param {Object} store - Token store the row belongs to
+ * @returns {Promise<Object>} - Row with the rotated tokens
+ */
+export const refreshAccessToken = async (user, store = userTokenStore) => {
+  const refreshKey = `${store.name}:${user.id}`;
+  if (pendingRefreshes.has(refreshKey)) {
+    return pendingRefreshes.get(refreshKey);
+  }
+
+  const refresh = (async () => {
+    if (!user.refresh_token) {
+      throw new Error(
+        `No refresh token stored for ${user.email}. Please sign in with Google again.`
+      );
+    }
+
+    const { clientId, clientSecret, tokenUrl } = config.oauth.google;
+    console.log(`Refreshing OAuth access token for ${user.email}`);
+
+    const response = await fetch(tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id: clientId || "",
+        client_secret: clientSecret || "",
+        refresh_token: user.refresh_token,
+        grant_type: "refresh_token",
+      }),
+    });
+
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (err) {
+      // Non-JSON error bodies are reported through the status code below
+    }
+
+    if (!response.ok || !data.access_token) {
+      const reason =
+        data.error_description || data.error || `HTTP ${response.status}`;
+      throw new Error(`Token refresh failed for ${user.email}: ${reason}`);
+    }
+
+    const tokenExpiresAt = data.expires_in
+      ? new Date(Date.now() + data.expires_in * 1000).toISOString()
+      : null;
+    const refreshToken = data.refresh_token || user.refresh_token;
+
+    await store.save(user, data.access_token, refreshToken, tokenExpiresAt);
+
+    return {
+      ...user,
+      access_token: data.access_token,
+      refresh_token: refreshToken,
+      token_expires_at: tokenExpiresAt,
+    };
+  })();
+
+  pendingRefreshes.set(refreshKey, refresh);
+  try {
+    return await refresh;
+  } finally {
+    pendingRefreshes.delete(refreshKey);
+  }
+};
+
+/**
+ * Get a usable access token for a user, refreshing it first if needed
+ * @param {Object} user - User or mailbox row; updated in place when tokens rotate
+ * @param {Object} store - Token store the row belongs to
+ * @returns {Promise<string>} - Access token
+ */
+export const getAccessToken = async (user, store = userTokenStore) => {
+  // Reload the row so we never refresh with tokens another request rotated
+  const current = (user.id && (await store.load(user))) || user;
+
+  if (isTokenExpired(current) && current.refresh_token) {
+    const refreshed = await refreshAccessToken(current, store);
+    Object.assign(user, refreshed);
+    return refreshed.access_token;
+  }
+
+  Object.assign(user, current);
+  return current.access_token;
+};
+
+/**
+ * Run an IMAP/SMTP operation with a fresh access token. If the server rejects
+ * the login, the token is refreshed and the operation retried once.
+ * @param {Object} user - User or mailbox row
+ * @param {Function} operation - Called with the access token
+ * @param {Object} store - Token store the row belongs to (default: users)
+ * @returns {Promise<*>} - Result of the operation
+ */
+export const withAccessToken = async (
+  user,
+  operation,
+  store = userTokenStore
+) => {
+  if (isPasswordAuthMode()) {
+    return operation(user.access_token);
+  }
+
+  const accessToken = await getAccessToken(user, store);
+
+  try {
+    return await operation(accessToken);
+  } catch (error) {
+    if (!isAuthError(error) || !user.refresh_token) {
+      throw error;
+    }
+
+    console.warn(
+      `Login rejected for ${user.email}, refreshing token and retrying once`
+    );
+    const refreshed = await refreshAccessToken(user, store);
+    Object.assign(user, refreshed);
+    return operation(refreshed.access_token);
+  }
+};
+
+export default {
+  userTokenStore,
+  mailboxTokenStore,
+  isAuthError,
+  isTokenExpired,
+  refreshAccessToken,
+  getAccessToken,
+  withAccessToken,
+};
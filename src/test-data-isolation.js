@@ -0,0 +1,123 @@
+// Test script proving two users can't see or change each other's emails
+// Runs against a throwaway database: node src/test-data-isolation.js
+
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dbPath = path.join(
+  os.tmpdir(),
+  `email-ai-isolation-${process.pid}.sqlite`
+);
+process.env.DB_PATH = dbPath;
+process.env.CREDENTIALS_KEY = Buffer.alloc(32, 7).toString("base64");
+process.env.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || "test-client";
+process.env.GOOGLE_CLIENT_SECRET =
+  process.env.GOOGLE_CLIENT_SECRET || "test-secret";
+
+// Import after DB_PATH is set so the models open the throwaway database
+const { default: db } = await import("./config/db.js");
+const { saveUser, getUserByEmail } = await import("./models/userModel.js");
+const { createApiToken } = await import("./models/apiTokenModel.js");
+const {
+  saveEmail,
+  getEmailById,
+  getEmailsByUser,
+  deleteEmail,
+  updateEmailFolder,
+  removeEmailFromFolder,
+  createCustomFolder,
+  getCustomFolders,
+  deleteCustomFolder,
+} = await import("./models/emailModel.js");
+const { default: app } = await import("./app.js");
+
+async function testDataIsolation() {
+  let server;
+  try {
+    console.log("Creating two users...");
+    await saveUser("alice@example.com", "Alice", "alice-token", null);
+    await saveUser("bob@example.com", "Bob", "bob-token", null);
+    const alice = await getUserByEmail("alice@example.com");
+    const bob = await getUserByEmail("bob@example.com");
+
+    const aliceEmail = await saveEmail(
+      alice.id,
+      "carol@example.com",
+      "Alice's private email",
+      "Only Alice should see this",
+      new Date()
+    );
+    await createCustomFolder(alice.id, "Receipts");
+    await updateEmailFolder(alice.id, aliceEmail.id, "Receipts");
+
+    console.log("\nTesting model-level isolation...");
+    assert.equal(await getEmailById(bob.id, aliceEmail.id), null);
+    assert.deepEqual(await getEmailsByUser(bob.id), []);
+    assert.deepEqual(await getCustomFolders(bob.id), []);
+
+    await assert.rejects(
+      updateEmailFolder(bob.id, aliceEmail.id, "Stolen"),
+      /not found/
+    );
+    await assert.rejects(
+      removeEmailFromFolder(bob.id, aliceEmail.id, "Receipts"),
+      /not found/
+    );
+    await assert.rejects(deleteEmail(bob.id, aliceEmail.id), /not found/);
+    await assert.rejects(deleteCustomFolder(bob.id, "Receipts"), /not found/);
+
+    const unchanged = await getEmailById(alice.id, aliceEmail.id);
+    assert.equal(unchanged.folder, "Receipts");
+    console.log("Model functions refuse cross-user access");
+
+    console.log("\nTesting API-level isolation...");
+    const bobToken = (await createApiToken(bob.id, "test")).token;
+    server = app.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const asBob = (method, urlPath, body) =>
+      fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${bobToken}`,
+          "Content-Type": "application/json",
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+    let res = await asBob("DELETE", `/email/${aliceEmail.id}`);
+    assert.equal(res.status, 404);
+
+    res = await asBob("PUT", `/email/move-to-folder/${aliceEmail.id}`, {
+      folderName: "Stolen",
+    });
+    assert.equal(res.status, 404);
+
+    res = await asBob("POST", "/email/remove-from-folder", {
+      id: aliceEmail.id,
+      folder: "Receipts",
+    });
+    assert.equal(res.status, 404);
+
+    res = await asBob("GET", "/email/saved");
+    assert.deepEqual(await res.json(), []);
+
+    res = await asBob("GET", "/email/db-folder/Receipts");
+    assert.equal((await res.json()).count, 0);
+
+    const stillThere = await getEmailById(alice.id, aliceEmail.id);
+    assert.equal(stillThere.folder, "Receipts");
+    console.log("API routes return 404 for another user's email");
+
+    console.log("\nAll tests completed successfully!");
+  } catch (error) {
+    console.error("Data isolation test failed:", error);
+    process.exitCode = 1;
+  } finally {
+    if (server) server.close();
+    db.close(() => fs.rmSync(dbPath, { force: true }));
+  }
+}
+
+testDataIsolation();
@@ -0,0 +1,132 @@
+/**
+ * Address lists for outgoing mail (to, cc, bcc, reply-to)
+ *
+ * A list is given as a string of comma-separated addresses ("Bob
+ * <bob@example.com>, carol@example.com"), as an array of such strings, or as
+ * an array of `{ name, address }` objects, and is normalized to the latter,
+ * which nodemailer accepts as is. Groups ("team: a@x.com, b@x.com;") are
+ * flattened into their members.
+ */
+import addressparser from "nodemailer/lib/addressparser/index.js";
+
+// Most recipients (to, cc and bcc together) one message may have
+export const MAX_RECIPIENTS = 100;
+
+const ADDRESS = /^[^\s@<>()[\]",;:]+@[^\s@<>()[\]",;:]+\.[^\s@<>()[\]",;:]+$/;
+
+/**
+ * Whether a string is a usable email address
+ * @param {string} address - Address without a display name
+ * @returns {boolean}
+ */
+export const isValidAddress = (address) =>
+  typeof address === "string" && address.length <= 254 && ADDRESS.test(address);
+
+/**
+ * Parse an address list without checking it; entries without an address are
+ * kept with an empty one
+ * @param {string|Array|Object|null} value - Address list
+ * @returns {Array<Object>} - `{ name, address }` for each entry
+ */
+export const parseAddresses = (value) => {
+  const entries = [];
+  const add = (parsed) => {
+    for (const entry of parsed) {
+      if (entry.group) add(entry.group);
+      else entries.push({ name: entry.name || "", address: entry.address });
+    }
+  };
+
+  for (const item of [].concat(value || [])) {
+    if (item && typeof item === "object") {
+      entries.push({
+        name: item.name || "",
+        address: String(item.address || "").trim(),
+      });
+    } else if (item) {
+      add(addressparser(String(item)));
+    }
+  }
+  return entries;
+};
+
+/**
+ * Parse and check an address list from a request
+ * @param {string|Array|Object|null} value - Address list
+ * @param {string} field - Field name, for the error message
+ * @returns {Array<Object>} - `{ name, address }` for each entry
+ */
+export const validateAddressList = (value, field) => {
+  const entries = parseAddresses(value);
+  const invalid = entries.find((entry) => !isValidAddress(entry.address));
+  if (invalid) {
+    throw new Error(
+      `Invalid address in ${field}: ${invalid.address || invalid.name}`
+    );
+  }
+  return entries;
+};
+
+/**
+ * Parse and check the recipients of a message
+ * @param {Object} fields - to, cc, bcc and replyTo address lists
+ * @returns {Object} - `{ to, cc, bcc, replyTo }`, each an array of
+ *   `{ name, address }`
+ */
+export const validateRecipients = ({ to, cc, bcc, replyTo }) => {
+  const recipients = {
+    to: validateAddressList(to, "to"),
+    cc: validateAddressList(cc, "cc"),
+    bcc: validateAddressList(bcc, "bcc"),
+    replyTo: validateAddressList(replyTo, "replyTo"),
+  };
+
+  const count =
+    recipients.to.length + recipients.cc.length + recipients.bcc.length;
+  if (count > MAX_RECIPIENTS) {
+    throw new Error(
+      `Too many recipients: ${count} (at most ${MAX_RECIPIENTS} allowed)`
+    );
+  }
+  return recipients;
+};
+
+/**
+ * Drop addresses from a list that appear in another list or earlier in the
+ * same one (case-insensitive)
+ * @param {Array<Object>} entries - `{ name, address }` entries
+ * @param {Set<string>} seen - Lower-cased addresses to leave out; the kept
+ *   ones are added to it
+ * @returns {Array<Object>} - Remaining entries
+ */
+export const withoutAddresses = (entries, seen) =>
+  entries.filter((entry) => {
+    const key = entry.address.toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+/**
+ * Format an address list as a header value
+ * @param {string|Array|Object|null} value - Address list
+ * @returns {string} - Comma-separated addresses, empty when there are none
+ */
+export const formatAddressList = (value) =>
+  typeof value === "string"
+    ? value
+    : parseAddresses(value)
+        .map(({ name, address }) =>
+          name ? `"${name.replace(/["\\]/g, "\\$&")}" <${address}>` : address
+        )
+        .join(", ");
+
+export default {
+  MAX_RECIPIENTS,
+  isValidAddress,
+  parseAddresses,
+  validateAddressList,
+  validateRecipients,
+  withoutAddresses,
+  formatAddressList,
+};
@@ -0,0 +1,238 @@
+/**
+ * Envelope encryption for credentials stored in the database
+ *
+ * Every value is encrypted with its own random data key (AES-256-GCM), and
+ * that data key is encrypted ("wrapped") with the master key. Rotating the
+ * master key only means re-wrapping the data keys, which
+ * `npm run rotate-credentials-key` does for every stored row.
+ *
+ * The master key is a 32-byte key, base64 or hex encoded, supplied through
+ * CREDENTIALS_KEY or a file named by CREDENTIALS_KEY_FILE. Old keys needed to
+ * read rows written before a rotation go in CREDENTIALS_PREVIOUS_KEYS
+ * (comma separated) or on the following lines of the key file.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import config from "../config.js";
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let cachedKeys = null;
+
+/**
+ * Decode a master key from base64 or hex
+ * @param {string} encoded - Encoded key
+ * @returns {Buffer} - 32-byte key
+ */
+const decodeKey = (encoded) => {
+  const value = encoded.trim();
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, "hex")
+    : Buffer.from(value, "base64");
+
+  if (key.length !== 32) {
+    throw new Error(
+      "Credentials encryption keys must be 32 bytes, base64 or hex encoded"
+    );
+  }
+  return key;
+};
+
+/**
+ * Short identifier stored with each value so we know which key wrapped it
+ * @param {Buffer} key - Master key
+ * @returns {string} - Key ID
+ */
+const getKeyId = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex").substring(0, 8);
+
+/**
+ * Load the current and previous master keys from the environment/key file
+ * @returns {Object} - `{ current, byId }`
+ */
+const loadKeys = () => {
+  if (cachedKeys) return cachedKeys;
+
+  const { credentialsKey, credentialsKeyFile, previousCredentialsKeys } =
+    config.security;
+  let encodedKeys = [];
+
+  if (credentialsKey) {
+    encodedKeys.push(credentialsKey);
+  } else if (credentialsKeyFile) {
+    encodedKeys = fs
+      .readFileSync(credentialsKeyFile, "utf8")
+      .split(/\r?\n/)
+      .filter((line) => line.trim() && !line.trim().startsWith("#"));
+  }
+
+  if (encodedKeys.length === 0) {
+    throw new Error(
+      "No credentials encryption key configured. Set CREDENTIALS_KEY or CREDENTIALS_KEY_FILE."
+    );
+  }
+
+  encodedKeys.push(
+    ...previousCredentialsKeys.split(",").filter((key) => key.trim())
+  );
+
+  const keys = encodedKeys.map(decodeKey);
+  cachedKeys = {
+    current: { id: getKeyId(keys[0]), key: keys[0] },
+    byId: new Map(keys.map((key) => [getKeyId(key), key])),
+  };
+  return cachedKeys;
+};
+
+/**
+ * Whether a stored value is already encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+/**
+ * AES-256-GCM encrypt, returning iv | tag | ciphertext
+ * @param {Buffer} key - Encryption key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer}
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * Reverse of seal()
+ * @param {Buffer} key - Encryption key
+ * @param {Buffer} sealed - iv | tag | ciphertext
+ * @returns {Buffer}
+ */
+const open = (key, sealed) => {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+};
+
+/**
+ * Split a stored value into its parts
+ * @param {string} value - Encrypted value
+ * @returns {Object} - `{ keyId, wrappedKey, payload }`
+ */
+const parse = (value) => {
+  const [keyId, wrappedKey, payload] = value
+    .substring(PREFIX.length)
+    .split(":");
+  if (!keyId || !wrappedKey || !payload) {
+    throw new Error("Malformed encrypted credential");
+  }
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, "base64url"),
+    payload,
+  };
+};
+
+/**
+ * Unwrap the data key of an encrypted value
+ * @param {string} keyId - ID of the master key that wrapped it
+ * @param {Buffer} wrappedKey - Wrapped data key
+ * @returns {Buffer} - Data key
+ */
+const unwrapDataKey = (keyId, wrappedKey) => {
+  const masterKey = loadKeys().byId.get(keyId);
+  if (!masterKey) {
+    throw new Error(
+      `Credential was encrypted with unknown key ${keyId}. Add it to CREDENTIALS_PREVIOUS_KEYS.`
+    );
+  }
+  return open(masterKey, wrappedKey);
+};
+
+/**
+ * Encrypt a credential for storage
+ * @param {string|null} value - Plain-text credential
+ * @returns {string|null} - Encrypted value (null/empty values are kept as is)
+ */
+export const encryptSecret = (value) => {
+  if (value === null || value === undefined || value === "") return value;
+  if (isEncrypted(value)) return value;
+
+  const { current } = loadKeys();
+  const dataKey = crypto.randomBytes(32);
+  const payload = seal(dataKey, Buffer.from(String(value), "utf8"));
+  const wrappedKey = seal(current.key, dataKey);
+
+  return `${PREFIX}${current.id}:${wrappedKey.toString(
+    "base64url"
+  )}:${payload.toString("base64url")}`;
+};
+
+/**
+ * Decrypt a stored credential. Values written before encryption was enabled
+ * are returned unchanged until the rotation command encrypts them.
+ * @param {string|null} value - Stored value
+ * @returns {string|null} - Plain-text credential
+ */
+export const decryptSecret = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  const dataKey = unwrapDataKey(keyId, wrappedKey);
+  return open(dataKey, Buffer.from(payload, "base64url")).toString("utf8");
+};
+
+/**
+ * Re-wrap a stored credential with the current master key. Plain-text values
+ * are encrypted; the data itself is not re-encrypted.
+ * @param {string|null} value - Stored value
+ * @returns {string|null} - Value protected by the current key
+ */
+export const reencryptSecret = (value) => {
+  if (value === null || value === undefined || value === "") return value;
+  if (!isEncrypted(value)) return encryptSecret(value);
+
+  const { current } = loadKeys();
+  const { keyId, wrappedKey, payload } = parse(value);
+  if (keyId === current.id) return value;
+
+  const dataKey = unwrapDataKey(keyId, wrappedKey);
+  return `${PREFIX}${current.id}:${seal(current.key, dataKey).toString(
+    "base64url"
+  )}:${payload}`;
+};
+
+/**
+ * Decrypt the given columns of a database row
+ * @param {Object|undefined} row - Database row
+ * @param {Array<string>} fields - Column names holding credentials
+ * @returns {Object|undefined} - Row with decrypted columns
+ */
+export const decryptFields = (row, fields) => {
+  if (!row) return row;
+
+  const decrypted = { ...row };
+  fields.forEach((field) => {
+    if (field in decrypted) decrypted[field] = decryptSecret(decrypted[field]);
+  });
+  return decrypted;
+};
+
+export default {
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  reencryptSecret,
+  decryptFields,
+};
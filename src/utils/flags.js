@@ -0,0 +1,19 @@
+/**
+ * Boolean options from requests. JSON clients send true/false, while
+ * form-encoded and query-style clients send "true"/"false" or "1"/"0".
+ */
+
+/**
+ * Read a boolean option
+ * @param {*} value - Option value
+ * @param {boolean} fallback - Value when the option isn't given
+ * @returns {boolean}
+ */
+export const readFlag = (value, fallback) =>
+  value === undefined || value === null || value === ""
+    ? fallback
+    : ["true", "1"].includes(String(value).toLowerCase());
+
+export default {
+  readFlag,
+};
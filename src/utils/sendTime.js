@@ -0,0 +1,138 @@
+/**
+ * Send times for scheduled messages
+ *
+ * A send time is either an absolute timestamp (epoch milliseconds, or an ISO
+ * 8601 string with "Z" or a UTC offset) or a wall-clock time without an
+ * offset ("2026-11-02T09:00"), which is read in the given IANA time zone
+ * ("Europe/Berlin"), or in UTC when no zone is given. Wall-clock times that
+ * don't exist because clocks go forward are moved forward by the size of the
+ * gap, and ambiguous ones (clocks going back) use the earlier of the two.
+ */
+
+const LOCAL_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a time zone is a known IANA zone
+ * @param {string} timeZone - Time zone name
+ * @returns {string} - The time zone name
+ */
+export const validateTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return timeZone;
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - Time zone name
+ * @returns {Object} - year, month, day, hour, minute and second
+ */
+const getZonedFields = (ms, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ms));
+
+  const fields = {};
+  for (const { type, value } of parts) {
+    if (type !== "literal") fields[type] = parseInt(value);
+  }
+  return fields;
+};
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - Time zone name
+ * @returns {number} - Milliseconds ahead of UTC
+ */
+const getOffset = (ms, timeZone) => {
+  const f = getZonedFields(ms, timeZone);
+  const wall = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+  return wall - (ms - (((ms % 1000) + 1000) % 1000));
+};
+
+/**
+ * Turn a send time into epoch milliseconds
+ * @param {string|number} sendAt - Timestamp or wall-clock time
+ * @param {string} [timeZone] - IANA time zone for wall-clock times
+ * @returns {number} - Epoch milliseconds
+ */
+export const parseSendAt = (sendAt, timeZone) => {
+  if (typeof sendAt === "number" && Number.isFinite(sendAt)) {
+    return sendAt;
+  }
+
+  const value = typeof sendAt === "string" ? sendAt.trim() : "";
+  const local = LOCAL_TIME.exec(value);
+
+  if (local && !HAS_OFFSET.test(value)) {
+    const [year, month, day, hour, minute, second = 0] = local
+      .slice(1, 7)
+      .map((part) => (part === undefined ? undefined : parseInt(part)));
+    const millis = local[7] ? parseInt(local[7].padEnd(3, "0")) : 0;
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+    const check = new Date(wall);
+    if (
+      check.getUTCMonth() !== month - 1 ||
+      check.getUTCDate() !== day ||
+      hour > 23 ||
+      minute > 59 ||
+      second > 59
+    ) {
+      throw new Error(`Invalid sendAt: ${sendAt}`);
+    }
+    if (!timeZone) return wall;
+
+    // Try the zone's offsets from a day before and after; when the time
+    // exists under both (clocks went back) the earlier one wins, and when
+    // it exists under neither (clocks went forward) it is read with the
+    // offset from before the change, which moves it forward past the gap
+    const zone = validateTimeZone(timeZone);
+    const before = getOffset(wall - DAY_MS, zone);
+    const after = getOffset(wall + DAY_MS, zone);
+    const matches = [before, after]
+      .map((offset) => wall - offset)
+      .filter((ms) => wall - ms === getOffset(ms, zone));
+    return matches.length > 0 ? Math.min(...matches) : wall - before;
+  }
+
+  const ms = HAS_OFFSET.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid sendAt: ${sendAt}`);
+  }
+  return ms;
+};
+
+/**
+ * Format an instant as wall-clock time in a time zone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - Time zone name
+ * @returns {string} - "YYYY-MM-DDTHH:mm:ss"
+ */
+export const formatLocalTime = (ms, timeZone) => {
+  const f = getZonedFields(ms, timeZone);
+  const pad = (number, length = 2) => String(number).padStart(length, "0");
+  return `${pad(f.year, 4)}-${pad(f.month)}-${pad(f.day)}T${pad(f.hour)}:${pad(
+    f.minute
+  )}:${pad(f.second)}`;
+};
+
+export default {
+  validateTimeZone,
+  parseSendAt,
+  formatLocalTime,
+};